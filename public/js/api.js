@@ -20,10 +20,12 @@ class CustomerAPI {
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+                const error = new Error(data.error || data.message || `HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                throw error;
             }
 
-            return { success: true, data, status: response.status };
+            return { success: true, data, status: response.status, etag: response.headers.get('ETag') };
         } catch (error) {
             console.error(`API Error [${endpoint}]:`, error);
             return { 
@@ -62,10 +64,12 @@ class CustomerAPI {
         });
     }
 
-    async updateCustomer(id, updateData) {
+    // etag: versión leída del cliente; si cambió en el servidor la API responde 412
+    async updateCustomer(id, updateData, etag = null) {
         return await this.makeRequest(`/customers/${id}`, {
             method: 'PUT',
             body: JSON.stringify(updateData),
+            headers: etag ? { 'If-Match': etag } : {},
         });
     }
 
@@ -81,23 +85,24 @@ class CustomerAPI {
 
     // Statistics and Analytics
     async getCustomerStats() {
-        const result = await this.getCustomers();
+        const result = await this.makeRequest('/customers/stats');
         if (!result.success) {
             return { 
                 totalCustomers: 0, 
                 activeCustomers: 0, 
                 compliancePending: 0, 
-                linkedAccounts: 0 
+                verifiedCustomers: 0 
             };
         }
 
-        const customers = result.data.data || [];
+        // Recuentos calculados en el servidor sobre todos los clientes
+        const stats = result.data.data;
         
         return {
-            totalCustomers: customers.length,
-            activeCustomers: customers.filter(c => c.complianceStatus?.status === 'approved').length,
-            compliancePending: customers.filter(c => c.complianceStatus?.status === 'pending').length,
-            linkedAccounts: customers.reduce((total, c) => total + (c.accountIds?.length || 0), 0)
+            totalCustomers: stats.total,
+            activeCustomers: stats.byStatus.active,
+            compliancePending: stats.byComplianceStatus.pending + stats.byComplianceStatus.under_review,
+            verifiedCustomers: stats.verification.identityVerified
         };
     }
 }
\ No newline at end of file
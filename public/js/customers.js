@@ -7,6 +7,7 @@ class CustomerManager {
         this.pageSize = 10;
         this.currentFilters = {};
         this.customers = [];
+        this.editingCustomer = null; // { id, etag, data } mientras se edita un cliente
         
         this.initializeEventListeners();
     }
@@ -86,7 +87,7 @@ class CustomerManager {
         if (this.customers.length === 0) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="7" style="text-align: center; padding: 2rem; color: #6b7280;">
+                    <td colspan="6" style="text-align: center; padding: 2rem; color: #6b7280;">
                         <i class="fas fa-users" style="font-size: 2rem; margin-bottom: 1rem; opacity: 0.5;"></i>
                         <br>No se encontraron clientes
                     </td>
@@ -99,8 +100,7 @@ class CustomerManager {
     }
 
     createCustomerRow(customer) {
-        const complianceStatus = customer.complianceStatus?.status || 'pending';
-        const accountCount = customer.accountIds?.length || 0;
+        const complianceStatus = customer.complianceStatus || 'pending';
         const registrationDate = this.ui.formatDate(customer.createdAt);
 
         return `
@@ -129,12 +129,6 @@ class CustomerManager {
                 <td>
                     ${this.ui.createStatusBadge(complianceStatus)}
                 </td>
-                <td>
-                    <div style="display: flex; align-items: center; gap: 0.25rem;">
-                        <i class="fas fa-credit-card" style="color: #f59e0b;"></i>
-                        <span style="font-weight: 600; color: #374151;">${accountCount}</span>
-                    </div>
-                </td>
                 <td>
                     <div style="color: #6b7280; font-size: 0.875rem;">${registrationDate}</div>
                 </td>
@@ -152,7 +146,7 @@ class CustomerManager {
         if (tbody) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="7" style="text-align: center; padding: 2rem; color: #ef4444;">
+                    <td colspan="6" style="text-align: center; padding: 2rem; color: #ef4444;">
                         <i class="fas fa-exclamation-triangle" style="font-size: 2rem; margin-bottom: 1rem;"></i>
                         <br>Error al cargar los datos
                     </td>
@@ -200,11 +194,13 @@ class CustomerManager {
 
     // Modal management
     showNewCustomerForm() {
+        this.editingCustomer = null;
         this.ui.resetForm('customer-form');
         this.ui.showModal('customer-modal');
     }
 
     closeCustomerModal() {
+        this.editingCustomer = null;
         this.ui.hideModal('customer-modal');
     }
 
@@ -219,6 +215,11 @@ class CustomerManager {
             return;
         }
 
+        if (this.editingCustomer) {
+            await this.submitCustomerUpdate(formData);
+            return;
+        }
+
         // Transform form data to API format
         const customerData = this.transformFormData(formData);
         
@@ -310,7 +311,7 @@ class CustomerManager {
             Cliente: ${customer.personalInfo?.name || 'Sin nombre'}
             Email: ${customer.email}
             Teléfono: ${customer.phone}
-            Estado Compliance: ${customer.complianceStatus?.status || 'pending'}
+            Estado Compliance: ${customer.complianceStatus || 'pending'}
             Fecha de registro: ${this.ui.formatDate(customer.createdAt)}
         `;
         
@@ -318,8 +319,112 @@ class CustomerManager {
     }
 
     async editCustomer(customerId) {
-        // Load customer data and populate the form for editing
-        this.ui.showToast('Funcionalidad de edición próximamente disponible', 'info');
+        this.ui.showLoading('Cargando datos del cliente...');
+        
+        const result = await this.api.getCustomer(customerId);
+        
+        this.ui.hideLoading();
+        
+        if (!result.success) {
+            this.ui.showToast('Error al cargar cliente: ' + result.error, 'error');
+            return;
+        }
+
+        this.ui.resetForm('customer-form');
+        this.loadIntoForm(customerId, result.data.data, result.etag);
+        this.ui.showModal('customer-modal');
+    }
+
+    // Guarda la versión (ETag) leída y rellena el formulario con los datos del cliente
+    loadIntoForm(customerId, customer, etag) {
+        this.editingCustomer = { id: customerId, etag, data: customer };
+
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value ?? '';
+        };
+        const setChecked = (id, checked) => {
+            const input = document.getElementById(id);
+            if (input) input.checked = Boolean(checked);
+        };
+
+        setValue('customer-name', `${customer.firstName || ''} ${customer.lastName || ''}`.trim());
+        setValue('customer-email', customer.email);
+        setValue('customer-phone', customer.phone);
+        setValue('customer-birth', customer.dateOfBirth?.slice(0, 10));
+        setChecked('email-notifications', customer.preferences?.notificationPreferences?.email);
+        setChecked('sms-notifications', customer.preferences?.notificationPreferences?.sms);
+        setChecked('marketing-communications', customer.preferences?.marketingConsent);
+    }
+
+    transformUpdateData(formData) {
+        const [firstName, ...lastNames] = formData.name.trim().split(/\s+/);
+        const current = this.editingCustomer.data.preferences || {};
+
+        return {
+            firstName,
+            lastName: lastNames.join(' ') || this.editingCustomer.data.lastName,
+            email: formData.email.trim(),
+            phone: formData.phone.trim(),
+            preferences: {
+                language: current.language,
+                currency: current.currency,
+                notificationPreferences: {
+                    ...current.notificationPreferences,
+                    email: formData.emailNotifications === 'on',
+                    sms: formData.smsNotifications === 'on'
+                },
+                marketingConsent: formData.marketingCommunications === 'on'
+            }
+        };
+    }
+
+    async submitCustomerUpdate(formData, force = false) {
+        const { id, etag } = this.editingCustomer;
+        const updateData = this.transformUpdateData(formData);
+
+        this.ui.showLoading('Actualizando cliente...');
+        
+        const result = await this.api.updateCustomer(id, updateData, force ? '*' : etag);
+        
+        this.ui.hideLoading();
+
+        if (result.success) {
+            this.ui.showToast('Cliente actualizado exitosamente', 'success');
+            this.closeCustomerModal();
+            this.loadCustomers(this.currentPage);
+            return;
+        }
+
+        if (result.status === 412) {
+            await this.handleUpdateConflict(formData);
+            return;
+        }
+
+        this.ui.showToast('Error al actualizar cliente: ' + result.error, 'error');
+    }
+
+    // Otro usuario modificó el registro: el usuario decide si sobrescribe o recarga
+    async handleUpdateConflict(formData) {
+        const overwrite = confirm(
+            'Este registro fue modificado por otro usuario desde que lo abrió.\n\n' +
+            'Aceptar: guardar sus cambios sobre la versión actual.\n' +
+            'Cancelar: descartar sus cambios y cargar la versión actual.'
+        );
+
+        if (overwrite) {
+            await this.submitCustomerUpdate(formData, true);
+            return;
+        }
+
+        const { id } = this.editingCustomer;
+        const latest = await this.api.getCustomer(id);
+        if (latest.success) {
+            this.loadIntoForm(id, latest.data.data, latest.etag);
+            this.ui.showToast('Se cargó la versión más reciente del cliente', 'warning');
+        } else {
+            this.ui.showToast('Error al recargar cliente: ' + latest.error, 'error');
+        }
     }
 
     async confirmDeleteCustomer(customerId) {
@@ -351,7 +456,7 @@ class CustomerManager {
         document.getElementById('total-customers').textContent = stats.totalCustomers;
         document.getElementById('active-customers').textContent = stats.activeCustomers;
         document.getElementById('compliance-pending').textContent = stats.compliancePending;
-        document.getElementById('linked-accounts').textContent = stats.linkedAccounts;
+        document.getElementById('verified-customers').textContent = stats.verifiedCustomers;
     }
 }
 
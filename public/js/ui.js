@@ -106,7 +106,7 @@ class UIManager {
     clearTable(tableId) {
         const tbody = document.querySelector(`#${tableId} tbody`);
         if (tbody) {
-            tbody.innerHTML = '<tr class="loading-row"><td colspan="7"><i class="fas fa-spinner fa-spin"></i> Cargando...</td></tr>';
+            tbody.innerHTML = '<tr class="loading-row"><td colspan="6"><i class="fas fa-spinner fa-spin"></i> Cargando...</td></tr>';
         }
     }
 
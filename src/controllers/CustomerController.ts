@@ -1,9 +1,40 @@
 import type { Request, Response, NextFunction } from 'express';
-import { Customer } from '../models/Customer.js';
+import { Customer, IDENTITY_DOCUMENT_TYPES } from '../models/Customer.js';
 import type { ICustomer } from '../models/Customer.js';
-import { AppError, catchAsync, sendSuccess, sendPaginatedResponse } from '../middleware/errorHandler.js';
+import { AppError, catchAsync, sendSuccess, sendPaginatedResponse, sendCursorPaginatedResponse } from '../middleware/errorHandler.js';
 import ExternalServicesClient from '../services/externalServices.js';
-import type { ComplianceCheckRequest } from '../services/externalServices.js';
+import AuditService from '../services/auditService.js';
+import CustomerStatusService from '../services/customerStatusService.js';
+import EmailVerificationService from '../services/emailVerificationService.js';
+import PhoneVerificationService from '../services/phoneVerificationService.js';
+import KycDocumentService from '../services/kycDocumentService.js';
+import ReKycService from '../services/reKycService.js';
+import ComplianceQueueService from '../services/complianceQueueService.js';
+import ComplianceResultService from '../services/complianceResultService.js';
+import AccountLookupService from '../services/accountLookupService.js';
+import CustomerImportService from '../services/customerImportService.js';
+import { detectImportFormat } from '../services/importParser.js';
+import {
+  buildCustomerSearchFilter,
+  buildKeysetFilter,
+  countSearchResults,
+  decodeCursor,
+  encodeCursor,
+  parseSearchSort
+} from '../services/customerSearch.js';
+import { buildHighlights, searchQueryTerms } from '../services/searchText.js';
+import CustomerExportService, { DEFAULT_EXPORT_COLUMNS } from '../services/customerExportService.js';
+import CustomerStatsService from '../services/customerStatsService.js';
+import DuplicateDetectionService from '../services/duplicateDetectionService.js';
+import CustomerMergeService from '../services/customerMergeService.js';
+import type { ICustomerImport } from '../models/CustomerImport.js';
+import type { ComplianceJobTrigger } from '../models/ComplianceCheckJob.js';
+import { getActor } from '../middleware/requestContext.js';
+import { customerSummary, recordDomainEvent } from '../services/domainEvents.js';
+import { assertIfMatch, setEntityTag } from '../middleware/concurrency.js';
+import { applyJsonPatch, applyMergePatch, deepEqual, JSON_PATCH_TYPE, MERGE_PATCH_TYPE } from '../services/jsonPatch.js';
+import { jsonPatchSchema, mergePatchSchema, updateCustomerSchema } from '../validators/customerValidator.js';
+import type Joi from 'joi';
 import mongoose from 'mongoose';
 
 // Extender interfaces de Express para incluir campos validados
@@ -19,9 +50,37 @@ declare global {
 
 class CustomerController {
   private externalServices: ExternalServicesClient;
+  private auditService: AuditService;
+  private statusService: CustomerStatusService;
+  private emailVerificationService: EmailVerificationService;
+  private phoneVerificationService: PhoneVerificationService;
+  private kycDocumentService: KycDocumentService;
+  private reKycService: ReKycService;
+  private complianceQueueService: ComplianceQueueService;
+  private complianceResultService: ComplianceResultService;
+  private accountLookupService: AccountLookupService;
+  private customerImportService: CustomerImportService;
+  private customerExportService: CustomerExportService;
+  private customerStatsService: CustomerStatsService;
+  private duplicateDetectionService: DuplicateDetectionService;
+  private customerMergeService: CustomerMergeService;
 
   constructor() {
     this.externalServices = ExternalServicesClient.getInstance();
+    this.auditService = AuditService.getInstance();
+    this.statusService = CustomerStatusService.getInstance();
+    this.emailVerificationService = EmailVerificationService.getInstance();
+    this.phoneVerificationService = PhoneVerificationService.getInstance();
+    this.kycDocumentService = KycDocumentService.getInstance();
+    this.reKycService = ReKycService.getInstance();
+    this.complianceQueueService = ComplianceQueueService.getInstance();
+    this.complianceResultService = ComplianceResultService.getInstance();
+    this.accountLookupService = AccountLookupService.getInstance();
+    this.customerImportService = CustomerImportService.getInstance();
+    this.customerExportService = CustomerExportService.getInstance();
+    this.customerStatsService = CustomerStatsService.getInstance();
+    this.duplicateDetectionService = DuplicateDetectionService.getInstance();
+    this.customerMergeService = CustomerMergeService.getInstance();
   }
 
   /**
@@ -48,14 +107,46 @@ class CustomerController {
       }
     }
 
+    // Duplicados probables (misma persona con otro email o nationalId)
+    const duplicates = await this.duplicateDetectionService.assess(customerData);
+    if (duplicates.action === 'block') {
+      if (!req.validatedQuery.allowDuplicate) {
+        res.status(409).json({
+          success: false,
+          message: 'Customer looks like a duplicate of an existing customer',
+          data: { duplicates: duplicates.matches }
+        });
+        return;
+      }
+      if (!this.duplicateDetectionService.canOverrideBlock(getActor(req).roles)) {
+        return next(new AppError('You are not allowed to create a customer flagged as duplicate', 403));
+      }
+    }
+
     // Crear el cliente
     const newCustomer = new Customer(customerData);
+    recordDomainEvent(newCustomer, 'customer.created', customerSummary(newCustomer), getActor(req));
     await newCustomer.save();
 
+    await this.auditService.record({
+      customerId: newCustomer.id,
+      action: 'create',
+      changes: this.auditService.diff({}, newCustomer.toObject(), ['documents']),
+      ...this.auditService.contextFromRequest(req)
+    });
+
     // Trigger de compliance check de forma asíncrona
-    this.triggerComplianceCheckAsync(newCustomer);
+    this.triggerComplianceCheckAsync(newCustomer, 'customer_created');
 
-    // Respuesta exitosa
+    // Respuesta exitosa; los duplicados probables se devuelven como aviso
+    if (duplicates.matches.length > 0) {
+      return sendSuccess(
+        res,
+        { ...newCustomer.toObject(), possibleDuplicates: duplicates.matches },
+        'Customer created with possible duplicates',
+        201
+      );
+    }
     sendSuccess(res, newCustomer.toObject(), 'Customer created successfully', 201);
   });
 
@@ -72,6 +163,7 @@ class CustomerController {
       return next(new AppError('Customer not found', 404));
     }
 
+    setEntityTag(res, customer);
     sendSuccess(res, customer.toObject(), 'Customer retrieved successfully');
   });
 
@@ -92,6 +184,13 @@ class CustomerController {
       return next(new AppError('Customer not found with this National ID', 404));
     }
 
+    // Registro fusionado: redirigir al cliente que lo absorbió
+    if (customer.mergedInto) {
+      res.setHeader('X-Merged-Into', String(customer.mergedInto));
+      return res.redirect(308, `${req.baseUrl}/${customer.mergedInto}`);
+    }
+
+    setEntityTag(res, customer);
     sendSuccess(res, customer.toObject(), 'Customer retrieved successfully');
   });
 
@@ -115,22 +214,229 @@ class CustomerController {
       }
     }
 
-    const customer = await Customer.findByIdAndUpdate(
-      id,
-      updateData,
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    const customer = await Customer.findById(id);
 
     if (!customer) {
       return next(new AppError('Customer not found', 404));
     }
 
+    // Rechazar la actualización si el cliente cambió desde que se leyó (If-Match)
+    assertIfMatch(req, customer);
+
+    // Snapshot previo para el historial de cambios
+    const before = customer.toObject();
+
+    customer.set(updateData);
+    const contactChanges = this.resetContactVerificationIfChanged(customer);
+    const changes = this.auditService.diff(before, customer.toObject(), ['documents']);
+    this.recordUpdatedEvent(req, customer, changes.map(change => change.field));
+    await customer.save();
+
+    await this.auditService.record({
+      customerId: customer.id,
+      action: 'update',
+      changes,
+      ...this.auditService.contextFromRequest(req)
+    });
+
+    this.handleContactChangesAsync(customer, contactChanges);
+
+    setEntityTag(res, customer);
+    sendSuccess(res, customer.toObject(), 'Customer updated successfully');
+  });
+
+  /**
+   * Actualización parcial de un cliente
+   * PATCH /customers/:id
+   * Acepta application/merge-patch+json (RFC 7386) y application/json-patch+json (RFC 6902)
+   */
+  public patchCustomer = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const { id } = req.validatedParams;
+
+    const patchType = req.is([MERGE_PATCH_TYPE, JSON_PATCH_TYPE]);
+    if (!patchType) {
+      res.setHeader('Accept-Patch', `${MERGE_PATCH_TYPE}, ${JSON_PATCH_TYPE}`);
+      return next(new AppError(`Unsupported patch format. Use ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}`, 415));
+    }
+
+    const isJsonPatch = patchType === JSON_PATCH_TYPE;
+    const { error: patchError } = (isJsonPatch ? jsonPatchSchema : mergePatchSchema).validate(req.body, {
+      abortEarly: false
+    });
+    if (patchError) {
+      return this.sendValidationErrors(res, 'Invalid patch document', patchError);
+    }
+
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    assertIfMatch(req, customer);
+
+    const before = customer.toObject();
+    const current = this.toPatchableView(before);
+    const patched = isJsonPatch ? applyJsonPatch(current, req.body) : applyMergePatch(current, req.body);
+
+    // Campos de primer nivel modificados por el patch
+    const changedFields = [...new Set([...Object.keys(current), ...Object.keys(patched)])]
+      .filter(field => !deepEqual(current[field], patched[field]));
+
+    // Los documentos KYC solo se pueden eliminar vía PATCH; altas y cambios van por sus endpoints
+    let removedDocuments: any[] = [];
+    if (changedFields.includes('documents')) {
+      const remaining: any[] = Array.isArray(patched.documents) ? patched.documents : [];
+      const originals: any[] = current.documents || [];
+      const onlyRemovals = remaining.every(doc =>
+        originals.some(original => deepEqual(original, doc))
+      );
+
+      if (!onlyRemovals) {
+        return next(new AppError('Documents can only be removed through PATCH. Use the documents endpoints to add or modify them', 400));
+      }
+
+      const keptIds = new Set(remaining.map(doc => doc._id));
+      removedDocuments = originals.filter(doc => !keptIds.has(doc._id));
+    }
+
+    // El resultado se valida con las mismas reglas que PUT (incluye los campos protegidos)
+    const candidate: Record<string, any> = {};
+    for (const field of changedFields.filter(field => field !== 'documents')) {
+      candidate[field] = field in patched ? patched[field] : null;
+    }
+
+    let updateData: Record<string, any> = {};
+    if (Object.keys(candidate).length > 0) {
+      const { error, value } = updateCustomerSchema.validate(candidate, {
+        abortEarly: false,
+        convert: true
+      });
+      if (error) {
+        return this.sendValidationErrors(res, 'Validation error', error);
+      }
+      updateData = value;
+    }
+
+    if (updateData.email) {
+      const existingCustomer = await Customer.findOne({
+        email: updateData.email,
+        _id: { $ne: id }
+      });
+
+      if (existingCustomer) {
+        return next(new AppError('Email address is already in use by another customer', 409));
+      }
+    }
+
+    for (const [field, value] of Object.entries(updateData)) {
+      customer.set(field, value === null || value === '' ? undefined : value);
+    }
+
+    if (removedDocuments.length > 0) {
+      const removedIds = new Set(removedDocuments.map(doc => doc._id));
+      customer.set('documents', customer.documents.filter(doc => !removedIds.has(doc._id?.toString())));
+      // Sin el documento de identidad aprobado la identidad deja de estar verificada
+      customer.identityVerified = this.kycDocumentService.hasValidIdentityDocument(customer);
+    }
+
+    const contactChanges = this.resetContactVerificationIfChanged(customer);
+    const changes = [
+      ...this.auditService.diff(before, customer.toObject(), ['documents']),
+      ...removedDocuments.map(doc => ({
+        field: 'documents',
+        from: { id: doc._id, type: doc.type, filename: doc.filename },
+        to: null
+      }))
+    ];
+    this.recordUpdatedEvent(req, customer, changes.map(change => change.field));
+    await customer.save();
+
+    await this.auditService.record({
+      customerId: customer.id,
+      action: 'update',
+      changes,
+      ...this.auditService.contextFromRequest(req)
+    });
+
+    await this.kycDocumentService.deleteStoredFiles(removedDocuments);
+    this.handleContactChangesAsync(customer, contactChanges);
+
+    setEntityTag(res, customer);
     sendSuccess(res, customer.toObject(), 'Customer updated successfully');
   });
 
+  /**
+   * Solicitar verificación de email (envía un token firmado de un solo uso)
+   * POST /customers/:id/email/verification
+   */
+  public requestEmailVerification = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const { id } = req.validatedParams;
+
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    const { expiresAt } = await this.emailVerificationService.issue(customer);
+
+    sendSuccess(res, { email: customer.email, expiresAt }, 'Verification email sent', 202);
+  });
+
+  /**
+   * Confirmar email con el token recibido
+   * POST /customers/email/verify
+   */
+  public verifyEmail = catchAsync(async (req: Request, res: Response) => {
+    const { token } = req.validatedBody;
+
+    const customer = await this.emailVerificationService.verify(token, this.auditService.contextFromRequest(req));
+
+    sendSuccess(res, {
+      id: customer.id,
+      email: customer.email,
+      emailVerified: customer.emailVerified
+    }, 'Email verified successfully');
+  });
+
+  /**
+   * Solicitar código OTP para verificar el teléfono
+   * POST /customers/:id/phone/verification
+   */
+  public requestPhoneVerification = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const { id } = req.validatedParams;
+
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    const { expiresAt, resendAvailableAt } = await this.phoneVerificationService.requestCode(customer);
+
+    sendSuccess(res, { phone: customer.phone, expiresAt, resendAvailableAt }, 'Verification code sent', 202);
+  });
+
+  /**
+   * Verificar el teléfono con el código OTP recibido
+   * POST /customers/:id/phone/verify
+   */
+  public verifyPhone = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const { id } = req.validatedParams;
+    const { code } = req.validatedBody;
+
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    await this.phoneVerificationService.verifyCode(customer, code, this.auditService.contextFromRequest(req));
+
+    sendSuccess(res, {
+      id: customer.id,
+      phone: customer.phone,
+      phoneVerified: customer.phoneVerified
+    }, 'Phone verified successfully');
+  });
+
   /**
    * Obtener cuentas de un cliente (consultando MS2)
    * GET /customers/:id/accounts
@@ -145,8 +451,9 @@ class CustomerController {
     }
 
     try {
-      // Consultar cuentas en MS2
-      const accounts = await this.externalServices.getCustomerAccounts(id);
+      // Consultar cuentas en MS2 (con caché; si MS2 no responde se sirven datos vencidos)
+      const { refresh } = req.validatedQuery;
+      const lookup = await this.accountLookupService.getAccounts(id, { refresh });
       
       const responseData = {
         customer: {
@@ -155,10 +462,20 @@ class CustomerController {
           lastName: customer.lastName,
           email: customer.email
         },
-        accounts
+        accounts: lookup.accounts,
+        stale: lookup.stale,
+        cachedAt: lookup.cachedAt.toISOString(),
+        ageSeconds: lookup.ageSeconds
       };
 
-      sendSuccess(res, responseData, `Retrieved ${accounts.length} accounts for customer`);
+      res.set('Age', String(lookup.ageSeconds));
+      sendSuccess(
+        res,
+        responseData,
+        lookup.stale
+          ? `Retrieved ${lookup.accounts.length} accounts for customer (stale: account service unavailable)`
+          : `Retrieved ${lookup.accounts.length} accounts for customer`
+      );
     } catch (error) {
       // El error ya viene formateado desde externalServices
       return next(new AppError((error as Error).message, 503));
@@ -166,59 +483,177 @@ class CustomerController {
   });
 
   /**
-   * Buscar clientes con filtros y paginación
+   * Buscar clientes con filtros, ordenación y paginación por número de página o por cursor (after/before)
    * GET /customers
    */
   public searchCustomers = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
-    const { q, status, complianceStatus, country, page, limit } = req.validatedQuery;
-
-    // Construir filtro de búsqueda
-    const filter: any = {};
+    const { q, page, limit, after, before, sort, fields, count } = req.validatedQuery;
+    const cursorValue: string | undefined = after || before;
+    // Con before se recorren los resultados en sentido inverso y después se restablece el orden
+    const backwards = Boolean(before);
 
-    if (q) {
-      filter.$or = [
-        { firstName: { $regex: q, $options: 'i' } },
-        { lastName: { $regex: q, $options: 'i' } },
-        { email: { $regex: q, $options: 'i' } },
-        { nationalId: { $regex: q, $options: 'i' } }
-      ];
+    // Orden pedido; null es el orden por relevancia
+    const searchSort = parseSearchSort(sort, Boolean(q));
+    if (cursorValue && !searchSort) {
+      throw new AppError('Cursor pagination is not available when sorting by relevance; use page instead', 400);
     }
 
-    if (status) {
-      filter.status = status;
+    // Construir filtro de búsqueda; con cursor solo se piden los clientes posteriores (o anteriores) a él
+    const filter = buildCustomerSearchFilter(req.validatedQuery);
+    const direction = (searchSort && backwards ? -searchSort.direction : searchSort?.direction ?? -1) as 1 | -1;
+    let pageFilter = filter;
+    if (searchSort && cursorValue) {
+      const keyset = buildKeysetFilter(searchSort.field, direction, decodeCursor(cursorValue, searchSort));
+      pageFilter = { ...filter, $and: [...(filter.$and || []), keyset] };
     }
 
-    if (complianceStatus) {
-      filter.complianceStatus = complianceStatus;
+    // Se pide un cliente de más para saber si hay otra página
+    const query = Customer.find(pageFilter).limit(limit + 1);
+    if (fields) {
+      // El campo de orden siempre se incluye: el cursor se construye con él
+      query.select([...new Set([...fields, ...(searchSort ? [searchSort.field] : [])])].join(' '));
+    } else {
+      query.select('-documents -statusHistory -outbox -matchKeys -__v'); // Excluir campos sensibles/innecesarios
     }
-
-    if (country) {
-      filter['address.country'] = { $regex: country, $options: 'i' };
+    if (filter.$text) {
+      query.select({ score: { $meta: 'textScore' } });
+    }
+    if (searchSort) {
+      query.sort({ [searchSort.field]: direction, _id: direction });
+    } else {
+      query.sort(filter.$text ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 });
+    }
+    if (!cursorValue) {
+      query.skip((page - 1) * limit);
     }
 
-    // Contar total de documentos
-    const totalCount = await Customer.countDocuments(filter);
+    // Por defecto el total es exacto con page y se omite con cursor
+    const [results, total] = await Promise.all([
+      query,
+      countSearchResults(filter, req.validatedQuery, count || (cursorValue ? 'none' : 'exact'))
+    ]);
+    const hasMore = results.length > limit;
+    const customers = results.slice(0, limit);
+    if (backwards) {
+      customers.reverse();
+    }
 
-    // Obtener documentos paginados
-    const skip = (page - 1) * limit;
-    const customers = await Customer.find(filter)
-      .select('-documents -__v') // Excluir campos sensibles/innecesarios
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    // Puntuación de relevancia y campos con las coincidencias marcadas
+    const terms = q ? searchQueryTerms(q) : [];
+    const safeCustomers = customers.map(customer => {
+      const safeCustomer = customer.toObject();
+      if (!filter.$text) {
+        return safeCustomer;
+      }
+      return {
+        ...safeCustomer,
+        score: Math.round(customer.get('score') * 100) / 100,
+        highlights: buildHighlights(safeCustomer, terms)
+      };
+    });
 
-    const safeCustomers = customers.map(customer => customer.toObject());
+    const hasNextPage = backwards || hasMore;
+    const hasPreviousPage = backwards ? hasMore : Boolean(after) || page > 1;
+    const cursorFor = (customer: Record<string, any> | undefined): string | null =>
+      (searchSort && customer ? encodeCursor(searchSort, customer) : null);
 
-    sendPaginatedResponse(
+    sendCursorPaginatedResponse(
       res,
       safeCustomers,
-      totalCount,
-      page,
-      limit,
+      {
+        ...(!cursorValue && { currentPage: page }),
+        ...(total && {
+          totalPages: Math.ceil(total.totalItems / limit),
+          totalItems: total.totalItems,
+          totalIsEstimate: total.totalIsEstimate
+        }),
+        itemsPerPage: limit,
+        hasNextPage,
+        hasPreviousPage,
+        nextCursor: hasNextPage ? cursorFor(safeCustomers[safeCustomers.length - 1]) : null,
+        previousCursor: hasPreviousPage ? cursorFor(safeCustomers[0]) : null
+      },
       `Retrieved ${customers.length} customers`
     );
   });
 
+  /**
+   * Exportar todos los clientes que cumplen los filtros de búsqueda (CSV o NDJSON por streaming)
+   * GET /customers/export
+   */
+  public exportCustomers = catchAsync(async (req: Request, res: Response) => {
+    const { format, columns, ...filters } = req.validatedQuery;
+    const actor = getActor(req);
+    const maskPii = !this.customerExportService.canViewPii(actor.roles);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.status(200);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="customers-${timestamp}.${format}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-PII-Masked', String(maskPii));
+
+    try {
+      const rows = await this.customerExportService.stream(res, {
+        filters,
+        format,
+        columns: columns || DEFAULT_EXPORT_COLUMNS,
+        maskPii
+      });
+      console.log(`📤 Customer export by ${actor.type}:${actor.id}: ${rows} rows (${format}, PII ${maskPii ? 'masked' : 'visible'})`);
+      res.end();
+    } catch (error) {
+      // Con la respuesta ya empezada no se puede enviar un error JSON: se corta la conexión
+      if (!res.headersSent) {
+        throw error;
+      }
+      console.error('❌ Customer export failed:', (error as Error).message);
+      res.destroy(error as Error);
+    }
+  });
+
+  /**
+   * Recuentos de clientes por estado, compliance, país y verificaciones
+   * GET /customers/stats
+   */
+  public getCustomerStats = catchAsync(async (req: Request, res: Response) => {
+    const { from, to, format } = req.validatedQuery;
+    const stats = await this.customerStatsService.getStats({ from, to });
+
+    if (format === 'csv') {
+      return this.sendCsvReport(res, 'customer-stats', this.customerStatsService.statsToCsv(stats));
+    }
+    sendSuccess(res, stats, 'Customer statistics retrieved');
+  });
+
+  /**
+   * Altas de clientes por día, semana o mes
+   * GET /customers/reports/registrations
+   */
+  public getRegistrationReport = catchAsync(async (req: Request, res: Response) => {
+    const { from, to, interval, format } = req.validatedQuery;
+    const trend = await this.customerStatsService.getRegistrationTrend(interval, { from, to });
+
+    if (format === 'csv') {
+      return this.sendCsvReport(res, `customer-registrations-${interval}`, this.customerStatsService.trendToCsv(trend));
+    }
+    sendSuccess(res, trend, `Retrieved ${trend.periods.length} periods`);
+  });
+
+  /**
+   * Embudo de alta (registro → verificaciones → documentos → compliance → activo)
+   * GET /customers/reports/funnel
+   */
+  public getOnboardingFunnel = catchAsync(async (req: Request, res: Response) => {
+    const { from, to, format } = req.validatedQuery;
+    const funnel = await this.customerStatsService.getOnboardingFunnel({ from, to });
+
+    if (format === 'csv') {
+      return this.sendCsvReport(res, 'customer-onboarding-funnel', this.customerStatsService.funnelToCsv(funnel));
+    }
+    sendSuccess(res, funnel, 'Onboarding funnel retrieved');
+  });
+
   /**
    * Agregar documento KYC a un cliente
    * POST /customers/:id/documents
@@ -232,24 +667,457 @@ class CustomerController {
       return next(new AppError('Customer not found', 404));
     }
 
-    // Agregar el documento
-    customer.documents.push({
-      type: documentData.type,
-      filename: documentData.filename,
-      uploadDate: new Date(),
-      verified: false
-    });
-
-    await customer.save();
+    // Validar, almacenar y registrar el archivo subido
+    const addedDocument = await this.kycDocumentService.addDocument(
+      customer,
+      documentData,
+      req.file as Express.Multer.File,
+      getActor(req)
+    );
 
     // Si es un documento de identidad, podríamos triggear una nueva verificación
-    if (['national_id', 'passport', 'driving_license'].includes(documentData.type)) {
-      this.triggerComplianceCheckAsync(customer);
+    if (IDENTITY_DOCUMENT_TYPES.includes(documentData.type)) {
+      this.triggerComplianceCheckAsync(customer, 'identity_document_added');
     }
 
+    await this.auditService.record({
+      customerId: customer.id,
+      action: 'document_added',
+      changes: [{
+        field: 'documents',
+        from: null,
+        to: {
+          id: addedDocument._id?.toString(),
+          type: addedDocument.type,
+          filename: addedDocument.filename,
+          contentType: addedDocument.contentType,
+          size: addedDocument.size,
+          checksum: addedDocument.checksum,
+          issuingCountry: addedDocument.issuingCountry,
+          expiryDate: addedDocument.expiryDate
+        }
+      }],
+      ...this.auditService.contextFromRequest(req)
+    });
+
     sendSuccess(res, customer.toObject(), 'Document added successfully');
   });
 
+  /**
+   * Descargar el archivo de un documento KYC
+   * GET /customers/:id/documents/:docId/content
+   */
+  public getKycDocumentContent = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const { id, docId } = req.validatedParams;
+
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    const { document, content } = await this.kycDocumentService.readContent(customer, docId);
+
+    console.log(`📄 Document ${docId} of customer ${id} downloaded by ${req.actor?.id}`);
+
+    const downloadName = (document.originalName || document.filename).replace(/"/g, '');
+    res.setHeader('Content-Type', document.contentType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${downloadName}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    if (document.checksum) {
+      res.setHeader('Digest', `sha-256=${Buffer.from(document.checksum, 'hex').toString('base64')}`);
+    }
+    res.status(200).send(content);
+  });
+
+  /**
+   * Aprobar o rechazar un documento KYC
+   * POST /customers/:id/documents/:docId/review
+   */
+  public reviewKycDocument = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const { id, docId } = req.validatedParams;
+    const review = req.validatedBody;
+
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    const document = await this.kycDocumentService.reviewDocument(
+      customer,
+      docId,
+      review,
+      this.auditService.contextFromRequest(req)
+    );
+
+    setEntityTag(res, customer);
+    sendSuccess(res, {
+      document,
+      identityVerified: customer.identityVerified
+    }, `Document ${document.reviewStatus}`);
+  });
+
+  /**
+   * Cola de documentos KYC pendientes de revisión
+   * GET /customers/documents/review-queue
+   */
+  public getDocumentReviewQueue = catchAsync(async (req: Request, res: Response) => {
+    const { page, limit, type } = req.validatedQuery;
+
+    const { items, totalCount } = await this.kycDocumentService.getReviewQueue({ page, limit, type });
+
+    sendPaginatedResponse(res, items, totalCount, page, limit, `Retrieved ${items.length} documents pending review`);
+  });
+
+  /**
+   * Listar clientes con re-KYC pendiente por documentos vencidos o por vencer
+   * GET /customers/re-kyc/due
+   */
+  public getReKycDue = catchAsync(async (req: Request, res: Response) => {
+    const { status, page, limit } = req.validatedQuery;
+
+    const { customers, totalCount } = await this.reKycService.listDue({ status, page, limit });
+
+    sendPaginatedResponse(
+      res,
+      customers.map(customer => customer.toObject()),
+      totalCount,
+      page,
+      limit,
+      `Retrieved ${customers.length} customers due for re-KYC`
+    );
+  });
+
+  /**
+   * Ejecutar manualmente la revisión de vencimientos de documentos
+   * POST /customers/re-kyc/run
+   */
+  public runReKycSweep = catchAsync(async (req: Request, res: Response) => {
+    const result = await this.reKycService.runSweep();
+
+    sendSuccess(res, result, 'Re-KYC sweep completed');
+  });
+
+  /**
+   * Informe de duplicados probables generado por la revisión periódica
+   * GET /customers/duplicates
+   */
+  public getDuplicateCandidates = catchAsync(async (req: Request, res: Response) => {
+    const { status, minScore, page, limit } = req.validatedQuery;
+
+    const { candidates, totalCount } = await this.duplicateDetectionService.list({ status, minScore, page, limit });
+
+    sendPaginatedResponse(
+      res,
+      candidates.map(candidate => candidate.toObject()),
+      totalCount,
+      page,
+      limit,
+      `Retrieved ${candidates.length} duplicate candidates`
+    );
+  });
+
+  /**
+   * Ejecutar manualmente la revisión de duplicados
+   * POST /customers/duplicates/scan
+   */
+  public runDuplicateScan = catchAsync(async (req: Request, res: Response) => {
+    const result = await this.duplicateDetectionService.scan();
+
+    sendSuccess(res, result, 'Duplicate scan completed');
+  });
+
+  /**
+   * Descartar un par de duplicados probables
+   * POST /customers/duplicates/:candidateId/dismiss
+   */
+  public dismissDuplicateCandidate = catchAsync(async (req: Request, res: Response) => {
+    const candidate = await this.duplicateDetectionService.dismiss(
+      req.validatedParams.candidateId,
+      getActor(req),
+      req.validatedBody.reason
+    );
+
+    sendSuccess(res, candidate.toObject(), 'Duplicate candidate dismissed');
+  });
+
+  /**
+   * Duplicados probables de un cliente
+   * GET /customers/:id/duplicates
+   */
+  public getCustomerDuplicates = catchAsync(async (req: Request, res: Response) => {
+    const duplicates = await this.duplicateDetectionService.findForCustomer(req.validatedParams.id);
+
+    sendSuccess(res, duplicates, `Found ${duplicates.length} possible duplicates`);
+  });
+
+  /**
+   * Fusionar un cliente duplicado (sourceId) en este cliente
+   * POST /customers/:id/merge
+   */
+  public mergeCustomer = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const { id } = req.validatedParams;
+    const { sourceId, reason } = req.validatedBody;
+
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    assertIfMatch(req, customer);
+
+    const result = await this.customerMergeService.merge(
+      customer,
+      sourceId,
+      reason,
+      this.auditService.contextFromRequest(req)
+    );
+
+    setEntityTag(res, result.customer);
+    sendSuccess(
+      res,
+      { ...result.customer.toObject(), mergedSourceId: result.sourceId, documentsMoved: result.documentsMoved },
+      'Customers merged successfully'
+    );
+  });
+
+  /**
+   * Redirige las peticiones sobre un registro fusionado al cliente que lo absorbió (308 conserva el método)
+   * Se registra con router.param('id')
+   */
+  public redirectMergedCustomer = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const id = req.params.id;
+    if (!id || !mongoose.isValidObjectId(id)) {
+      return next();
+    }
+
+    const merged = await Customer.findOne({ _id: id, mergedInto: { $exists: true } }).select('mergedInto').lean();
+    if (!merged) {
+      return next();
+    }
+
+    res.setHeader('X-Merged-Into', String(merged.mergedInto));
+    res.redirect(308, req.originalUrl.replace(`/${id}`, `/${merged.mergedInto}`));
+  });
+
+  /**
+   * Obtener el historial de verificaciones de compliance de un cliente
+   * GET /customers/:id/compliance
+   */
+  public getComplianceHistory = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const { id } = req.validatedParams;
+    const { page, limit } = req.validatedQuery;
+
+    if (!(await Customer.exists({ _id: id }))) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    const { results, totalCount } = await this.complianceResultService.getHistory(id, { page, limit });
+
+    sendPaginatedResponse(
+      res,
+      results.map(result => result.toObject()),
+      totalCount,
+      page,
+      limit,
+      `Retrieved ${results.length} compliance checks`
+    );
+  });
+
+  /**
+   * Solicitar manualmente una nueva verificación de compliance
+   * POST /customers/:id/compliance/check
+   */
+  public requestComplianceCheck = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const { id } = req.validatedParams;
+
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    if (customer.status === 'inactive') {
+      return next(new AppError('Cannot run compliance checks for an inactive customer', 409));
+    }
+
+    const job = await this.complianceQueueService.enqueue(customer.id, 'manual');
+
+    sendSuccess(res, job.toObject(), 'Compliance check queued', 202);
+  });
+
+  /**
+   * Importación masiva de clientes desde CSV (text/csv) o NDJSON (application/x-ndjson).
+   * Con ?dryRun=true solo valida y devuelve el informe de errores por fila.
+   * POST /customers/imports
+   */
+  public importCustomers = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const { dryRun, format: requestedFormat } = req.validatedQuery;
+
+    const format = requestedFormat || detectImportFormat(req.headers['content-type']);
+    if (!format) {
+      return next(new AppError('Unsupported import format. Send text/csv or application/x-ndjson (or use ?format=)', 415));
+    }
+
+    if (dryRun) {
+      const report = await this.customerImportService.dryRun(req, format);
+      return sendSuccess(res, report, `Dry run completed: ${report.validRows} valid, ${report.invalidRows} invalid rows`);
+    }
+
+    const job = await this.customerImportService.start(req, format, getActor(req));
+    sendSuccess(res, this.toImportView(job), 'Import accepted', 202);
+  });
+
+  /**
+   * Listar importaciones masivas
+   * GET /customers/imports
+   */
+  public getImports = catchAsync(async (req: Request, res: Response) => {
+    const { status, page, limit } = req.validatedQuery;
+
+    const { imports, totalCount } = await this.customerImportService.list({ status, page, limit });
+
+    sendPaginatedResponse(
+      res,
+      imports.map(job => this.toImportView(job)),
+      totalCount,
+      page,
+      limit,
+      `Retrieved ${imports.length} imports`
+    );
+  });
+
+  /**
+   * Progreso de una importación
+   * GET /customers/imports/:importId
+   */
+  public getImport = catchAsync(async (req: Request, res: Response) => {
+    const job = await this.customerImportService.get(req.validatedParams.importId);
+
+    sendSuccess(res, this.toImportView(job), 'Import retrieved successfully');
+  });
+
+  /**
+   * Resultado por fila de una importación (?status=invalid|failed|created|pending)
+   * GET /customers/imports/:importId/rows
+   */
+  public getImportRows = catchAsync(async (req: Request, res: Response) => {
+    const { importId } = req.validatedParams;
+    const { status, page, limit } = req.validatedQuery;
+
+    const { rows, totalCount } = await this.customerImportService.getRows(importId, { status, page, limit });
+
+    sendPaginatedResponse(
+      res,
+      rows.map(row => row.toObject()),
+      totalCount,
+      page,
+      limit,
+      `Retrieved ${rows.length} import rows`
+    );
+  });
+
+  /**
+   * Detener una importación en curso
+   * POST /customers/imports/:importId/cancel
+   */
+  public cancelImport = catchAsync(async (req: Request, res: Response) => {
+    const job = await this.customerImportService.cancel(req.validatedParams.importId);
+
+    sendSuccess(res, this.toImportView(job), 'Import cancelled');
+  });
+
+  /**
+   * Reanudar una importación cancelada
+   * POST /customers/imports/:importId/resume
+   */
+  public resumeImport = catchAsync(async (req: Request, res: Response) => {
+    const job = await this.customerImportService.resume(req.validatedParams.importId);
+
+    sendSuccess(res, this.toImportView(job), 'Import resumed', 202);
+  });
+
+  /**
+   * Listar los trabajos de verificación de compliance (p.ej. los que quedaron en dead letter)
+   * GET /customers/compliance/jobs
+   */
+  public getComplianceJobs = catchAsync(async (req: Request, res: Response) => {
+    const { status, customerId, page, limit } = req.validatedQuery;
+
+    const { jobs, totalCount } = await this.complianceQueueService.listJobs({ status, customerId, page, limit });
+
+    sendPaginatedResponse(
+      res,
+      jobs.map(job => job.toObject()),
+      totalCount,
+      page,
+      limit,
+      `Retrieved ${jobs.length} compliance jobs`
+    );
+  });
+
+  /**
+   * Volver a encolar un trabajo de compliance en dead letter
+   * POST /customers/compliance/jobs/:jobId/redrive
+   */
+  public redriveComplianceJob = catchAsync(async (req: Request, res: Response) => {
+    const { jobId } = req.validatedParams;
+
+    const job = await this.complianceQueueService.redrive(jobId, getActor(req).id);
+
+    sendSuccess(res, job.toObject(), 'Compliance job re-queued successfully', 202);
+  });
+
+  /**
+   * Cambiar el estado de un cliente según la máquina de estados
+   * POST /customers/:id/status
+   */
+  public changeCustomerStatus = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const { id } = req.validatedParams;
+    const { status, reason } = req.validatedBody;
+
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    assertIfMatch(req, customer);
+
+    const from = customer.status;
+    await this.statusService.transition(customer, status, reason, this.auditService.contextFromRequest(req));
+
+    setEntityTag(res, customer);
+    sendSuccess(res, {
+      customer: customer.toObject(),
+      transition: { from, to: status, reason },
+      allowedTransitions: this.statusService.getAllowedTransitions(customer.status)
+    }, `Customer status changed from ${from} to ${status}`);
+  });
+
+  /**
+   * Obtener historial de cambios (auditoría) de un cliente
+   * GET /customers/:id/history
+   */
+  public getCustomerHistory = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
+    const { id } = req.validatedParams;
+    const { page, limit, field, action } = req.validatedQuery;
+
+    const customer = await Customer.findById(id).select('mergedFrom');
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    const customerIds = [id, ...customer.mergedFrom.map(mergedId => String(mergedId))];
+    const { entries, totalCount } = await this.auditService.getHistory(customerIds, { page, limit, field, action });
+
+    sendPaginatedResponse(
+      res,
+      entries.map(entry => entry.toJSON()),
+      totalCount,
+      page,
+      limit,
+      `Retrieved ${entries.length} history entries`
+    );
+  });
+
   /**
    * Obtener estadísticas de salud del servicio
    * GET /health
@@ -266,6 +1134,7 @@ class CustomerController {
         ms2_accounts: servicesHealth.ms2,
         ms4_compliance: servicesHealth.ms4
       },
+      dependencies: this.externalServices.getDependencyStatus(),
       version: '1.0.0',
       uptime: process.uptime()
     };
@@ -275,58 +1144,114 @@ class CustomerController {
   });
 
   /**
-   * Trigger compliance check de forma asíncrona
-   * No bloquea la respuesta al cliente
+   * Agrega el evento customer.updated al outbox si la actualización modifica algún campo
    */
-  private async triggerComplianceCheckAsync(customer: ICustomer): Promise<void> {
-    try {
-      const complianceRequest: ComplianceCheckRequest = {
-        customerId: customer.id,
-        customerData: {
-          firstName: customer.firstName,
-          lastName: customer.lastName,
-          email: customer.email,
-          nationalId: customer.nationalId,
-          dateOfBirth: customer.dateOfBirth.toISOString(),
-          address: {
-            country: customer.address.country,
-            state: customer.address.state,
-            city: customer.address.city
-          }
-        },
-        documents: customer.documents.map(doc => ({
-          type: doc.type,
-          filename: doc.filename
-        }))
-      };
+  private recordUpdatedEvent(req: Request, customer: ICustomer, fields: string[]): void {
+    if (fields.length === 0) {
+      return;
+    }
 
-      // Ejecutar de forma asíncrona sin esperar
-      setImmediate(async () => {
-        try {
-          const complianceResult = await this.externalServices.triggerComplianceCheck(complianceRequest);
-          
-          if (complianceResult) {
-            // Actualizar estado de compliance en la base de datos
-            await Customer.findByIdAndUpdate(customer._id, {
-              complianceStatus: complianceResult.status,
-              complianceNotes: complianceResult.notes,
-              complianceCheckedAt: new Date(complianceResult.checkedAt)
-            });
-
-            console.log(`✅ Compliance check completed for customer ${customer._id}: ${complianceResult.status}`);
-          } else {
-            console.warn(`⚠️ Compliance check failed for customer ${customer._id}, will be retried later`);
-          }
-        } catch (error) {
-          console.error(`❌ Error in async compliance check for customer ${customer._id}:`, error);
-        }
+    // Solo se publica el campo de primer nivel (p.ej. "address"), no los valores
+    const changedFields = [...new Set(fields.map(field => field.split('.')[0] as string))];
+    recordDomainEvent(customer, 'customer.updated', {
+      changedFields,
+      customer: customerSummary(customer)
+    }, getActor(req));
+  }
+
+  /**
+   * Un cambio de email o teléfono invalida la verificación previa
+   */
+  private resetContactVerificationIfChanged(customer: ICustomer): { emailChanged: boolean; phoneChanged: boolean } {
+    const emailChanged = customer.isModified('email');
+    const phoneChanged = customer.isModified('phone');
+
+    if (emailChanged) {
+      customer.emailVerified = false;
+    }
+    if (phoneChanged) {
+      customer.phoneVerified = false;
+    }
+
+    return { emailChanged, phoneChanged };
+  }
+
+  /**
+   * Tras un cambio de contacto: envía el token al nuevo email e invalida los OTP pendientes,
+   * sin bloquear la respuesta
+   */
+  private handleContactChangesAsync(
+    customer: ICustomer,
+    { emailChanged, phoneChanged }: { emailChanged: boolean; phoneChanged: boolean }
+  ): void {
+    if (emailChanged) {
+      this.emailVerificationService.issue(customer).catch(error => {
+        console.error(`❌ Error sending email verification for customer ${customer._id}:`, error);
       });
+    }
 
-    } catch (error) {
-      console.error('❌ Error setting up compliance check:', error);
+    if (phoneChanged) {
+      this.phoneVerificationService.invalidate(customer.id).catch(error => {
+        console.error(`❌ Error invalidating phone verification for customer ${customer._id}:`, error);
+      });
     }
   }
 
+  /**
+   * Importación con el porcentaje de filas válidas ya procesadas
+   */
+  private toImportView(job: ICustomerImport): Record<string, any> {
+    return {
+      ...job.toObject(),
+      progress: job.validRows > 0 ? Math.floor((job.processedRows / job.validRows) * 100) : 100
+    };
+  }
+
+  /**
+   * Representación JSON del cliente sobre la que se aplican los patches.
+   * Se omiten los identificadores internos de los subdocumentos de dirección y preferencias.
+   */
+  private toPatchableView(customer: Record<string, any>): Record<string, any> {
+    const view = JSON.parse(JSON.stringify(customer));
+    delete view._id;
+    delete view.__v;
+    delete view.address?._id;
+    delete view.preferences?._id;
+    return view;
+  }
+
+  private sendValidationErrors(res: Response, message: string, error: Joi.ValidationError): void {
+    res.status(400).json({
+      success: false,
+      message,
+      errors: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }))
+    });
+  }
+
+  /**
+   * Informe en CSV como descarga con la fecha en el nombre del archivo
+   */
+  private sendCsvReport(res: Response, name: string, csv: string): void {
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-${date}.csv"`);
+    res.status(200).send(csv);
+  }
+
+  /**
+   * Encola la verificación de compliance en MS4 (cola persistente con reintentos)
+   * No bloquea la respuesta al cliente
+   */
+  private triggerComplianceCheckAsync(customer: ICustomer, trigger: ComplianceJobTrigger): void {
+    this.complianceQueueService.enqueue(customer.id, trigger).catch(error => {
+      console.error(`❌ Error enqueuing compliance check for customer ${customer._id}:`, error);
+    });
+  }
+
   /**
    * Eliminar cliente (soft delete)
    * DELETE /customers/:id
@@ -334,16 +1259,24 @@ class CustomerController {
   public deleteCustomer = catchAsync(async (req: Request, res: Response, next: NextFunction) => {
     const { id } = req.validatedParams;
 
-    const customer = await Customer.findByIdAndUpdate(
-      id,
-      { status: 'inactive' },
-      { new: true }
-    );
+    const customer = await Customer.findById(id);
 
     if (!customer) {
       return next(new AppError('Customer not found', 404));
     }
 
+    assertIfMatch(req, customer);
+
+    // Desactivar pasa por la máquina de estados; repetir el DELETE es idempotente
+    if (customer.status !== 'inactive') {
+      await this.statusService.transition(
+        customer,
+        'inactive',
+        'Customer deactivated',
+        this.auditService.contextFromRequest(req)
+      );
+    }
+
     sendSuccess(res, null, 'Customer deactivated successfully');
   });
 }
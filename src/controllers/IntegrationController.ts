@@ -0,0 +1,56 @@
+import type { Request, Response } from 'express';
+import { catchAsync, sendSuccess } from '../middleware/errorHandler.js';
+import { getRouteSignature } from '../middleware/requestContext.js';
+import ComplianceResultService from '../services/complianceResultService.js';
+import AccountLookupService from '../services/accountLookupService.js';
+
+class IntegrationController {
+  private complianceResultService: ComplianceResultService;
+  private accountLookupService: AccountLookupService;
+
+  constructor() {
+    this.complianceResultService = ComplianceResultService.getInstance();
+    this.accountLookupService = AccountLookupService.getInstance();
+  }
+
+  /**
+   * Recibir un resultado de compliance de MS4
+   * POST /integrations/compliance/results
+   */
+  public receiveComplianceResult = catchAsync(async (req: Request, res: Response) => {
+    const { result, duplicate } = await this.complianceResultService.receive(req.validatedBody, getRouteSignature(req));
+
+    const data = {
+      resultId: result.resultId,
+      customerId: result.customerId,
+      outcome: result.outcome,
+      duplicate
+    };
+
+    // Un resultado más antiguo que el aplicado no se reintenta: 409 sin efectos
+    if (result.outcome === 'stale') {
+      res.status(409).json({
+        success: false,
+        message: 'A more recent compliance result has already been applied',
+        data
+      });
+      return;
+    }
+
+    sendSuccess(res, data, duplicate ? 'Compliance result already processed' : 'Compliance result applied');
+  });
+
+  /**
+   * Invalidar las cuentas cacheadas de un cliente cuando MS2 notifica un cambio
+   * POST /integrations/accounts/changed
+   */
+  public accountsChanged = catchAsync(async (req: Request, res: Response) => {
+    const { customerId } = req.validatedBody;
+
+    const invalidated = this.accountLookupService.invalidate(customerId);
+
+    sendSuccess(res, { customerId, invalidated }, 'Account cache invalidated');
+  });
+}
+
+export default IntegrationController;
@@ -0,0 +1,120 @@
+import type { Request, Response } from 'express';
+import { catchAsync, sendSuccess, sendPaginatedResponse } from '../middleware/errorHandler.js';
+import { getActor } from '../middleware/requestContext.js';
+import WebhookSubscriptionService from '../services/webhookSubscriptionService.js';
+import WebhookDeliveryService from '../services/webhookDeliveryService.js';
+
+class WebhookController {
+  private subscriptionService: WebhookSubscriptionService;
+  private deliveryService: WebhookDeliveryService;
+
+  constructor() {
+    this.subscriptionService = WebhookSubscriptionService.getInstance();
+    this.deliveryService = WebhookDeliveryService.getInstance();
+  }
+
+  /**
+   * Crear una suscripción de webhooks (el secreto solo se devuelve en esta respuesta)
+   * POST /webhooks
+   */
+  public createSubscription = catchAsync(async (req: Request, res: Response) => {
+    const { subscription, secret } = await this.subscriptionService.create(req.validatedBody, getActor(req).id);
+
+    sendSuccess(res, { ...subscription.toObject(), secret }, 'Webhook subscription created successfully', 201);
+  });
+
+  /**
+   * Listar suscripciones de webhooks
+   * GET /webhooks
+   */
+  public listSubscriptions = catchAsync(async (req: Request, res: Response) => {
+    const { status, event, page, limit } = req.validatedQuery;
+
+    const { subscriptions, totalCount } = await this.subscriptionService.list({ status, event, page, limit });
+
+    sendPaginatedResponse(
+      res,
+      subscriptions.map(subscription => subscription.toObject()),
+      totalCount,
+      page,
+      limit,
+      `Retrieved ${subscriptions.length} webhook subscriptions`
+    );
+  });
+
+  /**
+   * Obtener una suscripción de webhooks
+   * GET /webhooks/:id
+   */
+  public getSubscription = catchAsync(async (req: Request, res: Response) => {
+    const subscription = await this.subscriptionService.get(req.validatedParams.id);
+
+    sendSuccess(res, subscription.toObject(), 'Webhook subscription retrieved successfully');
+  });
+
+  /**
+   * Modificar una suscripción (URL, eventos, descripción, pausar o reactivar)
+   * PATCH /webhooks/:id
+   */
+  public updateSubscription = catchAsync(async (req: Request, res: Response) => {
+    const subscription = await this.subscriptionService.update(req.validatedParams.id, req.validatedBody);
+
+    sendSuccess(res, subscription.toObject(), 'Webhook subscription updated successfully');
+  });
+
+  /**
+   * Generar un secreto nuevo para la suscripción
+   * POST /webhooks/:id/secret
+   */
+  public rotateSecret = catchAsync(async (req: Request, res: Response) => {
+    const { subscription, secret } = await this.subscriptionService.rotateSecret(req.validatedParams.id);
+
+    sendSuccess(res, { ...subscription.toObject(), secret }, 'Webhook secret rotated successfully');
+  });
+
+  /**
+   * Eliminar una suscripción y su registro de entregas
+   * DELETE /webhooks/:id
+   */
+  public deleteSubscription = catchAsync(async (req: Request, res: Response) => {
+    await this.subscriptionService.remove(req.validatedParams.id);
+
+    sendSuccess(res, null, 'Webhook subscription deleted successfully');
+  });
+
+  /**
+   * Registro de entregas de una suscripción
+   * GET /webhooks/:id/deliveries
+   */
+  public listDeliveries = catchAsync(async (req: Request, res: Response) => {
+    const { id } = req.validatedParams;
+    const { status, eventType, page, limit } = req.validatedQuery;
+
+    // 404 si la suscripción no existe
+    await this.subscriptionService.get(id);
+    const { deliveries, totalCount } = await this.deliveryService.listDeliveries(id, { status, eventType, page, limit });
+
+    sendPaginatedResponse(
+      res,
+      deliveries.map(delivery => delivery.toObject()),
+      totalCount,
+      page,
+      limit,
+      `Retrieved ${deliveries.length} webhook deliveries`
+    );
+  });
+
+  /**
+   * Volver a enviar una entrega
+   * POST /webhooks/:id/deliveries/:deliveryId/redeliver
+   */
+  public redeliver = catchAsync(async (req: Request, res: Response) => {
+    const { id, deliveryId } = req.validatedParams;
+
+    const delivery = await this.deliveryService.redeliver(id, deliveryId, getActor(req).id);
+
+    sendSuccess(res, delivery.toObject(), 'Webhook delivery re-queued successfully', 202);
+  });
+}
+
+export default WebhookController;
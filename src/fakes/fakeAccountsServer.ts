@@ -0,0 +1,90 @@
+import type { Request, Response } from 'express';
+import { COMMON_SCENARIOS, FakeServer } from './fakeServer.js';
+import type { FakeServerOptions } from './fakeServer.js';
+import type { AccountResponse } from '../services/externalServices.js';
+
+// ok: cuentas del cliente | empty: lista vacía | not_found: 404 | bad_request: 400
+export const MS2_SCENARIOS = ['ok', 'empty', 'not_found', 'bad_request', ...COMMON_SCENARIOS] as const;
+export type Ms2Scenario = typeof MS2_SCENARIOS[number];
+
+/**
+ * MS2 - Accounts simulado: GET /api/accounts/customer/:customerId con el contrato AccountResponse
+ */
+export class FakeAccountsServer extends FakeServer<Ms2Scenario> {
+  private accounts = new Map<string, AccountResponse[]>();
+
+  constructor(options: FakeServerOptions<Ms2Scenario> = {}) {
+    super('ms2-accounts', 'ok', options);
+  }
+
+  protected get scenarios(): readonly Ms2Scenario[] {
+    return MS2_SCENARIOS;
+  }
+
+  /**
+   * Fija las cuentas que se devolverán para un cliente (por defecto se generan dos)
+   */
+  public setAccounts(customerId: string, accounts: AccountResponse[]): void {
+    this.accounts.set(customerId, accounts);
+  }
+
+  public override async reset(): Promise<void> {
+    this.accounts.clear();
+    await super.reset();
+  }
+
+  protected registerRoutes(): void {
+    this.app.get('/api/accounts/customer/:customerId', async (req: Request, res: Response) => {
+      const customerId = req.params.customerId as string;
+      const scenario = this.scenarioFor(customerId);
+
+      if (await this.handleCommonScenario(scenario, res)) {
+        return;
+      }
+
+      switch (scenario) {
+        case 'empty':
+          res.json({ success: true, data: [] });
+          return;
+        case 'not_found':
+          res.status(404).json({ success: false, message: 'No accounts found for customer' });
+          return;
+        case 'bad_request':
+          res.status(400).json({ success: false, message: 'Invalid customer ID (simulated)' });
+          return;
+        default:
+          res.json({ success: true, data: this.accounts.get(customerId) ?? this.defaultAccounts(customerId) });
+      }
+    });
+  }
+
+  private defaultAccounts(customerId: string): AccountResponse[] {
+    const now = new Date().toISOString();
+    const suffix = customerId.slice(-6);
+
+    return [
+      {
+        id: `acc-${suffix}-1`,
+        customerId,
+        accountNumber: `0001${suffix}`,
+        accountType: 'savings',
+        balance: 1500.5,
+        currency: 'PEN',
+        status: 'active',
+        createdAt: now,
+        updatedAt: now
+      },
+      {
+        id: `acc-${suffix}-2`,
+        customerId,
+        accountNumber: `0002${suffix}`,
+        accountType: 'checking',
+        balance: 320,
+        currency: 'USD',
+        status: 'active',
+        createdAt: now,
+        updatedAt: now
+      }
+    ];
+  }
+}
@@ -0,0 +1,58 @@
+import type { Request, Response } from 'express';
+import { COMMON_SCENARIOS, FakeServer } from './fakeServer.js';
+import type { FakeServerOptions } from './fakeServer.js';
+import type { ComplianceCheckResponse } from '../services/externalServices.js';
+
+// approve / reject / under_review: resultado de la verificación | invalid: 400 por datos inválidos
+export const MS4_SCENARIOS = ['approve', 'reject', 'under_review', 'invalid', ...COMMON_SCENARIOS] as const;
+export type Ms4Scenario = typeof MS4_SCENARIOS[number];
+
+const RESULTS: Record<'approve' | 'reject' | 'under_review', Pick<ComplianceCheckResponse, 'status' | 'riskScore' | 'notes'>> = {
+  approve: { status: 'approved', riskScore: 12, notes: 'All checks passed (simulated)' },
+  reject: { status: 'rejected', riskScore: 91, notes: 'Sanctions list match (simulated)' },
+  under_review: { status: 'under_review', riskScore: 55, notes: 'Manual review required (simulated)' }
+};
+
+/**
+ * MS4 - Compliance simulado: POST /api/compliance/check con el contrato ComplianceCheckResponse
+ */
+export class FakeComplianceServer extends FakeServer<Ms4Scenario> {
+  constructor(options: FakeServerOptions<Ms4Scenario> = {}) {
+    super('ms4-compliance', 'approve', options);
+  }
+
+  protected get scenarios(): readonly Ms4Scenario[] {
+    return MS4_SCENARIOS;
+  }
+
+  protected registerRoutes(): void {
+    this.app.post('/api/compliance/check', async (req: Request, res: Response) => {
+      const customerId: string | undefined = req.body?.customerId;
+      const scenario = this.scenarioFor(customerId);
+
+      if (!customerId) {
+        res.status(400).json({ success: false, message: 'customerId is required' });
+        return;
+      }
+
+      if (await this.handleCommonScenario(scenario, res)) {
+        return;
+      }
+
+      if (scenario === 'invalid') {
+        res.status(400).json({ success: false, message: 'Invalid customer data (simulated)' });
+        return;
+      }
+
+      // Tras "slow" se responde como aprobado
+      const result = RESULTS[scenario === 'reject' || scenario === 'under_review' ? scenario : 'approve'];
+      const data: ComplianceCheckResponse = {
+        customerId,
+        ...result,
+        checkedAt: new Date().toISOString()
+      };
+
+      res.json({ success: true, data });
+    });
+  }
+}
@@ -0,0 +1,247 @@
+import express, { type Express, type Request, type Response } from 'express';
+import type { Server } from 'http';
+import type { AddressInfo } from 'net';
+
+// Escenarios comunes a todos los servicios simulados
+export const COMMON_SCENARIOS = ['slow', 'error', 'refused', 'malformed'] as const;
+export type CommonScenario = typeof COMMON_SCENARIOS[number];
+
+export interface FakeServerOptions<S extends string> {
+  // 0 = puerto libre aleatorio (útil en tests)
+  port?: number;
+  scenario?: S;
+  // Demora del escenario "slow"; por defecto supera el timeout del cliente
+  slowDelayMs?: number;
+}
+
+export interface RecordedRequest {
+  method: string;
+  path: string;
+  body: unknown;
+  headers: Record<string, string | string[] | undefined>;
+  receivedAt: Date;
+}
+
+/**
+ * Servidor HTTP simulado con escenarios configurables, globales o por cliente.
+ * Expone una API de control en /__fake para manejarlo desde fuera del proceso:
+ *   GET  /__fake            estado actual
+ *   PUT  /__fake/scenario   { scenario, customerId?, durationMs? }
+ *   GET  /__fake/requests   peticiones recibidas
+ *   POST /__fake/reset      vuelve al escenario inicial y limpia el registro
+ * El escenario "refused" cierra el puerto (ECONNREFUSED); desde la API de control
+ * se reabre al pasar durationMs (30 s por defecto).
+ */
+export abstract class FakeServer<S extends string> {
+  readonly name: string;
+  protected app: Express;
+  protected scenario: S;
+  protected slowDelayMs: number;
+  private initialScenario: S;
+  private overrides = new Map<string, S>();
+  private requests: RecordedRequest[] = [];
+  private server?: Server;
+  private port: number;
+  // Esperas en curso (escenario slow, reapertura tras refused); se liberan al detener el servidor
+  private pendingTimers = new Map<NodeJS.Timeout, () => void>();
+
+  constructor(name: string, defaultScenario: S, options: FakeServerOptions<S> = {}) {
+    this.name = name;
+    this.port = options.port ?? 0;
+    this.initialScenario = options.scenario ?? defaultScenario;
+    this.scenario = this.initialScenario;
+    this.slowDelayMs = options.slowDelayMs ?? 15000;
+
+    this.app = express();
+    this.app.use(express.json());
+    this.app.use((req, res, next) => {
+      if (!req.path.startsWith('/__fake')) {
+        this.requests.push({
+          method: req.method,
+          path: req.path,
+          body: req.body,
+          headers: req.headers,
+          receivedAt: new Date()
+        });
+      }
+      next();
+    });
+    this.registerControlRoutes();
+    this.app.get('/health', (req: Request, res: Response) => {
+      const healthy = this.scenario !== 'error';
+      res.status(healthy ? 200 : 503).json({ service: this.name, status: healthy ? 'healthy' : 'unhealthy' });
+    });
+    this.registerRoutes();
+  }
+
+  // Escenarios aceptados por el servicio (incluidos los comunes)
+  protected abstract get scenarios(): readonly S[];
+
+  protected abstract registerRoutes(): void;
+
+  get url(): string {
+    return `http://localhost:${this.port}`;
+  }
+
+  get isListening(): boolean {
+    return Boolean(this.server?.listening);
+  }
+
+  public async start(): Promise<this> {
+    if (this.isListening) {
+      return this;
+    }
+
+    await new Promise<void>((resolve, reject) => {
+      const server = this.app.listen(this.port, () => resolve());
+      server.once('error', reject);
+      this.server = server;
+    });
+    // Se fija el puerto asignado para poder reabrir en el mismo tras "refused"
+    this.port = (this.server?.address() as AddressInfo).port;
+
+    if (this.scenario === 'refused') {
+      await this.close();
+    }
+    return this;
+  }
+
+  public async stop(): Promise<void> {
+    const pending = [...this.pendingTimers];
+    this.pendingTimers.clear();
+    pending.forEach(([timer, release]) => {
+      clearTimeout(timer);
+      release();
+    });
+    await this.close();
+  }
+
+  /**
+   * Cambia el escenario global o, con customerId, solo el de ese cliente
+   */
+  public async setScenario(scenario: S, customerId?: string): Promise<void> {
+    if (!this.scenarios.includes(scenario)) {
+      throw new Error(`Unknown scenario "${scenario}" for ${this.name}. Valid: ${this.scenarios.join(', ')}`);
+    }
+
+    if (customerId) {
+      if (scenario === 'refused') {
+        throw new Error('The "refused" scenario can only be set globally');
+      }
+      this.overrides.set(customerId, scenario);
+      return;
+    }
+
+    const wasRefused = this.scenario === 'refused';
+    this.scenario = scenario;
+    if (scenario === 'refused') {
+      await this.close();
+    } else if (wasRefused) {
+      await this.start();
+    }
+  }
+
+  public getRequests(): RecordedRequest[] {
+    return [...this.requests];
+  }
+
+  public async reset(): Promise<void> {
+    this.overrides.clear();
+    this.requests = [];
+    await this.setScenario(this.initialScenario);
+  }
+
+  protected scenarioFor(customerId?: string): S {
+    return (customerId && this.overrides.get(customerId)) || this.scenario;
+  }
+
+  /**
+   * Resuelve los escenarios comunes; devuelve false si la ruta debe responder con normalidad
+   */
+  protected async handleCommonScenario(scenario: S, res: Response): Promise<boolean> {
+    switch (scenario as string) {
+      case 'slow':
+        await this.delay(this.slowDelayMs);
+        // Si el cliente abandonó por timeout no hay a quién responder
+        return res.headersSent || res.writableEnded || res.destroyed;
+      case 'error':
+        res.status(500).json({ success: false, message: `${this.name} internal server error (simulated)` });
+        return true;
+      case 'malformed':
+        res.status(200).json({ success: false, unexpected: true });
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  private delay(ms: number): Promise<void> {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.pendingTimers.delete(timer);
+        resolve();
+      }, ms);
+      this.pendingTimers.set(timer, resolve);
+    });
+  }
+
+  private async close(): Promise<void> {
+    const server = this.server;
+    if (!server?.listening) {
+      return;
+    }
+
+    await new Promise<void>(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  private registerControlRoutes(): void {
+    this.app.get('/__fake', (req: Request, res: Response) => {
+      res.json({
+        service: this.name,
+        scenario: this.scenario,
+        overrides: Object.fromEntries(this.overrides),
+        scenarios: this.scenarios,
+        requestCount: this.requests.length
+      });
+    });
+
+    this.app.put('/__fake/scenario', async (req: Request, res: Response) => {
+      const { scenario, customerId, durationMs } = req.body || {};
+      try {
+        if (scenario === 'refused' && !customerId) {
+          // Se responde antes de cerrar el puerto; luego se restaura el escenario anterior
+          const previous = this.scenario;
+          const reopenAfter = Number(durationMs) > 0 ? Number(durationMs) : 30000;
+          await new Promise<void>(resolve => {
+            res.once('finish', () => resolve());
+            res.json({ success: true, scenario, reopensInMs: reopenAfter });
+          });
+          await this.setScenario(scenario);
+          this.delay(reopenAfter).then(() => {
+            if (this.scenario === 'refused') {
+              return this.setScenario(previous);
+            }
+          }).catch(error => console.error(`❌ ${this.name}: cannot reopen port`, error));
+          return;
+        }
+
+        await this.setScenario(scenario, customerId);
+        res.json({ success: true, scenario, ...(customerId && { customerId }) });
+      } catch (error) {
+        res.status(400).json({ success: false, message: (error as Error).message });
+      }
+    });
+
+    this.app.get('/__fake/requests', (req: Request, res: Response) => {
+      res.json({ success: true, data: this.requests });
+    });
+
+    this.app.post('/__fake/reset', async (req: Request, res: Response) => {
+      await this.reset();
+      res.json({ success: true, scenario: this.scenario });
+    });
+  }
+}
@@ -0,0 +1,43 @@
+import { FakeAccountsServer } from './fakeAccountsServer.js';
+import type { Ms2Scenario } from './fakeAccountsServer.js';
+import { FakeComplianceServer } from './fakeComplianceServer.js';
+import type { Ms4Scenario } from './fakeComplianceServer.js';
+import type { FakeServerOptions } from './fakeServer.js';
+import ExternalServicesClient from '../services/externalServices.js';
+
+export { FakeAccountsServer, MS2_SCENARIOS } from './fakeAccountsServer.js';
+export type { Ms2Scenario } from './fakeAccountsServer.js';
+export { FakeComplianceServer, MS4_SCENARIOS } from './fakeComplianceServer.js';
+export type { Ms4Scenario } from './fakeComplianceServer.js';
+export type { FakeServerOptions, RecordedRequest } from './fakeServer.js';
+
+export interface FakeServices {
+  ms2: FakeAccountsServer;
+  ms4: FakeComplianceServer;
+  stop(): Promise<void>;
+}
+
+/**
+ * Arranca MS2 y MS4 simulados en el proceso actual (puertos aleatorios por defecto)
+ * y, salvo configureClient: false, apunta ExternalServicesClient a ellos
+ */
+export const startFakeServices = async (options: {
+  ms2?: FakeServerOptions<Ms2Scenario>;
+  ms4?: FakeServerOptions<Ms4Scenario>;
+  configureClient?: boolean;
+} = {}): Promise<FakeServices> => {
+  const ms2 = await new FakeAccountsServer(options.ms2).start();
+  const ms4 = await new FakeComplianceServer(options.ms4).start();
+
+  if (options.configureClient !== false) {
+    ExternalServicesClient.getInstance().setServiceUrls(ms2.url, ms4.url);
+  }
+
+  return {
+    ms2,
+    ms4,
+    stop: async () => {
+      await Promise.all([ms2.stop(), ms4.stop()]);
+    }
+  };
+};
@@ -0,0 +1,61 @@
+// Arranca MS2 y/o MS4 simulados como proceso independiente:
+//   node dist/fakes/start.js [ms2|ms4|all]
+import dotenv from 'dotenv';
+import { FakeAccountsServer, MS2_SCENARIOS } from './fakeAccountsServer.js';
+import type { Ms2Scenario } from './fakeAccountsServer.js';
+import { FakeComplianceServer, MS4_SCENARIOS } from './fakeComplianceServer.js';
+import type { Ms4Scenario } from './fakeComplianceServer.js';
+import type { FakeServer } from './fakeServer.js';
+
+dotenv.config();
+
+const target = process.argv[2] || process.env.FAKE_SERVICES || 'all';
+const slowDelayMs = process.env.FAKE_SLOW_DELAY_MS ? parseInt(process.env.FAKE_SLOW_DELAY_MS) : undefined;
+
+const pickScenario = <S extends string>(value: string | undefined, valid: readonly S[], fallback: S): S => {
+  if (!value) return fallback;
+  if (!valid.includes(value as S)) {
+    throw new Error(`Invalid scenario "${value}". Valid: ${valid.join(', ')}`);
+  }
+  return value as S;
+};
+
+async function main() {
+  const servers: Array<FakeServer<string>> = [];
+
+  if (target === 'ms2' || target === 'all') {
+    servers.push(await new FakeAccountsServer({
+      port: parseInt(process.env.FAKE_MS2_PORT || '3001'),
+      scenario: pickScenario<Ms2Scenario>(process.env.FAKE_MS2_SCENARIO, MS2_SCENARIOS, 'ok'),
+      ...(slowDelayMs !== undefined && { slowDelayMs })
+    }).start());
+  }
+
+  if (target === 'ms4' || target === 'all') {
+    servers.push(await new FakeComplianceServer({
+      port: parseInt(process.env.FAKE_MS4_PORT || '3003'),
+      scenario: pickScenario<Ms4Scenario>(process.env.FAKE_MS4_SCENARIO, MS4_SCENARIOS, 'approve'),
+      ...(slowDelayMs !== undefined && { slowDelayMs })
+    }).start());
+  }
+
+  if (servers.length === 0) {
+    throw new Error(`Unknown target "${target}". Use ms2, ms4 or all`);
+  }
+
+  servers.forEach(server => {
+    console.log(`🧪 Fake ${server.name} listening on ${server.url} (control API: ${server.url}/__fake)`);
+  });
+
+  const shutdown = async () => {
+    await Promise.all(servers.map(server => server.stop()));
+    process.exit(0);
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+main().catch(error => {
+  console.error('❌ Failed to start fake services:', error);
+  process.exit(1);
+});
@@ -5,6 +5,9 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import DatabaseConnection from './config/database.js';
 import customerRoutes from './routes/customerRoutes.js';
+import integrationRoutes from './routes/integrationRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import ExternalServicesClient from './services/externalServices.js';
 import { 
   globalErrorHandler, 
   notFoundHandler, 
@@ -13,8 +16,20 @@ import {
 import { 
   securityMiddleware, 
   generalRateLimit, 
-  createCustomerRateLimit 
+  createCustomerRateLimit, 
+  isImportUpload,
+  isJsonRequest
 } from './middleware/security.js';
+import { requestContext } from './middleware/requestContext.js';
+import { captureRawBody } from './middleware/webhookSignature.js';
+import { startReKycJob } from './jobs/reKycJob.js';
+import { startComplianceQueueJob } from './jobs/complianceQueueJob.js';
+import { startEventDispatcherJob } from './jobs/eventDispatcherJob.js';
+import { startWebhookDeliveryJob } from './jobs/webhookDeliveryJob.js';
+import { startCustomerImportJob } from './jobs/customerImportJob.js';
+import { startDuplicateScanJob } from './jobs/duplicateScanJob.js';
+import { backfillSearchTerms } from './services/customerSearch.js';
+import { stopAllJobs } from './jobs/scheduler.js';
 
 // Get __dirname in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -33,6 +48,23 @@ async function startServer() {
   try {
     // Conectar a MongoDB
     await db.connect();
+
+    // Términos de búsqueda de los clientes anteriores al índice de texto (en segundo plano)
+    backfillSearchTerms()
+      .then(updated => {
+        if (updated > 0) {
+          console.log(`🔤 Search terms backfilled for ${updated} customers`);
+        }
+      })
+      .catch(error => console.error('❌ Error backfilling search terms:', error));
+
+    // Jobs programados
+    startReKycJob();
+    startComplianceQueueJob();
+    startEventDispatcherJob();
+    startWebhookDeliveryJob();
+    startCustomerImportJob();
+    startDuplicateScanJob();
     
     // Middleware de logging
     app.use(requestLogger);
@@ -44,8 +76,12 @@ async function startServer() {
     app.use(generalRateLimit);
     
     // Middleware para parsing JSON
-    app.use(express.json({ limit: '10mb' }));
+    // La importación masiva lee el archivo por streaming: su cuerpo no se parsea aunque se envíe como JSON
+    app.use(express.json({ limit: '10mb', type: req => !isImportUpload(req) && isJsonRequest(req), verify: captureRawBody }));
     app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+    // Contexto de la petición (actor para auditoría)
+    app.use(requestContext);
     
     // Health check endpoint (debe ir antes que las rutas estáticas)
     app.get('/', (req: Request, res: Response) => {
@@ -58,6 +94,7 @@ async function startServer() {
         endpoints: {
           health: '/api/health',
           customers: '/api/customers',
+          webhooks: '/api/webhooks',
           frontend: '/index.html',
           documentation: 'Coming soon'
         }
@@ -88,10 +125,12 @@ async function startServer() {
         // Check database connection
         const dbStatus = db.getConnectionStatus() ? 'healthy' : 'unhealthy';
         
-        // Mock external services status
+        // Estado de los servicios externos según sus circuit breakers (sin llamadas de red)
+        const breakerHealth = { closed: 'healthy', half_open: 'degraded', open: 'unhealthy' } as const;
+        const dependencies = ExternalServicesClient.getInstance().getDependencyStatus();
         const externalServices = {
-          'ms2-accounts': 'degraded',
-          'ms4-compliance': 'degraded'
+          'ms2-accounts': breakerHealth[dependencies.ms2.circuitBreaker.state],
+          'ms4-compliance': breakerHealth[dependencies.ms4.circuitBreaker.state]
         };
         
         const overallStatus = dbStatus === 'healthy' ? 'healthy' : 'unhealthy';
@@ -124,6 +163,12 @@ async function startServer() {
       }
       next();
     }, customerRoutes);
+
+    // Callbacks de otros microservicios
+    app.use('/api/integrations', integrationRoutes);
+
+    // Suscripciones de webhooks a eventos de clientes
+    app.use('/api/webhooks', webhookRoutes);
     
     // Servir archivos estáticos del frontend (después de las rutas API)
     const publicPath = path.join(__dirname, '..', 'public');
@@ -157,9 +202,50 @@ async function startServer() {
       console.log('  📍 POST   /api/customers - Create customer');
       console.log('  📍 GET    /api/customers/:id - Get customer');
       console.log('  📍 PUT    /api/customers/:id - Update customer');
+      console.log('  📍 PATCH  /api/customers/:id - Partial update (merge/JSON patch)');
       console.log('  📍 DELETE /api/customers/:id - Delete customer');
       console.log('  📍 GET    /api/customers/:id/accounts - Get customer accounts');
-      console.log('  📍 POST   /api/customers/:id/documents - Add KYC document');
+      console.log('  📍 POST   /api/customers/:id/documents - Upload KYC document');
+      console.log('  📍 GET    /api/customers/:id/documents/:docId/content - Download KYC document');
+      console.log('  📍 POST   /api/customers/:id/documents/:docId/review - Approve/reject KYC document');
+      console.log('  📍 GET    /api/customers/documents/review-queue - KYC review queue');
+      console.log('  📍 GET    /api/customers/re-kyc/due - Customers due for re-KYC');
+      console.log('  📍 POST   /api/customers/re-kyc/run - Run document expiry sweep');
+      console.log('  📍 GET    /api/customers/compliance/jobs - Compliance retry queue');
+      console.log('  📍 POST   /api/customers/compliance/jobs/:jobId/redrive - Re-drive dead-lettered check');
+      console.log('  📍 POST   /api/customers/imports - Bulk import from CSV/NDJSON (?dryRun=true)');
+      console.log('  📍 GET    /api/customers/imports - List bulk imports');
+      console.log('  📍 GET    /api/customers/imports/:importId - Import progress');
+      console.log('  📍 GET    /api/customers/imports/:importId/rows - Per-row import results');
+      console.log('  📍 POST   /api/customers/imports/:importId/cancel - Cancel import');
+      console.log('  📍 POST   /api/customers/imports/:importId/resume - Resume import');
+      console.log('  📍 GET    /api/customers/export - Export search results as CSV/NDJSON');
+      console.log('  📍 GET    /api/customers/stats - Customer counts by status, compliance, country and verification');
+      console.log('  📍 GET    /api/customers/reports/registrations - Registrations per day/week/month');
+      console.log('  📍 GET    /api/customers/reports/funnel - Onboarding funnel conversion');
+      console.log('  📍 GET    /api/customers/duplicates - Probable duplicate customers report');
+      console.log('  📍 POST   /api/customers/duplicates/scan - Run duplicate scan');
+      console.log('  📍 POST   /api/customers/duplicates/:candidateId/dismiss - Dismiss duplicate pair');
+      console.log('  📍 GET    /api/customers/:id/duplicates - Probable duplicates of a customer');
+      console.log('  📍 POST   /api/customers/:id/merge - Merge a duplicate into this customer');
+      console.log('  📍 POST   /api/customers/:id/status - Change customer status');
+      console.log('  📍 POST   /api/customers/:id/email/verification - Send email verification');
+      console.log('  📍 POST   /api/customers/email/verify - Confirm email verification');
+      console.log('  📍 POST   /api/customers/:id/phone/verification - Send phone OTP');
+      console.log('  📍 POST   /api/customers/:id/phone/verify - Verify phone OTP');
+      console.log('  📍 GET    /api/customers/:id/history - Customer change history');
+      console.log('  📍 GET    /api/customers/:id/compliance - Compliance check history');
+      console.log('  📍 POST   /api/customers/:id/compliance/check - Request compliance check');
+      console.log('  📍 POST   /api/integrations/compliance/results - MS4 compliance result webhook');
+      console.log('  📍 POST   /api/integrations/accounts/changed - MS2 account change notification');
+      console.log('  📍 POST   /api/webhooks - Create webhook subscription');
+      console.log('  📍 GET    /api/webhooks - List webhook subscriptions');
+      console.log('  📍 GET    /api/webhooks/:id - Get webhook subscription');
+      console.log('  📍 PATCH  /api/webhooks/:id - Update, pause or re-enable subscription');
+      console.log('  📍 DELETE /api/webhooks/:id - Delete webhook subscription');
+      console.log('  📍 POST   /api/webhooks/:id/secret - Rotate webhook secret');
+      console.log('  📍 GET    /api/webhooks/:id/deliveries - Webhook delivery log');
+      console.log('  📍 POST   /api/webhooks/:id/deliveries/:deliveryId/redeliver - Redeliver webhook');
       console.log('');
     });
     
@@ -172,12 +258,14 @@ async function startServer() {
 // Manejo de señales del sistema para shutdown graceful
 process.on('SIGTERM', async () => {
   console.log('📝 SIGTERM received. Shutting down gracefully...');
+  stopAllJobs();
   await db.disconnect();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('\n📝 SIGINT received. Shutting down gracefully...');
+  stopAllJobs();
   await db.disconnect();
   process.exit(0);
 });
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+import ComplianceQueueService from '../services/complianceQueueService.js';
+import { scheduleJob } from './scheduler.js';
+import type { ScheduledJob } from './scheduler.js';
+
+dotenv.config();
+
+/**
+ * Worker que envía a MS4 las verificaciones de compliance pendientes y reintenta las fallidas
+ */
+export const startComplianceQueueJob = (): ScheduledJob => {
+  const intervalSeconds = parseInt(process.env.COMPLIANCE_QUEUE_POLL_SECONDS || '15');
+
+  return scheduleJob('compliance-queue', intervalSeconds * 1000, async () => {
+    const result = await ComplianceQueueService.getInstance().processDue();
+    if (result.processed > 0) {
+      console.log(
+        `📨 Compliance queue: ${result.processed} processed, ${result.completed} completed, ` +
+        `${result.retried} retried, ${result.deadLettered} dead-lettered`
+      );
+    }
+  }, { runOnStart: true });
+};
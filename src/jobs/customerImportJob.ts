@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+import CustomerImportService from '../services/customerImportService.js';
+import { scheduleJob } from './scheduler.js';
+import type { ScheduledJob } from './scheduler.js';
+
+dotenv.config();
+
+/**
+ * Worker que crea por lotes los clientes de las importaciones masivas pendientes
+ */
+export const startCustomerImportJob = (): ScheduledJob => {
+  const intervalSeconds = parseInt(process.env.IMPORT_POLL_SECONDS || '5');
+
+  return scheduleJob('customer-imports', intervalSeconds * 1000, async () => {
+    const result = await CustomerImportService.getInstance().processDue();
+    if (result.imports > 0) {
+      console.log(
+        `📥 Customer imports: ${result.created} created, ${result.failed} failed, ` +
+        `${result.complianceQueued} compliance checks queued`
+      );
+    }
+  }, { runOnStart: true });
+};
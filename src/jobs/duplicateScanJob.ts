@@ -0,0 +1,21 @@
+import dotenv from 'dotenv';
+import DuplicateDetectionService from '../services/duplicateDetectionService.js';
+import { scheduleJob } from './scheduler.js';
+import type { ScheduledJob } from './scheduler.js';
+
+dotenv.config();
+
+/**
+ * Job periódico que genera el informe de clientes duplicados probables
+ */
+export const startDuplicateScanJob = (): ScheduledJob => {
+  const intervalMinutes = parseInt(process.env.DUPLICATE_SCAN_INTERVAL_MINUTES || '1440');
+
+  return scheduleJob('duplicate-scan', intervalMinutes * 60 * 1000, async () => {
+    const result = await DuplicateDetectionService.getInstance().scan();
+    console.log(
+      `👥 Duplicate scan: ${result.scanned} customers, ${result.pairs} candidate pairs, ` +
+      `${result.resolved} resolved, ${result.backfilled} match keys backfilled`
+    );
+  }, { runOnStart: true });
+};
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+import EventDispatcher from '../services/eventDispatcher.js';
+import { scheduleJob } from './scheduler.js';
+import type { ScheduledJob } from './scheduler.js';
+
+dotenv.config();
+
+/**
+ * Worker que traslada los eventos del outbox de los clientes y los entrega a los sinks
+ */
+export const startEventDispatcherJob = (): ScheduledJob => {
+  const intervalSeconds = parseInt(process.env.EVENT_DISPATCH_INTERVAL_SECONDS || '5');
+
+  return scheduleJob('event-dispatcher', intervalSeconds * 1000, async () => {
+    const result = await EventDispatcher.getInstance().run();
+    if (result.relayed + result.delivered + result.retried + result.failed > 0) {
+      console.log(
+        `📣 Domain events: ${result.relayed} relayed, ${result.delivered} delivered, ` +
+        `${result.retried} retried, ${result.failed} failed`
+      );
+    }
+  }, { runOnStart: true });
+};
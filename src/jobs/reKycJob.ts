@@ -0,0 +1,21 @@
+import dotenv from 'dotenv';
+import ReKycService from '../services/reKycService.js';
+import { scheduleJob } from './scheduler.js';
+import type { ScheduledJob } from './scheduler.js';
+
+dotenv.config();
+
+/**
+ * Job periódico que marca a los clientes con documentos de identidad o domicilio vencidos o por vencer
+ */
+export const startReKycJob = (): ScheduledJob => {
+  const intervalMinutes = parseInt(process.env.REKYC_JOB_INTERVAL_MINUTES || '1440');
+
+  return scheduleJob('rekyc-sweep', intervalMinutes * 60 * 1000, async () => {
+    const result = await ReKycService.getInstance().runSweep();
+    console.log(
+      `🔎 Re-KYC sweep: ${result.evaluated} evaluated, ${result.flagged} flagged, ` +
+      `${result.cleared} cleared, ${result.movedToReview} moved to under_review`
+    );
+  }, { runOnStart: true });
+};
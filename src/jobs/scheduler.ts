@@ -0,0 +1,61 @@
+export interface ScheduledJob {
+  name: string;
+  runNow(): Promise<void>;
+  stop(): void;
+}
+
+const jobs: ScheduledJob[] = [];
+
+/**
+ * Ejecuta una tarea periódicamente dentro del proceso.
+ * Nunca solapa ejecuciones y los errores se registran sin detener el job.
+ */
+export const scheduleJob = (
+  name: string,
+  intervalMs: number,
+  task: () => Promise<void>,
+  options: { runOnStart?: boolean } = {}
+): ScheduledJob => {
+  let running = false;
+
+  const runNow = async (): Promise<void> => {
+    if (running) {
+      console.warn(`⏭️ Job ${name} is still running, skipping this tick`);
+      return;
+    }
+
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`❌ Job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(runNow, intervalMs);
+  // El job no debe impedir que el proceso termine
+  timer.unref();
+
+  if (options.runOnStart) {
+    setImmediate(runNow);
+  }
+
+  const job: ScheduledJob = {
+    name,
+    runNow,
+    stop: () => clearInterval(timer)
+  };
+
+  jobs.push(job);
+  console.log(`⏰ Scheduled job ${name} every ${Math.round(intervalMs / 1000)}s`);
+  return job;
+};
+
+/**
+ * Detiene todos los jobs programados (shutdown)
+ */
+export const stopAllJobs = (): void => {
+  jobs.splice(0).forEach(job => job.stop());
+};
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+import WebhookDeliveryService from '../services/webhookDeliveryService.js';
+import { scheduleJob } from './scheduler.js';
+import type { ScheduledJob } from './scheduler.js';
+
+dotenv.config();
+
+/**
+ * Worker que envía las entregas de webhooks pendientes y reintenta las fallidas
+ */
+export const startWebhookDeliveryJob = (): ScheduledJob => {
+  const intervalSeconds = parseInt(process.env.WEBHOOK_DELIVERY_POLL_SECONDS || '10');
+
+  return scheduleJob('webhook-deliveries', intervalSeconds * 1000, async () => {
+    const result = await WebhookDeliveryService.getInstance().processDue();
+    if (result.processed > 0) {
+      console.log(
+        `🪝 Webhook deliveries: ${result.processed} processed, ${result.succeeded} succeeded, ` +
+        `${result.retried} retried, ${result.failed} failed`
+      );
+    }
+  }, { runOnStart: true });
+};
@@ -0,0 +1,33 @@
+import type { Request, Response } from 'express';
+import type { Document } from 'mongoose';
+import { AppError } from './errorHandler.js';
+
+// ETag fuerte basado en la versión (__v) del documento. Las escrituras que no pasan por save() y cambian la
+// representación del cliente incrementan __v ($inc); las de campos internos (outbox, claves de búsqueda) no.
+export const getEntityTag = (doc: Document): string => `"${doc.get('__v') ?? 0}"`;
+
+export const setEntityTag = (res: Response, doc: Document): void => {
+  res.setHeader('ETag', getEntityTag(doc));
+};
+
+/**
+ * Valida la cabecera If-Match contra la versión actual del documento.
+ * Sin cabecera no se aplica control de concurrencia; "*" acepta cualquier versión.
+ */
+export const assertIfMatch = (req: Request, doc: Document): void => {
+  const ifMatch = req.header('if-match');
+  if (!ifMatch) {
+    return;
+  }
+
+  const candidates = ifMatch.split(',').map(tag => tag.trim());
+  if (candidates.includes('*')) {
+    return;
+  }
+
+  // If-Match usa comparación fuerte: las etiquetas débiles (W/) nunca coinciden
+  const current = getEntityTag(doc);
+  if (!candidates.includes(current)) {
+    throw new AppError('Customer was modified by another request. Reload it and try again.', 412);
+  }
+};
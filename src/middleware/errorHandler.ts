@@ -64,6 +64,10 @@ const handleValidationErrorDB = (err: mongoose.Error.ValidationError): AppError
   return new AppError(message, 400);
 };
 
+// Manejo de conflictos de versión (optimistic concurrency)
+const handleVersionErrorDB = (): AppError =>
+  new AppError('Customer was modified by another request. Reload it and try again.', 412);
+
 // Manejo de errores JWT malformados
 const handleJWTError = (): AppError =>
   new AppError('Invalid token. Please log in again!', 401);
@@ -133,6 +137,10 @@ export const globalErrorHandler = (
       error = handleValidationErrorDB(error as mongoose.Error.ValidationError);
     }
     
+    if (err.name === 'VersionError') {
+      error = handleVersionErrorDB();
+    }
+
     if (error.name === 'JsonWebTokenError') {
       error = handleJWTError();
     }
@@ -214,4 +222,31 @@ export const sendPaginatedResponse = (
     },
     timestamp: new Date().toISOString()
   });
-};
\ No newline at end of file
+};
+// Función para crear respuestas paginadas por cursor; el total es opcional
+export interface CursorPagination {
+  itemsPerPage: number;
+  hasNextPage: boolean;
+  hasPreviousPage: boolean;
+  nextCursor: string | null;
+  previousCursor: string | null;
+  currentPage?: number;
+  totalPages?: number;
+  totalItems?: number;
+  totalIsEstimate?: boolean;
+}
+
+export const sendCursorPaginatedResponse = (
+  res: Response,
+  data: any[],
+  pagination: CursorPagination,
+  message: string = 'Success'
+): void => {
+  res.status(200).json({
+    success: true,
+    message,
+    data,
+    pagination,
+    timestamp: new Date().toISOString()
+  });
+};
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import type { Request, Response, NextFunction } from 'express';
+import { AppError } from './errorHandler.js';
+import { getActor } from './requestContext.js';
+import IdempotencyService from '../services/idempotencyService.js';
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Cabeceras de la respuesta original que recibe también la repetición (p.ej. el ETag para un If-Match posterior)
+const REPLAYED_HEADERS = ['etag', 'location'];
+
+// JSON con las claves ordenadas: el mismo cuerpo produce siempre el mismo hash
+const canonicalJson = (value: any): string => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Huella de la petición: método, ruta, query, cuerpo y, en las subidas, el contenido del archivo
+ */
+const requestFingerprint = (req: Request): string => {
+  const file = req.file && {
+    fieldname: req.file.fieldname,
+    originalname: req.file.originalname,
+    checksum: crypto.createHash('sha256').update(req.file.buffer).digest('hex')
+  };
+  return crypto
+    .createHash('sha256')
+    .update(canonicalJson({ method: req.method, path: `${req.baseUrl}${req.path}`, query: req.query, body: req.body, file }))
+    .digest('hex');
+};
+
+/**
+ * Hace idempotente una operación con la cabecera Idempotency-Key: la primera petición se procesa y su respuesta
+ * se guarda; las repeticiones con la misma clave reciben esa respuesta (cabecera Idempotent-Replayed) sin repetir
+ * la operación. Sin cabecera la petición se procesa con normalidad. Las claves son de cada actor: los anónimos
+ * no pueden usarlas, porque compartirían las respuestas (con datos personales) de otros clientes.
+ * Va después de la validación (y de la subida del archivo) para que la huella incluya todo lo recibido.
+ */
+export const idempotency = (req: Request, res: Response, next: NextFunction): void => {
+  const key = req.header('idempotency-key');
+  if (key === undefined) {
+    return next();
+  }
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return next(new AppError('Idempotency-Key must be 1-255 visible ASCII characters', 400));
+  }
+
+  const actor = getActor(req);
+  if (actor.type === 'anonymous') {
+    return next(new AppError('Idempotency-Key requires an identified caller (X-User-Id or Service-Name)', 400));
+  }
+
+  const idempotencyService = IdempotencyService.getInstance();
+
+  idempotencyService.claim({
+    key,
+    scope: `${actor.type}:${actor.id}`,
+    fingerprint: requestFingerprint(req),
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`
+  }).then(claim => {
+    const { record } = claim;
+    if (claim.outcome === 'replay') {
+      res.setHeader('Idempotent-Replayed', 'true');
+      Object.entries(record.response?.headers ?? {}).forEach(([name, value]) => res.setHeader(name, value));
+      res.status(record.response?.statusCode ?? 200).json(record.response?.body);
+      return;
+    }
+
+    // Se guarda la respuesta en cuanto se envía; los errores del servidor liberan la clave para reintentar
+    const json = res.json.bind(res);
+    res.json = (body: any) => {
+      const statusCode = res.statusCode;
+      const headers: Record<string, string> = {};
+      REPLAYED_HEADERS.forEach(name => {
+        const value = res.getHeader(name);
+        if (value !== undefined) {
+          headers[name] = String(value);
+        }
+      });
+      const settle = statusCode >= 500
+        ? idempotencyService.release(record)
+        : idempotencyService.complete(record, statusCode, body, headers);
+      settle.catch(error => {
+        console.error(`❌ Error storing response for Idempotency-Key ${key}:`, error);
+      });
+      return json(body);
+    };
+
+    next();
+  }).catch(next);
+};
@@ -0,0 +1,70 @@
+import type { Request, Response, NextFunction } from 'express';
+import { AppError } from './errorHandler.js';
+
+// Identidad de quien ejecuta la operación (usuario del back-office, servicio o anónimo)
+export interface RequestActor {
+  id: string;
+  type: 'user' | 'service' | 'system' | 'anonymous';
+  roles: string[];
+}
+
+// Actor usado por los procesos internos (jobs, escrituras asíncronas)
+export const systemActor = (id: string): RequestActor => ({
+  id,
+  type: 'system',
+  roles: []
+});
+
+declare global {
+  namespace Express {
+    interface Request {
+      actor?: RequestActor;
+    }
+  }
+}
+
+/**
+ * Resuelve el actor de la petición a partir de las cabeceras que propaga el API Gateway.
+ * X-User-Id / X-User-Roles identifican al usuario; Service-Name a otro microservicio.
+ */
+export const requestContext = (req: Request, res: Response, next: NextFunction): void => {
+  const userId = req.header('x-user-id')?.trim();
+  const serviceName = req.header('service-name')?.trim();
+  const roles = (req.header('x-user-roles') || '')
+    .split(',')
+    .map(role => role.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (userId) {
+    req.actor = { id: userId, type: 'user', roles };
+  } else if (serviceName) {
+    req.actor = { id: serviceName, type: 'service', roles };
+  } else {
+    req.actor = { id: 'anonymous', type: 'anonymous', roles: [] };
+  }
+
+  next();
+};
+
+// Obtiene el actor de la petición (siempre definido tras requestContext)
+export const getActor = (req: Request): RequestActor =>
+  req.actor || { id: 'anonymous', type: 'anonymous', roles: [] };
+
+// Ruta lógica que atendió la petición, p.ej. "PUT /api/customers/:id"
+export const getRouteSignature = (req: Request): string =>
+  `${req.method} ${req.baseUrl}${req.route?.path ?? req.path}`;
+
+/**
+ * Restringe la ruta a actores con al menos uno de los roles indicados
+ */
+export const requireRoles = (...roles: string[]) => {
+  const allowed = roles.map(role => role.toLowerCase());
+
+  return (req: Request, res: Response, next: NextFunction): void => {
+    const actor = getActor(req);
+    if (!actor.roles.some(role => allowed.includes(role))) {
+      return next(new AppError('You do not have permission to perform this action', 403));
+    }
+    next();
+  };
+};
@@ -1,3 +1,4 @@
+import type { IncomingMessage } from 'http';
 import type { Request, Response, NextFunction } from 'express';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
@@ -11,7 +12,8 @@ export const corsConfig = cors({
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-User-Id', 'X-User-Roles', 'Service-Name', 'If-Match', 'Idempotency-Key'],
+  exposedHeaders: ['ETag', 'Content-Disposition', 'Digest', 'Idempotent-Replayed']
 });
 
 // Configuración de Helmet para seguridad
@@ -62,13 +64,27 @@ export const createCustomerRateLimit = (req: Request, res: Response, next: NextF
   next();
 };
 
+// application/json o tipos derivados (application/merge-patch+json, application/json-patch+json)
+const JSON_CONTENT_TYPE = /^application\/([\w.-]+\+)?json\b/i;
+
+export const isJsonRequest = (req: IncomingMessage): boolean => JSON_CONTENT_TYPE.test(req.headers['content-type'] || '');
+
+/**
+ * Importación masiva: el cuerpo es el archivo (CSV o NDJSON), se lee por streaming y no se parsea.
+ * El controlador valida el formato (Content-Type o ?format=).
+ */
+export const isImportUpload = (req: IncomingMessage): boolean =>
+  req.method === 'POST' && (req.url || '').split('?')[0] === '/api/customers/imports';
+
 // Middleware para validar Content-Type en requests con body
 export const validateContentType = (req: Request, res: Response, next: NextFunction): void => {
-  if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
-    if (!req.headers['content-type']?.includes('application/json')) {
+  if (['POST', 'PUT', 'PATCH'].includes(req.method) && !isImportUpload(req)) {
+    // JSON; multipart/form-data solo para subida de archivos
+    const contentType = req.headers['content-type'] || '';
+    if (!isJsonRequest(req) && !/^multipart\/form-data\b/i.test(contentType)) {
       res.status(400).json({
         success: false,
-        message: 'Content-Type must be application/json'
+        message: 'Content-Type must be application/json (multipart/form-data for file uploads)'
       });
       return;
     }
@@ -0,0 +1,44 @@
+import type { Request, Response, NextFunction } from 'express';
+import multer from 'multer';
+import dotenv from 'dotenv';
+import { AppError } from './errorHandler.js';
+
+dotenv.config();
+
+export const MAX_DOCUMENT_SIZE_BYTES = parseInt(process.env.KYC_MAX_FILE_SIZE_MB || '10') * 1024 * 1024;
+
+// Los archivos se mantienen en memoria para calcular el checksum y detectar el tipo antes de persistirlos
+const kycUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DOCUMENT_SIZE_BYTES,
+    files: 1,
+    fields: 20
+  }
+}).single('file');
+
+/**
+ * Middleware para subir un documento KYC (multipart/form-data, campo "file").
+ * Traduce los errores de multer a errores de aplicación.
+ */
+export const uploadKycDocument = (req: Request, res: Response, next: NextFunction): void => {
+  if (!req.is('multipart/form-data')) {
+    return next(new AppError("Documents must be uploaded as multipart/form-data with a 'file' field", 415));
+  }
+
+  kycUpload(req, res, (error: unknown) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return next(new AppError(`File exceeds the maximum size of ${MAX_DOCUMENT_SIZE_BYTES / (1024 * 1024)} MB`, 413));
+      }
+      return next(new AppError(`Invalid upload: ${error.message}`, 400));
+    }
+    if (error) {
+      return next(error);
+    }
+    if (!req.file) {
+      return next(new AppError("A document file is required in the 'file' field", 400));
+    }
+    next();
+  });
+};
@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import type { Request, Response, NextFunction } from 'express';
+import { AppError } from './errorHandler.js';
+
+declare global {
+  namespace Express {
+    interface Request {
+      rawBody?: Buffer;
+    }
+  }
+}
+
+export const SIGNATURE_HEADER = 'x-signature';
+export const SIGNATURE_TIMESTAMP_HEADER = 'x-signature-timestamp';
+
+/**
+ * Conserva el cuerpo original de la petición; la firma se calcula sobre los bytes recibidos,
+ * no sobre el JSON re-serializado (usar como opción `verify` de express.json)
+ */
+export const captureRawBody = (req: Request, res: Response, buf: Buffer): void => {
+  req.rawBody = buf;
+};
+
+/**
+ * Firma HMAC-SHA256 de una petición: hex(HMAC(secret, "<timestamp>.<body>"))
+ */
+export const signPayload = (secret: string, timestamp: string, body: Buffer | string): string =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex');
+
+/**
+ * Verifica las cabeceras X-Signature ("sha256=<hex>") y X-Signature-Timestamp (segundos Unix).
+ * Las peticiones fuera de la ventana de tolerancia se rechazan para evitar reenvíos.
+ */
+export const verifyWebhookSignature = (getSecret: () => string | undefined, toleranceSeconds: number = 300) =>
+  (req: Request, res: Response, next: NextFunction): void => {
+    const secret = getSecret();
+    if (!secret) {
+      return next(new AppError('Webhook signing secret is not configured', 503));
+    }
+
+    const timestamp = req.header(SIGNATURE_TIMESTAMP_HEADER)?.trim();
+    const signatureHeader = req.header(SIGNATURE_HEADER)?.trim();
+    if (!timestamp || !signatureHeader) {
+      return next(new AppError('Missing webhook signature', 401));
+    }
+
+    const sentAt = Number(timestamp);
+    if (!Number.isInteger(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > toleranceSeconds) {
+      return next(new AppError('Webhook signature timestamp is outside the allowed window', 401));
+    }
+
+    const expected = Buffer.from(`sha256=${signPayload(secret, timestamp, req.rawBody || '')}`);
+    const received = Buffer.from(signatureHeader);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return next(new AppError('Webhook signature is invalid', 401));
+    }
+
+    next();
+  };
@@ -0,0 +1,109 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+// Acciones auditables sobre un cliente
+export const AUDIT_ACTIONS = [
+  'create',
+  'update',
+  'delete',
+  'document_added',
+  'document_reviewed',
+  'compliance_update',
+  'status_change',
+  'merge'
+] as const;
+
+export type AuditAction = typeof AUDIT_ACTIONS[number];
+
+// Cambio individual de un campo (ruta con notación de puntos)
+export interface AuditChange {
+  field: string;
+  from?: any;
+  to?: any;
+}
+
+export interface AuditActor {
+  id: string;
+  type: 'user' | 'service' | 'system' | 'anonymous';
+}
+
+export interface IAuditLog extends Document {
+  customerId: Types.ObjectId;
+  action: AuditAction;
+  changes: AuditChange[];
+  actor: AuditActor;
+  route?: string;
+  source: 'api' | 'system';
+  reason?: string;
+  createdAt: Date;
+}
+
+const auditChangeSchema = new Schema<AuditChange>({
+  field: {
+    type: String,
+    required: true
+  },
+  from: Schema.Types.Mixed,
+  to: Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new Schema<IAuditLog>({
+  customerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  changes: [auditChangeSchema],
+  actor: {
+    id: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['user', 'service', 'system', 'anonymous'],
+      required: true
+    }
+  },
+  route: String,
+  reason: String,
+  source: {
+    type: String,
+    enum: ['api', 'system'],
+    default: 'api'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete (ret as any)._id;
+      delete (ret as any).__v;
+      return ret;
+    }
+  }
+});
+
+// Consultas de historial por cliente (más recientes primero) y por campo
+auditLogSchema.index({ customerId: 1, createdAt: -1 });
+auditLogSchema.index({ customerId: 1, 'changes.field': 1 });
+
+// El registro de auditoría es append-only: se bloquea cualquier modificación o borrado
+const rejectMutation = function(next: (err?: Error) => void) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectMutation);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are append-only'));
+  }
+  next();
+});
+
+export const AuditLog = mongoose.model<IAuditLog>('AuditLog', auditLogSchema);
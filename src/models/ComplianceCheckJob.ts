@@ -0,0 +1,75 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+export const COMPLIANCE_JOB_STATUSES = ['pending', 'processing', 'completed', 'dead_letter'] as const;
+export type ComplianceJobStatus = typeof COMPLIANCE_JOB_STATUSES[number];
+
+// Motivo por el que se solicitó la verificación de compliance
+export type ComplianceJobTrigger = 'customer_created' | 'identity_document_added' | 'manual' | 'bulk_import' | 'customer_merged';
+
+// Verificación de compliance pendiente de enviar a MS4 (outbox persistente con reintentos)
+export interface IComplianceCheckJob extends Document {
+  customerId: Types.ObjectId;
+  trigger: ComplianceJobTrigger;
+  status: ComplianceJobStatus;
+  attempts: number;
+  maxAttempts: number;
+  nextAttemptAt: Date;
+  lockedUntil?: Date;
+  lastError?: string;
+  lastAttemptAt?: Date;
+  completedAt?: Date;
+  deadLetteredAt?: Date;
+  redrivenBy?: string;
+  redrivenAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const complianceCheckJobSchema = new Schema<IComplianceCheckJob>({
+  customerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['customer_created', 'identity_document_added', 'manual', 'bulk_import', 'customer_merged'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: COMPLIANCE_JOB_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  nextAttemptAt: {
+    type: Date,
+    required: true
+  },
+  lockedUntil: Date,
+  lastError: String,
+  lastAttemptAt: Date,
+  completedAt: Date,
+  deadLetteredAt: Date,
+  redrivenBy: String,
+  redrivenAt: Date
+}, {
+  timestamps: true
+});
+
+// Selección de trabajos vencidos por el worker
+complianceCheckJobSchema.index({ status: 1, nextAttemptAt: 1 });
+complianceCheckJobSchema.index({ customerId: 1, status: 1 });
+// Como máximo un trabajo pendiente por cliente: los encolados simultáneos comparten el mismo
+complianceCheckJobSchema.index({ customerId: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+// Los trabajos completados se eliminan a los 30 días; los dead letter se conservan hasta re-encolarlos
+complianceCheckJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export const ComplianceCheckJob = mongoose.model<IComplianceCheckJob>('ComplianceCheckJob', complianceCheckJobSchema);
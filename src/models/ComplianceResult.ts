@@ -0,0 +1,81 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+import type { ComplianceJobTrigger } from './ComplianceCheckJob.js';
+
+export type ComplianceResultOutcome = 'received' | 'applied' | 'stale';
+
+// check_response: respuesta síncrona de POST /api/compliance/check; webhook: notificación posterior de MS4
+export type ComplianceResultSource = 'check_response' | 'webhook';
+
+// Historial de resultados de compliance de MS4; resultId garantiza que cada resultado se procese una sola vez
+export interface IComplianceResult extends Document {
+  resultId: string;
+  customerId: Types.ObjectId;
+  source: ComplianceResultSource;
+  trigger?: ComplianceJobTrigger;
+  jobId?: Types.ObjectId;
+  // Datos enviados a MS4 en la verificación (solo check_response)
+  request?: Record<string, any>;
+  requestedAt?: Date;
+  status: 'approved' | 'rejected' | 'under_review' | 'pending';
+  riskScore?: number;
+  notes?: string;
+  checkedAt: Date;
+  outcome: ComplianceResultOutcome;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const complianceResultSchema = new Schema<IComplianceResult>({
+  resultId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  customerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['check_response', 'webhook'],
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['customer_created', 'identity_document_added', 'manual', 'bulk_import', 'customer_merged']
+  },
+  jobId: {
+    type: Schema.Types.ObjectId,
+    ref: 'ComplianceCheckJob'
+  },
+  request: Schema.Types.Mixed,
+  requestedAt: Date,
+  status: {
+    type: String,
+    enum: ['approved', 'rejected', 'under_review', 'pending'],
+    required: true
+  },
+  riskScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  notes: String,
+  checkedAt: {
+    type: Date,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['received', 'applied', 'stale'],
+    default: 'received'
+  }
+}, {
+  timestamps: true
+});
+
+complianceResultSchema.index({ customerId: 1, checkedAt: -1 });
+
+export const ComplianceResult = mongoose.model<IComplianceResult>('ComplianceResult', complianceResultSchema);
@@ -1,13 +1,67 @@
-import mongoose, { Document, Schema, Model } from 'mongoose';
+import mongoose, { Document, Schema, Model, Types } from 'mongoose';
+import { computeMatchKeys } from '../services/duplicateMatching.js';
+import type { MatchKeys } from '../services/duplicateMatching.js';
+import { computeSearchTerms, SEARCHABLE_FIELDS } from '../services/searchText.js';
+
+export type KYCDocumentType = 'national_id' | 'passport' | 'driving_license' | 'address_proof' | 'income_proof' | 'other';
+export type KYCReviewStatus = 'pending' | 'approved' | 'rejected';
+
+// Tipos de documento que acreditan la identidad del cliente
+export const IDENTITY_DOCUMENT_TYPES: KYCDocumentType[] = ['national_id', 'passport', 'driving_license'];
 
 // Interface para los documentos KYC
-interface KYCDocument {
-  type: 'national_id' | 'passport' | 'driving_license' | 'address_proof' | 'income_proof' | 'other';
+export interface KYCDocument {
+  _id?: Types.ObjectId;
+  type: KYCDocumentType;
   filename: string;
+  // Metadatos del archivo almacenado (ausentes en documentos registrados solo por nombre)
+  originalName?: string;
+  contentType?: string;
+  size?: number;
+  checksum?: string;
+  storageKey?: string;
+  // Datos del documento físico
+  documentNumber?: string;
+  issuingCountry?: string;
+  expiryDate?: Date;
   uploadDate: Date;
   verified: boolean;
   verifiedBy?: string;
   verifiedAt?: Date;
+  // Revisión manual del documento
+  reviewStatus: KYCReviewStatus;
+  reviewReason?: string;
+  reviewedBy?: string;
+  reviewedAt?: Date;
+}
+
+export type CustomerStatus = 'active' | 'inactive' | 'suspended' | 'pending_verification';
+
+// Interface para el log de transiciones de estado
+export interface StatusTransition {
+  from: CustomerStatus;
+  to: CustomerStatus;
+  reason: string;
+  changedBy: string;
+  changedAt: Date;
+}
+
+// Interface para el seguimiento de re-KYC por vencimiento de documentos
+export interface ReKycState {
+  required: boolean;
+  status: 'expiring' | 'expired';
+  dueDate: Date;
+  reasons: string[];
+  flaggedAt: Date;
+}
+
+// Evento de dominio pendiente de publicar; se guarda en el mismo documento que el cambio que lo origina
+export interface OutboxEntry {
+  eventId: string;
+  type: string;
+  data: Record<string, any>;
+  actor?: { id: string; type: string };
+  occurredAt: Date;
 }
 
 // Interface para la dirección
@@ -61,12 +115,32 @@ export interface ICustomer extends Document {
   // Metadatos
   registrationDate: Date;
   lastLoginDate?: Date;
-  status: 'active' | 'inactive' | 'suspended' | 'pending_verification';
+  status: CustomerStatus;
+  statusHistory: StatusTransition[];
   
   // Información de compliance
   complianceStatus: 'pending' | 'approved' | 'rejected' | 'under_review';
   complianceNotes?: string;
   complianceCheckedAt?: Date;
+  // Último riskScore informado por MS4 (0-100)
+  riskScore?: number;
+  
+  // Re-KYC (documentos vencidos o por vencer)
+  reKyc?: ReKycState;
+
+  // Eventos de dominio aún no trasladados a la colección de outbox
+  outbox: OutboxEntry[];
+
+  // Términos normalizados y prefijos para la búsqueda de texto
+  searchTerms?: string[];
+
+  // Claves normalizadas para la detección de duplicados
+  matchKeys?: MatchKeys;
+
+  // Fusión de duplicados: el registro absorbido apunta al que sobrevive
+  mergedInto?: Types.ObjectId;
+  mergedAt?: Date;
+  mergedFrom: Types.ObjectId[];
   
   // Timestamps automáticos
   createdAt: Date;
@@ -92,6 +166,21 @@ const kycDocumentSchema = new Schema<KYCDocument>({
     type: String,
     required: true
   },
+  originalName: String,
+  contentType: String,
+  size: Number,
+  checksum: String, // SHA-256 en hexadecimal
+  storageKey: String,
+  documentNumber: {
+    type: String,
+    trim: true
+  },
+  issuingCountry: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  expiryDate: Date,
   uploadDate: {
     type: Date,
     default: Date.now
@@ -101,9 +190,83 @@ const kycDocumentSchema = new Schema<KYCDocument>({
     default: false
   },
   verifiedBy: String,
-  verifiedAt: Date
+  verifiedAt: Date,
+  reviewStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewReason: String,
+  reviewedBy: String,
+  reviewedAt: Date
 });
 
+// Schema para transiciones de estado
+const statusTransitionSchema = new Schema<StatusTransition>({
+  from: {
+    type: String,
+    enum: ['active', 'inactive', 'suspended', 'pending_verification'],
+    required: true
+  },
+  to: {
+    type: String,
+    enum: ['active', 'inactive', 'suspended', 'pending_verification'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  changedBy: {
+    type: String,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Schema para el estado de re-KYC
+const reKycStateSchema = new Schema<ReKycState>({
+  required: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['expiring', 'expired']
+  },
+  dueDate: Date,
+  reasons: [String],
+  flaggedAt: Date
+}, { _id: false });
+
+// Schema para los eventos pendientes de publicar
+const outboxEntrySchema = new Schema<OutboxEntry>({
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  actor: {
+    id: String,
+    type: { type: String }
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false, minimize: false });
+
 // Schema para dirección
 const addressSchema = new Schema<Address>({
   street: {
@@ -254,20 +417,61 @@ const customerSchema = new Schema<ICustomer>({
     enum: ['active', 'inactive', 'suspended', 'pending_verification'],
     default: 'pending_verification'
   },
+  statusHistory: [statusTransitionSchema],
   complianceStatus: {
     type: String,
     enum: ['pending', 'approved', 'rejected', 'under_review'],
     default: 'pending'
   },
   complianceNotes: String,
-  complianceCheckedAt: Date
+  complianceCheckedAt: Date,
+  riskScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  reKyc: reKycStateSchema,
+  outbox: [outboxEntrySchema],
+  searchTerms: {
+    type: [String],
+    select: false
+  },
+  matchKeys: {
+    name: String,
+    dateOfBirth: String,
+    phone: String,
+    passport: String
+  },
+  mergedInto: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  mergedAt: Date,
+  mergedFrom: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Customer'
+  }]
 }, {
   timestamps: true,
+  // Incrementa __v en cada save() y rechaza escrituras sobre versiones obsoletas (ETag / If-Match)
+  optimisticConcurrency: true,
   toJSON: {
     transform: function(doc, ret) {
       ret.id = ret._id;
       delete ret._id;
       delete (ret as any).__v;
+      delete (ret as any).outbox;
+      delete (ret as any).matchKeys;
+      delete (ret as any).searchTerms;
+      return ret;
+    }
+  },
+  // El outbox y las claves de búsqueda y duplicados son internos: no forman parte de la representación del cliente
+  toObject: {
+    transform: function(doc, ret) {
+      delete (ret as any).outbox;
+      delete (ret as any).matchKeys;
+      delete (ret as any).searchTerms;
       return ret;
     }
   }
@@ -277,7 +481,57 @@ const customerSchema = new Schema<ICustomer>({
 customerSchema.index({ phone: 1 });
 customerSchema.index({ status: 1 });
 customerSchema.index({ complianceStatus: 1 });
+customerSchema.index({ riskScore: 1 });
 customerSchema.index({ 'address.country': 1 });
+customerSchema.index({ 'documents.reviewStatus': 1, 'documents.uploadDate': 1 });
+customerSchema.index({ 'documents.expiryDate': 1 });
+customerSchema.index({ 'reKyc.required': 1, 'reKyc.dueDate': 1 });
+// Clientes con eventos pendientes de trasladar al outbox
+customerSchema.index({ 'outbox.occurredAt': 1 }, { sparse: true });
+// Búsqueda de texto: las coincidencias exactas en los campos puntúan más que las de prefijo.
+// Sin idioma (no se eliminan palabras vacías ni se aplica stemming); la versión 3 del índice ignora las tildes.
+customerSchema.index({
+  firstName: 'text',
+  lastName: 'text',
+  email: 'text',
+  nationalId: 'text',
+  phone: 'text',
+  searchTerms: 'text'
+}, {
+  name: 'customer_text_search',
+  weights: { firstName: 10, lastName: 10, email: 8, nationalId: 8, phone: 6, searchTerms: 2 },
+  default_language: 'none',
+  language_override: 'searchLanguage'
+});
+
+// Búsqueda de candidatos a duplicado
+customerSchema.index({ 'matchKeys.name': 1 });
+customerSchema.index({ 'matchKeys.dateOfBirth': 1 });
+customerSchema.index({ 'matchKeys.phone': 1 });
+customerSchema.index({ 'matchKeys.passport': 1 }, { sparse: true });
+customerSchema.index({ mergedInto: 1 }, { sparse: true });
+// Ordenación y paginación por cursor de la búsqueda (el _id desempata)
+customerSchema.index({ lastName: 1, _id: 1 });
+customerSchema.index({ registrationDate: 1, _id: 1 });
+customerSchema.index({ complianceCheckedAt: 1, _id: 1 });
+customerSchema.index({ createdAt: 1, _id: 1 });
+
+// Recalcular los términos de búsqueda cuando cambian los campos buscables
+customerSchema.pre('validate', function(next) {
+  if (this.isNew || SEARCHABLE_FIELDS.some(field => this.isModified(field))) {
+    this.searchTerms = computeSearchTerms(this);
+  }
+  next();
+});
+
+// Recalcular las claves de duplicados cuando cambian los datos que las forman
+customerSchema.pre('validate', function(next) {
+  const matchFields = ['firstName', 'lastName', 'dateOfBirth', 'phone', 'passportNumber'];
+  if (this.isNew || !this.matchKeys?.name || matchFields.some(field => this.isModified(field))) {
+    this.matchKeys = computeMatchKeys(this);
+  }
+  next();
+});
 
 // Middleware pre-save para validaciones adicionales
 customerSchema.pre('save', function(next) {
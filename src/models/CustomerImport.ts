@@ -0,0 +1,121 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+import type { AuditActor } from './AuditLog.js';
+
+export const CUSTOMER_IMPORT_STATUSES = ['uploading', 'pending', 'processing', 'completed', 'cancelled', 'failed'] as const;
+export type CustomerImportStatus = typeof CUSTOMER_IMPORT_STATUSES[number];
+
+// Importación masiva de clientes; las filas se guardan en CustomerImportRow y se procesan por lotes
+export interface ICustomerImport extends Document {
+  format: 'csv' | 'ndjson';
+  status: CustomerImportStatus;
+  createdBy: AuditActor;
+  totalRows: number;
+  validRows: number;
+  invalidRows: number;
+  // Filas válidas ya procesadas (creadas o fallidas al guardar)
+  processedRows: number;
+  createdCount: number;
+  failedCount: number;
+  // Clientes creados cuya verificación de compliance ya se encoló
+  complianceQueuedCount: number;
+  lockedUntil?: Date;
+  lastError?: string;
+  startedAt?: Date;
+  completedAt?: Date;
+  cancelledAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export const ROW_STATUSES = ['invalid', 'pending', 'created', 'failed'] as const;
+export type CustomerImportRowStatus = typeof ROW_STATUSES[number];
+
+export interface ImportRowError {
+  field: string;
+  message: string;
+}
+
+// Fila de una importación con su resultado
+export interface ICustomerImportRow extends Document {
+  importId: Types.ObjectId;
+  row: number;
+  status: CustomerImportRowStatus;
+  // Datos ya validados con createCustomerSchema (solo filas válidas)
+  data?: Record<string, any>;
+  // _id asignado de antemano: si el proceso cae tras crear el cliente, el reintento lo detecta
+  customerId?: Types.ObjectId;
+  validationErrors: ImportRowError[];
+  complianceQueuedAt?: Date;
+  processedAt?: Date;
+}
+
+const customerImportSchema = new Schema<ICustomerImport>({
+  format: {
+    type: String,
+    enum: ['csv', 'ndjson'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: CUSTOMER_IMPORT_STATUSES,
+    default: 'uploading'
+  },
+  createdBy: {
+    id: { type: String, required: true },
+    type: { type: String, required: true }
+  },
+  totalRows: { type: Number, default: 0 },
+  validRows: { type: Number, default: 0 },
+  invalidRows: { type: Number, default: 0 },
+  processedRows: { type: Number, default: 0 },
+  createdCount: { type: Number, default: 0 },
+  failedCount: { type: Number, default: 0 },
+  complianceQueuedCount: { type: Number, default: 0 },
+  lockedUntil: Date,
+  lastError: String,
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Selección de importaciones pendientes por el worker
+customerImportSchema.index({ status: 1, lockedUntil: 1 });
+customerImportSchema.index({ createdAt: -1 });
+
+const importRowErrorSchema = new Schema<ImportRowError>({
+  field: String,
+  message: String
+}, { _id: false });
+
+const customerImportRowSchema = new Schema<ICustomerImportRow>({
+  importId: {
+    type: Schema.Types.ObjectId,
+    ref: 'CustomerImport',
+    required: true
+  },
+  row: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ROW_STATUSES,
+    required: true
+  },
+  data: Schema.Types.Mixed,
+  customerId: Schema.Types.ObjectId,
+  validationErrors: {
+    type: [importRowErrorSchema],
+    default: []
+  },
+  complianceQueuedAt: Date,
+  processedAt: Date
+});
+
+customerImportRowSchema.index({ importId: 1, row: 1 }, { unique: true });
+customerImportRowSchema.index({ importId: 1, status: 1, row: 1 });
+
+export const CustomerImport = mongoose.model<ICustomerImport>('CustomerImport', customerImportSchema);
+export const CustomerImportRow = mongoose.model<ICustomerImportRow>('CustomerImportRow', customerImportRowSchema);
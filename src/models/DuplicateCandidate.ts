@@ -0,0 +1,77 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+import { MATCH_SIGNALS } from '../services/duplicateMatching.js';
+import type { MatchSignal } from '../services/duplicateMatching.js';
+
+export const DUPLICATE_CANDIDATE_STATUSES = ['open', 'dismissed', 'merged'] as const;
+export type DuplicateCandidateStatus = typeof DUPLICATE_CANDIDATE_STATUSES[number];
+
+// Par de clientes que probablemente son la misma persona (informe de la revisión periódica)
+export interface IDuplicateCandidate extends Document {
+  // Identificadores ordenados: el par (a, b) y el (b, a) son el mismo registro
+  pairKey: string;
+  customerIds: Types.ObjectId[];
+  score: number;
+  matchedOn: MatchSignal[];
+  status: DuplicateCandidateStatus;
+  detectedAt: Date;
+  lastScannedAt: Date;
+  dismissedBy?: string;
+  dismissedAt?: Date;
+  dismissReason?: string;
+  mergedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const duplicateCandidateSchema = new Schema<IDuplicateCandidate>({
+  pairKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customerIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  }],
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  matchedOn: [{
+    type: String,
+    enum: MATCH_SIGNALS
+  }],
+  status: {
+    type: String,
+    enum: DUPLICATE_CANDIDATE_STATUSES,
+    default: 'open'
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastScannedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dismissedBy: String,
+  dismissedAt: Date,
+  dismissReason: String,
+  mergedAt: Date
+}, {
+  timestamps: true
+});
+
+// Informe ordenado por puntuación
+duplicateCandidateSchema.index({ status: 1, score: -1 });
+duplicateCandidateSchema.index({ customerIds: 1 });
+
+export const DuplicateCandidate = mongoose.model<IDuplicateCandidate>('DuplicateCandidate', duplicateCandidateSchema);
+
+/**
+ * Clave del par independiente del orden de los clientes
+ */
+export const toPairKey = (a: string, b: string): string => (a < b ? `${a}:${b}` : `${b}:${a}`);
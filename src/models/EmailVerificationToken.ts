@@ -0,0 +1,48 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+// Registro de tokens de verificación de email emitidos (garantiza un solo uso)
+export interface IEmailVerificationToken extends Document {
+  tokenId: string;
+  customerId: Types.ObjectId;
+  email: string;
+  expiresAt: Date;
+  usedAt?: Date;
+  revokedAt?: Date;
+  createdAt: Date;
+}
+
+const emailVerificationTokenSchema = new Schema<IEmailVerificationToken>({
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+emailVerificationTokenSchema.index({ customerId: 1, usedAt: 1, revokedAt: 1 });
+// MongoDB elimina los tokens un día después de expirar
+emailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export const EmailVerificationToken = mongoose.model<IEmailVerificationToken>(
+  'EmailVerificationToken',
+  emailVerificationTokenSchema
+);
@@ -0,0 +1,76 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+export type IdempotencyKeyStatus = 'in_progress' | 'completed';
+
+// Petición recibida con cabecera Idempotency-Key y la respuesta que se devolvió
+export interface IIdempotencyKey extends Document {
+  key: string;
+  // Actor que envió la petición ("user:123"); cada actor tiene sus propias claves
+  scope: string;
+  // Hash del método, la ruta, la query, el cuerpo y el archivo subido
+  fingerprint: string;
+  method: string;
+  path: string;
+  status: IdempotencyKeyStatus;
+  // Mientras está en curso, hasta cuándo se considera que la petición original sigue procesándose
+  lockedUntil: Date;
+  response?: {
+    statusCode: number;
+    body: any;
+    // Cabeceras que se repiten con la respuesta (ETag, Location)
+    headers?: Record<string, string>;
+  };
+  completedAt?: Date;
+  expiresAt: Date;
+  createdAt: Date;
+}
+
+const idempotencyKeySchema = new Schema<IIdempotencyKey>({
+  key: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    required: true
+  },
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  response: {
+    statusCode: Number,
+    body: Schema.Types.Mixed,
+    headers: Schema.Types.Mixed
+  },
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+// MongoDB elimina las claves al expirar (IDEMPOTENCY_TTL_HOURS)
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const IdempotencyKey = mongoose.model<IIdempotencyKey>('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,80 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+// Evento de dominio pendiente de entregar (o ya entregado) a los sinks
+export interface IOutboxEvent extends Document {
+  eventId: string;
+  type: string;
+  customerId: Types.ObjectId;
+  data: Record<string, any>;
+  actor?: { id: string; type: string };
+  occurredAt: Date;
+  status: 'pending' | 'processing' | 'delivered' | 'failed';
+  // Sinks que ya recibieron el evento; en un reintento solo se entrega a los restantes
+  deliveredTo: string[];
+  attempts: number;
+  nextAttemptAt: Date;
+  lockedUntil?: Date;
+  lastError?: string;
+  deliveredAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const outboxEventSchema = new Schema<IOutboxEvent>({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  customerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  data: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  actor: {
+    id: String,
+    type: { type: String }
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  deliveredTo: {
+    type: [String],
+    default: []
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date,
+  lastError: String,
+  deliveredAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+outboxEventSchema.index({ status: 1, nextAttemptAt: 1, occurredAt: 1 });
+outboxEventSchema.index({ customerId: 1, occurredAt: 1 });
+// Los eventos entregados se eliminan a los 7 días
+outboxEventSchema.index({ deliveredAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export const OutboxEvent = mongoose.model<IOutboxEvent>('OutboxEvent', outboxEventSchema);
@@ -0,0 +1,49 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+// Estado de verificación por OTP del teléfono de un cliente (un documento por cliente)
+export interface IPhoneVerification extends Document {
+  customerId: Types.ObjectId;
+  phone: string;
+  codeHash?: string;
+  expiresAt?: Date;
+  attempts: number;
+  lastSentAt?: Date;
+  sendWindowStart?: Date;
+  sendCount: number;
+  lockedUntil?: Date;
+  verifiedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const phoneVerificationSchema = new Schema<IPhoneVerification>({
+  customerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    unique: true
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  codeHash: String,
+  expiresAt: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date,
+  sendWindowStart: Date,
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: Date,
+  verifiedAt: Date
+}, {
+  timestamps: true
+});
+
+export const PhoneVerification = mongoose.model<IPhoneVerification>('PhoneVerification', phoneVerificationSchema);
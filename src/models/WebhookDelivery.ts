@@ -0,0 +1,111 @@
+import mongoose, { Document, Schema, Types } from 'mongoose';
+
+export const WEBHOOK_DELIVERY_STATUSES = ['pending', 'processing', 'succeeded', 'failed'] as const;
+export type WebhookDeliveryStatus = typeof WEBHOOK_DELIVERY_STATUSES[number];
+
+// Resultado de un intento de entrega
+export interface WebhookDeliveryAttempt {
+  attemptedAt: Date;
+  responseStatus?: number;
+  error?: string;
+  durationMs: number;
+}
+
+// Entrega de un evento a una suscripción (registro de entregas con reintentos)
+export interface IWebhookDelivery extends Document {
+  subscriptionId: Types.ObjectId;
+  eventId: string;
+  eventType: string;
+  customerId?: string;
+  // Evento tal como se envía en el cuerpo
+  payload: Record<string, any>;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  maxAttempts: number;
+  nextAttemptAt: Date;
+  lockedUntil?: Date;
+  attemptLog: WebhookDeliveryAttempt[];
+  lastError?: string;
+  lastResponseStatus?: number;
+  deliveredAt?: Date;
+  failedAt?: Date;
+  redeliveredBy?: string;
+  redeliveredAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const webhookDeliveryAttemptSchema = new Schema<WebhookDeliveryAttempt>({
+  attemptedAt: {
+    type: Date,
+    required: true
+  },
+  responseStatus: Number,
+  error: String,
+  durationMs: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const webhookDeliverySchema = new Schema<IWebhookDelivery>({
+  subscriptionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  customerId: String,
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: WEBHOOK_DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  nextAttemptAt: {
+    type: Date,
+    required: true
+  },
+  lockedUntil: Date,
+  attemptLog: {
+    type: [webhookDeliveryAttemptSchema],
+    default: []
+  },
+  lastError: String,
+  lastResponseStatus: Number,
+  deliveredAt: Date,
+  failedAt: Date,
+  redeliveredBy: String,
+  redeliveredAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Un evento se entrega una sola vez por suscripción aunque el dispatcher lo reintente
+webhookDeliverySchema.index({ subscriptionId: 1, eventId: 1 }, { unique: true });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+// Selección de entregas vencidas por el worker
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// El registro de entregas se conserva 30 días
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export const WebhookDelivery = mongoose.model<IWebhookDelivery>('WebhookDelivery', webhookDeliverySchema);
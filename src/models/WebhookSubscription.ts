@@ -0,0 +1,81 @@
+import mongoose, { Document, Schema } from 'mongoose';
+
+export const WEBHOOK_SUBSCRIPTION_STATUSES = ['active', 'paused', 'disabled'] as const;
+export type WebhookSubscriptionStatus = typeof WEBHOOK_SUBSCRIPTION_STATUSES[number];
+
+// Suscripción de un sistema externo a los eventos de dominio de clientes
+export interface IWebhookSubscription extends Document {
+  url: string;
+  // Tipos de evento suscritos; '*' recibe todos
+  events: string[];
+  // Secreto HMAC con el que se firman las entregas; solo se devuelve al crear o rotar
+  secret: string;
+  description?: string;
+  // active: recibe eventos; paused: pausada por el usuario; disabled: desactivada por fallos repetidos
+  status: WebhookSubscriptionStatus;
+  consecutiveFailures: number;
+  disabledAt?: Date;
+  disabledReason?: string;
+  lastDeliveryAt?: Date;
+  lastSuccessAt?: Date;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const webhookSubscriptionSchema = new Schema<IWebhookSubscription>({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  events: {
+    type: [String],
+    required: true
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: WEBHOOK_SUBSCRIPTION_STATUSES,
+    default: 'active'
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  disabledAt: Date,
+  disabledReason: String,
+  lastDeliveryAt: Date,
+  lastSuccessAt: Date,
+  createdBy: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete (ret as any).secret;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete (ret as any).secret;
+      return ret;
+    }
+  }
+});
+
+// Búsqueda de suscripciones activas por tipo de evento
+webhookSubscriptionSchema.index({ status: 1, events: 1 });
+
+export const WebhookSubscription = mongoose.model<IWebhookSubscription>('WebhookSubscription', webhookSubscriptionSchema);
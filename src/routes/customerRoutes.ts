@@ -8,12 +8,57 @@ import {
   updateCustomerSchema,
   customerIdSchema,
   addKycDocumentSchema,
-  searchCustomerSchema
+  searchCustomerSchema,
+  exportCustomersQuerySchema,
+  customerHistorySchema,
+  changeStatusSchema,
+  verifyEmailSchema,
+  verifyPhoneSchema,
+  documentParamsSchema,
+  reviewKycDocumentSchema,
+  reviewQueueSchema,
+  reKycDueSchema,
+  complianceJobsQuerySchema,
+  complianceJobParamsSchema,
+  complianceHistorySchema,
+  customerAccountsQuerySchema,
+  importCustomersQuerySchema,
+  importsQuerySchema,
+  importParamsSchema,
+  importRowsQuerySchema,
+  createCustomerQuerySchema,
+  duplicateCandidatesQuerySchema,
+  duplicateCandidateParamsSchema,
+  dismissDuplicateSchema,
+  mergeCustomerSchema,
+  customerStatsQuerySchema,
+  registrationTrendQuerySchema
 } from '../validators/customerValidator.js';
+import { uploadKycDocument } from '../middleware/upload.js';
+import { requireRoles } from '../middleware/requestContext.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = Router();
 const customerController = new CustomerController();
 
+// Roles autorizados para descargar archivos KYC
+const documentReaderRoles = (process.env.KYC_DOCUMENT_READER_ROLES || 'compliance,kyc_reviewer,admin').split(',');
+
+// Roles autorizados para revisar documentos KYC
+const documentReviewerRoles = (process.env.KYC_REVIEWER_ROLES || 'kyc_reviewer,compliance,admin').split(',');
+
+// Roles autorizados para importaciones masivas de clientes
+const importRoles = (process.env.CUSTOMER_IMPORT_ROLES || 'onboarding_manager,admin').split(',');
+
+// Roles autorizados para revisar duplicados y fusionar clientes
+const mergeRoles = (process.env.CUSTOMER_MERGE_ROLES || 'compliance,admin').split(',');
+
+// Roles autorizados para exportar clientes (los datos personales se enmascaran salvo para CUSTOMER_PII_ROLES)
+const exportRoles = (process.env.CUSTOMER_EXPORT_ROLES || 'compliance,marketing,admin').split(',');
+
+// Las peticiones sobre un cliente fusionado en otro se redirigen al que lo absorbió
+router.param('id', customerController.redirectMergedCustomer);
+
 /**
  * @route   GET /api/customers/health
  * @desc    Obtener estado de salud del servicio
@@ -33,14 +78,221 @@ router.get('/',
 
 /**
  * @route   POST /api/customers
- * @desc    Crear un nuevo cliente
+ * @desc    Crear un nuevo cliente (409 si es un duplicado probable; ?allowDuplicate=true lo omite; admite Idempotency-Key)
  * @access  Private
  */
 router.post('/', 
+  validateQuery(createCustomerQuerySchema),
   validateRequest(createCustomerSchema),
+  idempotency,
   customerController.createCustomer
 );
 
+/**
+ * @route   POST /api/customers/email/verify
+ * @desc    Confirmar el email de un cliente con el token recibido
+ * @access  Public
+ */
+router.post('/email/verify', 
+  validateRequest(verifyEmailSchema),
+  customerController.verifyEmail
+);
+
+/**
+ * @route   GET /api/customers/documents/review-queue
+ * @desc    Listar documentos KYC pendientes de revisión de todos los clientes
+ * @access  Private (roles: kyc_reviewer, compliance, admin)
+ */
+router.get('/documents/review-queue', 
+  requireRoles(...documentReviewerRoles),
+  validateQuery(reviewQueueSchema),
+  customerController.getDocumentReviewQueue
+);
+
+/**
+ * @route   GET /api/customers/re-kyc/due
+ * @desc    Listar clientes con documentos vencidos o por vencer (re-KYC)
+ * @access  Private (roles: kyc_reviewer, compliance, admin)
+ */
+router.get('/re-kyc/due', 
+  requireRoles(...documentReviewerRoles),
+  validateQuery(reKycDueSchema),
+  customerController.getReKycDue
+);
+
+/**
+ * @route   POST /api/customers/re-kyc/run
+ * @desc    Ejecutar la revisión de vencimientos de documentos
+ * @access  Private (roles: compliance, admin)
+ */
+router.post('/re-kyc/run', 
+  requireRoles('compliance', 'admin'),
+  customerController.runReKycSweep
+);
+
+/**
+ * @route   GET /api/customers/compliance/jobs
+ * @desc    Listar los trabajos de verificación de compliance (cola de reintentos)
+ * @access  Private (roles: compliance, admin)
+ */
+router.get('/compliance/jobs', 
+  requireRoles('compliance', 'admin'),
+  validateQuery(complianceJobsQuerySchema),
+  customerController.getComplianceJobs
+);
+
+/**
+ * @route   POST /api/customers/compliance/jobs/:jobId/redrive
+ * @desc    Volver a encolar un trabajo de compliance en dead letter
+ * @access  Private (roles: compliance, admin)
+ */
+router.post('/compliance/jobs/:jobId/redrive', 
+  requireRoles('compliance', 'admin'),
+  validateParams(complianceJobParamsSchema),
+  customerController.redriveComplianceJob
+);
+
+/**
+ * @route   POST /api/customers/imports
+ * @desc    Importación masiva desde CSV o NDJSON (?dryRun=true solo valida y devuelve el informe)
+ * @access  Private (roles: onboarding_manager, admin)
+ */
+router.post('/imports', 
+  requireRoles(...importRoles),
+  validateQuery(importCustomersQuerySchema),
+  customerController.importCustomers
+);
+
+/**
+ * @route   GET /api/customers/imports
+ * @desc    Listar importaciones masivas
+ * @access  Private (roles: onboarding_manager, admin)
+ */
+router.get('/imports', 
+  requireRoles(...importRoles),
+  validateQuery(importsQuerySchema),
+  customerController.getImports
+);
+
+/**
+ * @route   GET /api/customers/imports/:importId
+ * @desc    Progreso de una importación
+ * @access  Private (roles: onboarding_manager, admin)
+ */
+router.get('/imports/:importId', 
+  requireRoles(...importRoles),
+  validateParams(importParamsSchema),
+  customerController.getImport
+);
+
+/**
+ * @route   GET /api/customers/imports/:importId/rows
+ * @desc    Resultado por fila de una importación (errores, clientes creados)
+ * @access  Private (roles: onboarding_manager, admin)
+ */
+router.get('/imports/:importId/rows', 
+  requireRoles(...importRoles),
+  validateParams(importParamsSchema),
+  validateQuery(importRowsQuerySchema),
+  customerController.getImportRows
+);
+
+/**
+ * @route   POST /api/customers/imports/:importId/cancel
+ * @desc    Detener una importación en curso
+ * @access  Private (roles: onboarding_manager, admin)
+ */
+router.post('/imports/:importId/cancel', 
+  requireRoles(...importRoles),
+  validateParams(importParamsSchema),
+  customerController.cancelImport
+);
+
+/**
+ * @route   POST /api/customers/imports/:importId/resume
+ * @desc    Reanudar una importación cancelada
+ * @access  Private (roles: onboarding_manager, admin)
+ */
+router.post('/imports/:importId/resume', 
+  requireRoles(...importRoles),
+  validateParams(importParamsSchema),
+  customerController.resumeImport
+);
+
+/**
+ * @route   GET /api/customers/duplicates
+ * @desc    Informe de pares de clientes que probablemente son la misma persona
+ * @access  Private (roles: compliance, admin)
+ */
+router.get('/duplicates', 
+  requireRoles(...mergeRoles),
+  validateQuery(duplicateCandidatesQuerySchema),
+  customerController.getDuplicateCandidates
+);
+
+/**
+ * @route   POST /api/customers/duplicates/scan
+ * @desc    Ejecutar la revisión de duplicados sobre todos los clientes
+ * @access  Private (roles: compliance, admin)
+ */
+router.post('/duplicates/scan', 
+  requireRoles(...mergeRoles),
+  customerController.runDuplicateScan
+);
+
+/**
+ * @route   POST /api/customers/duplicates/:candidateId/dismiss
+ * @desc    Descartar un par de duplicados (no son la misma persona)
+ * @access  Private (roles: compliance, admin)
+ */
+router.post('/duplicates/:candidateId/dismiss', 
+  requireRoles(...mergeRoles),
+  validateParams(duplicateCandidateParamsSchema),
+  validateRequest(dismissDuplicateSchema),
+  customerController.dismissDuplicateCandidate
+);
+
+/**
+ * @route   GET /api/customers/stats
+ * @desc    Recuentos por estado, compliance, país y verificaciones (?from=&to=&format=json|csv)
+ * @access  Private
+ */
+router.get('/stats', 
+  validateQuery(customerStatsQuerySchema),
+  customerController.getCustomerStats
+);
+
+/**
+ * @route   GET /api/customers/reports/registrations
+ * @desc    Altas por día, semana o mes (?interval=&from=&to=&format=json|csv)
+ * @access  Private
+ */
+router.get('/reports/registrations', 
+  validateQuery(registrationTrendQuerySchema),
+  customerController.getRegistrationReport
+);
+
+/**
+ * @route   GET /api/customers/reports/funnel
+ * @desc    Embudo de alta con la conversión de cada paso (?from=&to=&format=json|csv)
+ * @access  Private
+ */
+router.get('/reports/funnel', 
+  validateQuery(customerStatsQuerySchema),
+  customerController.getOnboardingFunnel
+);
+
+/**
+ * @route   GET /api/customers/export
+ * @desc    Exportar los clientes que cumplen los filtros de búsqueda en CSV o NDJSON
+ * @access  Private (roles: compliance, marketing, admin)
+ */
+router.get('/export', 
+  requireRoles(...exportRoles),
+  validateQuery(exportCustomersQuerySchema),
+  customerController.exportCustomers
+);
+
 /**
  * @route   GET /api/customers/by-national-id/:nationalId
  * @desc    Obtener cliente por número de identificación nacional
@@ -71,6 +323,16 @@ router.put('/:id',
   customerController.updateCustomer
 );
 
+/**
+ * @route   PATCH /api/customers/:id
+ * @desc    Actualización parcial (application/merge-patch+json o application/json-patch+json)
+ * @access  Private
+ */
+router.patch('/:id', 
+  validateParams(customerIdSchema),
+  customerController.patchCustomer
+);
+
 /**
  * @route   DELETE /api/customers/:id
  * @desc    Eliminar/desactivar un cliente
@@ -83,23 +345,148 @@ router.delete('/:id',
 
 /**
  * @route   GET /api/customers/:id/accounts
- * @desc    Obtener cuentas de un cliente (consulta MS2)
+ * @desc    Obtener cuentas de un cliente (consulta MS2 con caché; ?refresh=true la fuerza)
  * @access  Private
  */
 router.get('/:id/accounts', 
   validateParams(customerIdSchema),
+  validateQuery(customerAccountsQuerySchema),
   customerController.getCustomerAccounts
 );
 
 /**
  * @route   POST /api/customers/:id/documents
- * @desc    Agregar documento KYC a un cliente
+ * @desc    Subir documento KYC de un cliente (multipart/form-data: file, type, filename; admite Idempotency-Key)
  * @access  Private
  */
 router.post('/:id/documents', 
   validateParams(customerIdSchema),
+  uploadKycDocument,
   validateRequest(addKycDocumentSchema),
+  idempotency,
   customerController.addKycDocument
 );
 
+/**
+ * @route   GET /api/customers/:id/documents/:docId/content
+ * @desc    Descargar el archivo de un documento KYC
+ * @access  Private (roles: compliance, kyc_reviewer, admin)
+ */
+router.get('/:id/documents/:docId/content', 
+  validateParams(documentParamsSchema),
+  requireRoles(...documentReaderRoles),
+  customerController.getKycDocumentContent
+);
+
+/**
+ * @route   POST /api/customers/:id/email/verification
+ * @desc    Enviar un token de verificación al email del cliente
+ * @access  Private
+ */
+router.post('/:id/email/verification', 
+  validateParams(customerIdSchema),
+  customerController.requestEmailVerification
+);
+
+/**
+ * @route   POST /api/customers/:id/phone/verification
+ * @desc    Enviar un código OTP por SMS al teléfono del cliente
+ * @access  Private
+ */
+router.post('/:id/phone/verification', 
+  validateParams(customerIdSchema),
+  customerController.requestPhoneVerification
+);
+
+/**
+ * @route   POST /api/customers/:id/phone/verify
+ * @desc    Verificar el teléfono con el código OTP
+ * @access  Private
+ */
+router.post('/:id/phone/verify', 
+  validateParams(customerIdSchema),
+  validateRequest(verifyPhoneSchema),
+  customerController.verifyPhone
+);
+
+/**
+ * @route   POST /api/customers/:id/status
+ * @desc    Cambiar el estado del cliente (máquina de estados con motivo obligatorio)
+ * @access  Private
+ */
+router.post('/:id/status', 
+  validateParams(customerIdSchema),
+  validateRequest(changeStatusSchema),
+  customerController.changeCustomerStatus
+);
+
+/**
+ * @route   GET /api/customers/:id/compliance
+ * @desc    Historial de verificaciones de compliance (datos enviados, estado, riskScore, motivo)
+ * @access  Private (roles: compliance, admin)
+ */
+router.get('/:id/compliance', 
+  requireRoles('compliance', 'admin'),
+  validateParams(customerIdSchema),
+  validateQuery(complianceHistorySchema),
+  customerController.getComplianceHistory
+);
+
+/**
+ * @route   POST /api/customers/:id/compliance/check
+ * @desc    Solicitar manualmente una nueva verificación de compliance en MS4
+ * @access  Private (roles: compliance, admin)
+ */
+router.post('/:id/compliance/check', 
+  requireRoles('compliance', 'admin'),
+  validateParams(customerIdSchema),
+  customerController.requestComplianceCheck
+);
+
+/**
+ * @route   GET /api/customers/:id/duplicates
+ * @desc    Clientes que probablemente son la misma persona
+ * @access  Private (roles: compliance, admin)
+ */
+router.get('/:id/duplicates', 
+  requireRoles(...mergeRoles),
+  validateParams(customerIdSchema),
+  customerController.getCustomerDuplicates
+);
+
+/**
+ * @route   POST /api/customers/:id/merge
+ * @desc    Fusionar un cliente duplicado en este ({ sourceId, reason }); el ID absorbido redirige aquí
+ * @access  Private (roles: compliance, admin)
+ */
+router.post('/:id/merge', 
+  requireRoles(...mergeRoles),
+  validateParams(customerIdSchema),
+  validateRequest(mergeCustomerSchema),
+  customerController.mergeCustomer
+);
+
+/**
+ * @route   GET /api/customers/:id/history
+ * @desc    Obtener historial de cambios (auditoría) de un cliente
+ * @access  Private
+ */
+router.get('/:id/history', 
+  validateParams(customerIdSchema),
+  validateQuery(customerHistorySchema),
+  customerController.getCustomerHistory
+);
+
+/**
+ * @route   POST /api/customers/:id/documents/:docId/review
+ * @desc    Aprobar o rechazar un documento KYC ({ decision, reason })
+ * @access  Private (roles: kyc_reviewer, compliance, admin)
+ */
+router.post('/:id/documents/:docId/review', 
+  validateParams(documentParamsSchema),
+  requireRoles(...documentReviewerRoles),
+  validateRequest(reviewKycDocumentSchema),
+  customerController.reviewKycDocument
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,46 @@
+import { Router } from 'express';
+import IntegrationController from '../controllers/IntegrationController.js';
+import {
+  validateRequest,
+  complianceResultWebhookSchema,
+  accountsChangedWebhookSchema
+} from '../validators/customerValidator.js';
+import { verifyWebhookSignature } from '../middleware/webhookSignature.js';
+
+const router = Router();
+const integrationController = new IntegrationController();
+
+// En desarrollo se usa un secreto por defecto; en producción debe configurarse explícitamente
+const ms4WebhookSecret = (): string | undefined =>
+  process.env.MS4_WEBHOOK_SECRET ||
+  (process.env.NODE_ENV === 'production' ? undefined : 'dev-ms4-webhook-secret');
+
+const ms2WebhookSecret = (): string | undefined =>
+  process.env.MS2_WEBHOOK_SECRET ||
+  (process.env.NODE_ENV === 'production' ? undefined : 'dev-ms2-webhook-secret');
+
+const webhookToleranceSeconds = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300');
+
+/**
+ * @route   POST /api/integrations/compliance/results
+ * @desc    Recibir resultados de compliance de MS4 (firmados con HMAC, idempotentes por resultId)
+ * @access  Private (firma X-Signature de MS4)
+ */
+router.post('/compliance/results', 
+  verifyWebhookSignature(ms4WebhookSecret, webhookToleranceSeconds),
+  validateRequest(complianceResultWebhookSchema),
+  integrationController.receiveComplianceResult
+);
+
+/**
+ * @route   POST /api/integrations/accounts/changed
+ * @desc    MS2 notifica que cambiaron las cuentas de un cliente (invalida el caché)
+ * @access  Private (firma X-Signature de MS2)
+ */
+router.post('/accounts/changed', 
+  verifyWebhookSignature(ms2WebhookSecret, webhookToleranceSeconds),
+  validateRequest(accountsChangedWebhookSchema),
+  integrationController.accountsChanged
+);
+
+export default router;
@@ -0,0 +1,112 @@
+import { Router } from 'express';
+import WebhookController from '../controllers/WebhookController.js';
+import {
+  validateRequest,
+  validateParams,
+  validateQuery,
+  createWebhookSubscriptionSchema,
+  updateWebhookSubscriptionSchema,
+  webhookSubscriptionsQuerySchema,
+  webhookSubscriptionParamsSchema,
+  webhookDeliveriesQuerySchema,
+  webhookDeliveryParamsSchema
+} from '../validators/customerValidator.js';
+import { requireRoles } from '../middleware/requestContext.js';
+
+const router = Router();
+const webhookController = new WebhookController();
+
+// Roles autorizados para administrar suscripciones de webhooks
+const webhookAdminRoles = (process.env.WEBHOOK_ADMIN_ROLES || 'integration_admin,admin').split(',');
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Crear una suscripción a eventos de clientes (URL, tipos de evento, secreto)
+ * @access  Private (roles: integration_admin, admin)
+ */
+router.post('/', 
+  requireRoles(...webhookAdminRoles),
+  validateRequest(createWebhookSubscriptionSchema),
+  webhookController.createSubscription
+);
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Listar suscripciones de webhooks
+ * @access  Private (roles: integration_admin, admin)
+ */
+router.get('/', 
+  requireRoles(...webhookAdminRoles),
+  validateQuery(webhookSubscriptionsQuerySchema),
+  webhookController.listSubscriptions
+);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Obtener una suscripción de webhooks
+ * @access  Private (roles: integration_admin, admin)
+ */
+router.get('/:id', 
+  requireRoles(...webhookAdminRoles),
+  validateParams(webhookSubscriptionParamsSchema),
+  webhookController.getSubscription
+);
+
+/**
+ * @route   PATCH /api/webhooks/:id
+ * @desc    Modificar una suscripción; status=active reactiva una suscripción desactivada
+ * @access  Private (roles: integration_admin, admin)
+ */
+router.patch('/:id', 
+  requireRoles(...webhookAdminRoles),
+  validateParams(webhookSubscriptionParamsSchema),
+  validateRequest(updateWebhookSubscriptionSchema),
+  webhookController.updateSubscription
+);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Eliminar una suscripción y su registro de entregas
+ * @access  Private (roles: integration_admin, admin)
+ */
+router.delete('/:id', 
+  requireRoles(...webhookAdminRoles),
+  validateParams(webhookSubscriptionParamsSchema),
+  webhookController.deleteSubscription
+);
+
+/**
+ * @route   POST /api/webhooks/:id/secret
+ * @desc    Rotar el secreto de firma de una suscripción
+ * @access  Private (roles: integration_admin, admin)
+ */
+router.post('/:id/secret', 
+  requireRoles(...webhookAdminRoles),
+  validateParams(webhookSubscriptionParamsSchema),
+  webhookController.rotateSecret
+);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Registro de entregas de una suscripción
+ * @access  Private (roles: integration_admin, admin)
+ */
+router.get('/:id/deliveries', 
+  requireRoles(...webhookAdminRoles),
+  validateParams(webhookSubscriptionParamsSchema),
+  validateQuery(webhookDeliveriesQuerySchema),
+  webhookController.listDeliveries
+);
+
+/**
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @desc    Volver a enviar una entrega finalizada
+ * @access  Private (roles: integration_admin, admin)
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', 
+  requireRoles(...webhookAdminRoles),
+  validateParams(webhookDeliveryParamsSchema),
+  webhookController.redeliver
+);
+
+export default router;
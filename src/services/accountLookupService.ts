@@ -0,0 +1,129 @@
+import dotenv from 'dotenv';
+import ExternalServicesClient from './externalServices.js';
+import type { AccountResponse } from './externalServices.js';
+
+dotenv.config();
+
+export interface AccountLookupResult {
+  accounts: AccountResponse[];
+  // true si MS2 no está disponible y se devuelven datos vencidos del caché
+  stale: boolean;
+  cachedAt: Date;
+  ageSeconds: number;
+}
+
+interface CacheEntry {
+  accounts: AccountResponse[];
+  fetchedAt: number;
+}
+
+/**
+ * Caché en memoria de las cuentas de MS2 por cliente.
+ * - Dentro del TTL se responde desde el caché sin llamar a MS2
+ * - Las consultas simultáneas del mismo cliente comparten una única llamada
+ * - Si MS2 falla se sirven datos vencidos (hasta ACCOUNT_CACHE_MAX_STALE_SECONDS) marcados como stale
+ */
+class AccountLookupService {
+  private static instance: AccountLookupService;
+  private externalServices: ExternalServicesClient;
+  private cache = new Map<string, CacheEntry>();
+  private inFlight = new Map<string, Promise<CacheEntry>>();
+  private ttlMs: number;
+  private maxStaleMs: number;
+  private maxEntries: number;
+
+  private constructor() {
+    this.externalServices = ExternalServicesClient.getInstance();
+    this.ttlMs = parseInt(process.env.ACCOUNT_CACHE_TTL_SECONDS || '60') * 1000;
+    this.maxStaleMs = parseInt(process.env.ACCOUNT_CACHE_MAX_STALE_SECONDS || '86400') * 1000;
+    this.maxEntries = parseInt(process.env.ACCOUNT_CACHE_MAX_ENTRIES || '5000');
+  }
+
+  public static getInstance(): AccountLookupService {
+    if (!AccountLookupService.instance) {
+      AccountLookupService.instance = new AccountLookupService();
+    }
+    return AccountLookupService.instance;
+  }
+
+  /**
+   * Obtiene las cuentas de un cliente; `refresh` ignora el TTL y consulta MS2
+   */
+  public async getAccounts(customerId: string, options: { refresh?: boolean } = {}): Promise<AccountLookupResult> {
+    const cached = this.cache.get(customerId);
+    if (cached && !options.refresh && Date.now() - cached.fetchedAt < this.ttlMs) {
+      return this.toResult(cached, false);
+    }
+
+    try {
+      return this.toResult(await this.fetch(customerId), false);
+    } catch (error) {
+      const fallback = this.cache.get(customerId);
+      if (fallback && Date.now() - fallback.fetchedAt < this.maxStaleMs) {
+        console.warn(`⚠️ Serving stale accounts for customer ${customerId}: ${(error as Error).message}`);
+        return this.toResult(fallback, true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Descarta las cuentas cacheadas de un cliente (p.ej. cuando MS2 notifica un cambio)
+   */
+  public invalidate(customerId: string): boolean {
+    this.inFlight.delete(customerId);
+    return this.cache.delete(customerId);
+  }
+
+  public clear(): void {
+    this.inFlight.clear();
+    this.cache.clear();
+  }
+
+  private fetch(customerId: string): Promise<CacheEntry> {
+    const pending = this.inFlight.get(customerId);
+    if (pending) {
+      return pending;
+    }
+
+    const request: Promise<CacheEntry> = this.externalServices.getCustomerAccounts(customerId)
+      .then(accounts => {
+        const entry = { accounts, fetchedAt: Date.now() };
+        // Si se invalidó mientras la llamada estaba en curso, la respuesta puede ser anterior al cambio
+        if (this.inFlight.get(customerId) === request) {
+          this.store(customerId, entry);
+        }
+        return entry;
+      })
+      .finally(() => {
+        if (this.inFlight.get(customerId) === request) {
+          this.inFlight.delete(customerId);
+        }
+      });
+
+    this.inFlight.set(customerId, request);
+    return request;
+  }
+
+  private store(customerId: string, entry: CacheEntry): void {
+    // Map conserva el orden de inserción: se reinserta para dejarlo como el más reciente
+    this.cache.delete(customerId);
+    this.cache.set(customerId, entry);
+
+    while (this.cache.size > this.maxEntries) {
+      const oldest = this.cache.keys().next().value as string;
+      this.cache.delete(oldest);
+    }
+  }
+
+  private toResult(entry: CacheEntry, stale: boolean): AccountLookupResult {
+    return {
+      accounts: entry.accounts,
+      stale,
+      cachedAt: new Date(entry.fetchedAt),
+      ageSeconds: Math.floor((Date.now() - entry.fetchedAt) / 1000)
+    };
+  }
+}
+
+export default AccountLookupService;
@@ -0,0 +1,160 @@
+import type { Request } from 'express';
+import { AuditLog } from '../models/AuditLog.js';
+import type { AuditAction, AuditActor, AuditChange, IAuditLog } from '../models/AuditLog.js';
+import { getActor, getRouteSignature } from '../middleware/requestContext.js';
+import type { RequestActor } from '../middleware/requestContext.js';
+
+export interface AuditEntry {
+  customerId: string;
+  action: AuditAction;
+  changes: AuditChange[];
+  actor: AuditActor | RequestActor;
+  route?: string;
+  source?: 'api' | 'system';
+  reason?: string;
+}
+
+export interface AuditHistoryQuery {
+  page: number;
+  limit: number;
+  field?: string;
+  action?: AuditAction;
+}
+
+// Campos de metadatos que no se auditan
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'statusHistory'];
+
+class AuditService {
+  private static instance: AuditService;
+
+  private constructor() {}
+
+  public static getInstance(): AuditService {
+    if (!AuditService.instance) {
+      AuditService.instance = new AuditService();
+    }
+    return AuditService.instance;
+  }
+
+  /**
+   * Calcula los cambios campo a campo entre dos snapshots de un cliente.
+   * Los objetos anidados se comparan hoja a hoja (p.ej. "address.city");
+   * los arreglos se comparan como un único valor.
+   */
+  public diff(before: Record<string, any>, after: Record<string, any>, ignore: string[] = []): AuditChange[] {
+    const excluded = [...IGNORED_FIELDS, ...ignore];
+    const flatBefore = this.flatten(before, excluded);
+    const flatAfter = this.flatten(after, excluded);
+    const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+    const changes: AuditChange[] = [];
+    for (const field of fields) {
+      const from = flatBefore[field];
+      const to = flatAfter[field];
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ field, from: from ?? null, to: to ?? null });
+      }
+    }
+
+    return changes.sort((a, b) => a.field.localeCompare(b.field));
+  }
+
+  /**
+   * Contexto de auditoría (actor y ruta) de una petición HTTP
+   */
+  public contextFromRequest(req: Request): Pick<AuditEntry, 'actor' | 'route' | 'source'> {
+    return {
+      actor: getActor(req),
+      route: getRouteSignature(req),
+      source: 'api'
+    };
+  }
+
+  /**
+   * Agrega una entrada al historial. Las entradas sin cambios se descartan,
+   * salvo las de creación y borrado.
+   */
+  public async record(entry: AuditEntry): Promise<IAuditLog | null> {
+    if (entry.changes.length === 0 && !['create', 'delete'].includes(entry.action)) {
+      return null;
+    }
+
+    return AuditLog.create({
+      customerId: entry.customerId,
+      action: entry.action,
+      changes: entry.changes,
+      actor: { id: entry.actor.id, type: entry.actor.type },
+      route: entry.route,
+      reason: entry.reason,
+      source: entry.source || 'api'
+    });
+  }
+
+  /**
+   * Historial paginado de un cliente, opcionalmente filtrado por campo o acción.
+   * El filtro por campo incluye los subcampos ("address" encuentra "address.city").
+   * Las entradas no se reasignan al fusionar clientes: el historial de un cliente incluye el de los
+   * registros fusionados en él (mergedFrom).
+   */
+  public async getHistory(customerIds: string[], query: AuditHistoryQuery): Promise<{
+    entries: IAuditLog[];
+    totalCount: number;
+  }> {
+    const filter: any = { customerId: { $in: customerIds } };
+
+    if (query.field) {
+      const escaped = query.field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter['changes.field'] = { $regex: `^${escaped}(\\.|$)` };
+    }
+
+    if (query.action) {
+      filter.action = query.action;
+    }
+
+    const skip = (query.page - 1) * query.limit;
+    const [totalCount, entries] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(query.limit)
+    ]);
+
+    return { entries, totalCount };
+  }
+
+  private flatten(source: Record<string, any>, excluded: string[], prefix = ''): Record<string, any> {
+    const result: Record<string, any> = {};
+
+    for (const [key, rawValue] of Object.entries(source || {})) {
+      if (!prefix && excluded.includes(key)) continue;
+      if (prefix && (key === '_id' || key === 'id')) continue;
+
+      const path = prefix ? `${prefix}.${key}` : key;
+      const value = this.normalize(rawValue);
+
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.assign(result, this.flatten(value, excluded, path));
+      } else {
+        result[path] = value;
+      }
+    }
+
+    return result;
+  }
+
+  private normalize(value: any): any {
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (value && typeof value.toHexString === 'function') {
+      return value.toHexString();
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalize(item));
+    }
+    return value;
+  }
+}
+
+export default AuditService;
@@ -0,0 +1,411 @@
+import dotenv from 'dotenv';
+import { Types } from 'mongoose';
+import { Customer } from '../models/Customer.js';
+import type { ICustomer } from '../models/Customer.js';
+import { ComplianceCheckJob } from '../models/ComplianceCheckJob.js';
+import type { ComplianceJobStatus, ComplianceJobTrigger, IComplianceCheckJob } from '../models/ComplianceCheckJob.js';
+import { AppError } from '../middleware/errorHandler.js';
+import ExternalServicesClient from './externalServices.js';
+import type { ComplianceCheckRequest, ComplianceCheckResponse } from './externalServices.js';
+import ComplianceResultService from './complianceResultService.js';
+
+dotenv.config();
+
+// Dos upserts simultáneos del mismo trabajo pendiente: el índice único rechaza uno (11000) y al repetirlo
+// encuentra el trabajo que insertó el otro
+const isDuplicateKeyError = (error: unknown): boolean => {
+  const writeErrors: Array<{ code?: number; err?: { code?: number } }> = (error as any)?.writeErrors || [];
+  return (error as { code?: number }).code === 11000 ||
+    (writeErrors.length > 0 && writeErrors.every(writeError => (writeError.code ?? writeError.err?.code) === 11000));
+};
+
+const retryOnDuplicate = async <T>(write: () => Promise<T>): Promise<T> => {
+  try {
+    return await write();
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) {
+      throw error;
+    }
+    return write();
+  }
+};
+
+export interface ComplianceJobQuery {
+  status?: ComplianceJobStatus;
+  customerId?: string;
+  page: number;
+  limit: number;
+}
+
+export interface ComplianceQueueRunResult {
+  processed: number;
+  completed: number;
+  retried: number;
+  deadLettered: number;
+}
+
+class ComplianceQueueService {
+  private static instance: ComplianceQueueService;
+  private externalServices: ExternalServicesClient;
+  private complianceResultService: ComplianceResultService;
+  private maxAttempts: number;
+  private baseDelayMs: number;
+  private maxDelayMs: number;
+  private leaseMs: number;
+  private batchSize: number;
+
+  private constructor() {
+    this.externalServices = ExternalServicesClient.getInstance();
+    this.complianceResultService = ComplianceResultService.getInstance();
+    this.maxAttempts = parseInt(process.env.COMPLIANCE_MAX_ATTEMPTS || '8');
+    this.baseDelayMs = parseInt(process.env.COMPLIANCE_RETRY_BASE_DELAY_SECONDS || '30') * 1000;
+    this.maxDelayMs = parseInt(process.env.COMPLIANCE_RETRY_MAX_DELAY_SECONDS || '3600') * 1000;
+    // Tiempo que un trabajo queda reservado; si el proceso cae, otro worker lo retoma al vencer
+    this.leaseMs = parseInt(process.env.COMPLIANCE_JOB_LEASE_SECONDS || '120') * 1000;
+    this.batchSize = parseInt(process.env.COMPLIANCE_QUEUE_BATCH_SIZE || '20');
+  }
+
+  public static getInstance(): ComplianceQueueService {
+    if (!ComplianceQueueService.instance) {
+      ComplianceQueueService.instance = new ComplianceQueueService();
+    }
+    return ComplianceQueueService.instance;
+  }
+
+  /**
+   * Encola una verificación de compliance para el cliente.
+   * Si ya hay una pendiente se reutiliza (los datos se leen al procesarla) y se adelanta al momento actual.
+   */
+  public async enqueue(customerId: string | Types.ObjectId, trigger: ComplianceJobTrigger): Promise<IComplianceCheckJob> {
+    const now = new Date();
+
+    const job = await retryOnDuplicate(() => ComplianceCheckJob.findOneAndUpdate(
+      { customerId, status: 'pending' },
+      {
+        $setOnInsert: { customerId, trigger, attempts: 0, maxAttempts: this.maxAttempts },
+        $min: { nextAttemptAt: now }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ));
+
+    // Primer intento inmediato; si falla, el worker periódico lo reintenta
+    setImmediate(() => {
+      this.processDue().catch(error => {
+        console.error('❌ Error processing compliance queue:', error);
+      });
+    });
+
+    return job;
+  }
+
+  /**
+   * Encola verificaciones para varios clientes con un único procesamiento inmediato (importaciones masivas)
+   */
+  public async enqueueMany(customerIds: Array<string | Types.ObjectId>, trigger: ComplianceJobTrigger): Promise<number> {
+    const now = new Date();
+
+    const result = await retryOnDuplicate(() => ComplianceCheckJob.bulkWrite(customerIds.map(customerId => ({
+      updateOne: {
+        filter: { customerId, status: 'pending' },
+        update: {
+          $setOnInsert: { customerId, trigger, attempts: 0, maxAttempts: this.maxAttempts },
+          $min: { nextAttemptAt: now }
+        },
+        upsert: true
+      }
+    })), { ordered: false }));
+
+    setImmediate(() => {
+      this.processDue().catch(error => {
+        console.error('❌ Error processing compliance queue:', error);
+      });
+    });
+
+    return result.upsertedCount;
+  }
+
+  /**
+   * Procesa los trabajos vencidos. La reserva es atómica, por lo que varias instancias
+   * pueden ejecutar el worker a la vez; los trabajos con la reserva vencida se retoman
+   * mientras les queden intentos.
+   */
+  public async processDue(): Promise<ComplianceQueueRunResult> {
+    const result: ComplianceQueueRunResult = { processed: 0, completed: 0, retried: 0, deadLettered: 0 };
+    result.deadLettered += await this.deadLetterAbandoned();
+
+    for (let i = 0; i < this.batchSize; i++) {
+      const job = await this.claimNext();
+      if (!job) {
+        break;
+      }
+
+      result.processed++;
+      const outcome = await this.process(job);
+      if (outcome === 'completed') result.completed++;
+      if (outcome === 'retried') result.retried++;
+      if (outcome === 'dead_letter') result.deadLettered++;
+    }
+
+    return result;
+  }
+
+  public async listJobs(query: ComplianceJobQuery): Promise<{ jobs: IComplianceCheckJob[]; totalCount: number }> {
+    const filter: Record<string, any> = {};
+    if (query.status) {
+      filter.status = query.status;
+    }
+    if (query.customerId) {
+      filter.customerId = query.customerId;
+    }
+
+    const [totalCount, jobs] = await Promise.all([
+      ComplianceCheckJob.countDocuments(filter),
+      ComplianceCheckJob.find(filter)
+        .sort({ updatedAt: -1, _id: -1 })
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit)
+    ]);
+
+    return { jobs, totalCount };
+  }
+
+  /**
+   * Vuelve a encolar un trabajo en dead letter con los intentos reiniciados
+   */
+  public async redrive(jobId: string, actorId: string): Promise<IComplianceCheckJob> {
+    const now = new Date();
+
+    const job = await ComplianceCheckJob.findOneAndUpdate(
+      { _id: jobId, status: 'dead_letter' },
+      {
+        $set: {
+          status: 'pending',
+          attempts: 0,
+          maxAttempts: this.maxAttempts,
+          nextAttemptAt: now,
+          redrivenBy: actorId,
+          redrivenAt: now
+        },
+        $unset: { lockedUntil: 1, deadLetteredAt: 1 }
+      },
+      { new: true }
+    ).catch(error => {
+      if (isDuplicateKeyError(error)) {
+        throw new AppError('Customer already has a pending compliance check', 409);
+      }
+      throw error;
+    });
+
+    if (!job) {
+      const exists = await ComplianceCheckJob.exists({ _id: jobId });
+      if (!exists) {
+        throw new AppError('Compliance job not found', 404);
+      }
+      throw new AppError('Only dead-lettered compliance jobs can be re-driven', 409);
+    }
+
+    setImmediate(() => {
+      this.processDue().catch(error => {
+        console.error('❌ Error processing compliance queue:', error);
+      });
+    });
+
+    return job;
+  }
+
+  private async claimNext(): Promise<IComplianceCheckJob | null> {
+    const now = new Date();
+
+    return ComplianceCheckJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lte: now }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedUntil: new Date(now.getTime() + this.leaseMs), lastAttemptAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Trabajos cuya reserva venció en el último intento (el worker cayó o no terminó a tiempo):
+   * no se retoman, pasan a dead letter
+   */
+  private async deadLetterAbandoned(): Promise<number> {
+    const filter = {
+      status: 'processing',
+      lockedUntil: { $lte: new Date() },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    };
+    const abandoned = await ComplianceCheckJob.find(filter).select('customerId attempts lockedUntil');
+    let deadLettered = 0;
+
+    for (const job of abandoned) {
+      const updated = await ComplianceCheckJob.updateOne(
+        { _id: job._id, ...filter, lockedUntil: job.lockedUntil },
+        {
+          $set: { status: 'dead_letter', deadLetteredAt: new Date(), lastError: 'Lease expired on the last attempt' },
+          $unset: { lockedUntil: 1 }
+        }
+      );
+      if (updated.modifiedCount > 0) {
+        deadLettered++;
+        console.error(`❌ Compliance check for customer ${job.customerId} moved to dead letter: lease expired on attempt ${job.attempts}`);
+      }
+    }
+
+    return deadLettered;
+  }
+
+  private async process(job: IComplianceCheckJob): Promise<'completed' | 'retried' | 'dead_letter'> {
+    const customer = await Customer.findById(job.customerId);
+    if (!customer || customer.status === 'inactive') {
+      await this.complete(job, customer ? 'Customer is inactive' : 'Customer not found');
+      return 'completed';
+    }
+
+    const request = this.buildRequest(customer);
+    const requestedAt = new Date();
+
+    let complianceResult: ComplianceCheckResponse | null;
+    try {
+      complianceResult = await this.externalServices.triggerComplianceCheck(request);
+    } catch (error) {
+      // MS4 rechazó los datos: reintentar no cambia el resultado
+      await this.deadLetter(job, (error as Error).message);
+      return 'dead_letter';
+    }
+
+    if (!complianceResult) {
+      return this.scheduleRetry(job, 'MS4 compliance service unavailable');
+    }
+
+    try {
+      // Si MS4 ya notificó un resultado más reciente por webhook, este queda en el historial pero no se aplica
+      await this.complianceResultService.recordCheckResponse({
+        customerId: customer.id,
+        jobId: job.id,
+        attempt: job.attempts,
+        trigger: job.trigger,
+        request: { ...request },
+        requestedAt,
+        status: complianceResult.status,
+        ...(complianceResult.riskScore !== undefined && { riskScore: complianceResult.riskScore }),
+        ...(complianceResult.notes !== undefined && { notes: complianceResult.notes }),
+        checkedAt: new Date(complianceResult.checkedAt)
+      }, 'POST /api/compliance/check');
+    } catch (error) {
+      return this.scheduleRetry(job, `Error saving compliance result: ${(error as Error).message}`);
+    }
+
+    await this.complete(job);
+    console.log(`✅ Compliance check completed for customer ${customer._id}: ${complianceResult.status}`);
+    return 'completed';
+  }
+
+  private async scheduleRetry(job: IComplianceCheckJob, error: string): Promise<'completed' | 'retried' | 'dead_letter'> {
+    if (job.attempts >= job.maxAttempts) {
+      await this.deadLetter(job, error);
+      return 'dead_letter';
+    }
+
+    const nextAttemptAt = new Date(Date.now() + this.backoffDelay(job.attempts));
+    let updated;
+    try {
+      updated = await ComplianceCheckJob.updateOne(
+        this.leaseFilter(job),
+        { $set: { status: 'pending', nextAttemptAt, lastError: error }, $unset: { lockedUntil: 1 } }
+      );
+    } catch (updateError) {
+      if (!isDuplicateKeyError(updateError)) {
+        throw updateError;
+      }
+      // Mientras se procesaba se encoló otra verificación del cliente: esa hace las veces de reintento
+      await this.complete(job, `${error} (retry superseded by a pending check)`);
+      return 'completed';
+    }
+    if (updated.matchedCount === 0) {
+      this.warnLeaseLost(job);
+      return 'retried';
+    }
+
+    console.warn(
+      `⚠️ Compliance check for customer ${job.customerId} failed (attempt ${job.attempts}/${job.maxAttempts}), ` +
+      `retrying at ${nextAttemptAt.toISOString()}`
+    );
+    return 'retried';
+  }
+
+  private async complete(job: IComplianceCheckJob, note?: string): Promise<void> {
+    const updated = await ComplianceCheckJob.updateOne(
+      this.leaseFilter(job),
+      {
+        $set: { status: 'completed', completedAt: new Date(), ...(note && { lastError: note }) },
+        $unset: { lockedUntil: 1 }
+      }
+    );
+    if (updated.matchedCount === 0) {
+      this.warnLeaseLost(job);
+    }
+  }
+
+  private async deadLetter(job: IComplianceCheckJob, error: string): Promise<void> {
+    const updated = await ComplianceCheckJob.updateOne(
+      this.leaseFilter(job),
+      { $set: { status: 'dead_letter', deadLetteredAt: new Date(), lastError: error }, $unset: { lockedUntil: 1 } }
+    );
+    if (updated.matchedCount === 0) {
+      this.warnLeaseLost(job);
+      return;
+    }
+    console.error(`❌ Compliance check for customer ${job.customerId} moved to dead letter: ${error}`);
+  }
+
+  /**
+   * El trabajo solo se resuelve si sigue reservado por este intento: si la reserva venció y otro worker
+   * lo retomó, el resultado de este intento no sobrescribe el suyo
+   */
+  private leaseFilter(job: IComplianceCheckJob): Record<string, any> {
+    return { _id: job._id, status: 'processing', lockedUntil: job.lockedUntil };
+  }
+
+  private warnLeaseLost(job: IComplianceCheckJob): void {
+    console.warn(`⚠️ Compliance job ${job.id} (attempt ${job.attempts}) lost its lease; its outcome was discarded`);
+  }
+
+  /**
+   * Backoff exponencial con jitter: base * 2^(intento-1), limitado a maxDelay
+   */
+  private backoffDelay(attempt: number): number {
+    const exponential = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  private buildRequest(customer: ICustomer): ComplianceCheckRequest {
+    return {
+      customerId: customer.id,
+      customerData: {
+        firstName: customer.firstName,
+        lastName: customer.lastName,
+        email: customer.email,
+        nationalId: customer.nationalId,
+        dateOfBirth: customer.dateOfBirth.toISOString(),
+        address: {
+          country: customer.address.country,
+          state: customer.address.state,
+          city: customer.address.city
+        }
+      },
+      documents: customer.documents.map(doc => ({
+        type: doc.type,
+        filename: doc.filename
+      }))
+    };
+  }
+}
+
+export default ComplianceQueueService;
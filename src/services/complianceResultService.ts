@@ -0,0 +1,229 @@
+import { Customer } from '../models/Customer.js';
+import type { ICustomer } from '../models/Customer.js';
+import { ComplianceResult } from '../models/ComplianceResult.js';
+import type { IComplianceResult } from '../models/ComplianceResult.js';
+import type { ComplianceJobTrigger } from '../models/ComplianceCheckJob.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { systemActor } from '../middleware/requestContext.js';
+import AuditService from './auditService.js';
+import { buildOutboxEntry } from './domainEvents.js';
+
+export interface ComplianceResultData {
+  status: 'approved' | 'rejected' | 'under_review' | 'pending';
+  riskScore?: number;
+  notes?: string;
+  checkedAt: Date;
+}
+
+export interface ComplianceResultNotification extends ComplianceResultData {
+  resultId: string;
+  customerId: string;
+}
+
+// Respuesta síncrona de MS4 a una verificación enviada por la cola
+export interface ComplianceCheckRecord extends ComplianceResultData {
+  customerId: string;
+  jobId: string;
+  attempt: number;
+  trigger: ComplianceJobTrigger;
+  request: Record<string, any>;
+  requestedAt: Date;
+}
+
+export interface ComplianceHistoryQuery {
+  page: number;
+  limit: number;
+}
+
+class ComplianceResultService {
+  private static instance: ComplianceResultService;
+  private auditService: AuditService;
+
+  private constructor() {
+    this.auditService = AuditService.getInstance();
+  }
+
+  public static getInstance(): ComplianceResultService {
+    if (!ComplianceResultService.instance) {
+      ComplianceResultService.instance = new ComplianceResultService();
+    }
+    return ComplianceResultService.instance;
+  }
+
+  /**
+   * Aplica un resultado de compliance solo si es más reciente que el último aplicado al cliente.
+   * Se lee el estado actual y se escribe condicionado a que complianceCheckedAt no haya cambiado
+   * (compare-and-set), por lo que resultados concurrentes no se pisan. Si cambia el estado o el
+   * riskScore, el evento customer.compliance_changed se guarda en la misma escritura.
+   */
+  public async apply(customerId: string, result: ComplianceResultData, route: string): Promise<'applied' | 'stale'> {
+    const complianceUpdate = {
+      complianceStatus: result.status,
+      complianceNotes: result.notes,
+      complianceCheckedAt: result.checkedAt,
+      ...(result.riskScore !== undefined && { riskScore: result.riskScore })
+    };
+
+    let previous: ICustomer | null = null;
+    while (!previous) {
+      const current = await Customer.findById(customerId)
+        .select('complianceStatus complianceNotes complianceCheckedAt riskScore');
+      if (!current) {
+        throw new AppError('Customer not found', 404);
+      }
+      if (current.complianceCheckedAt && current.complianceCheckedAt >= result.checkedAt) {
+        return 'stale';
+      }
+
+      const changed = current.complianceStatus !== result.status ||
+        (result.riskScore !== undefined && current.riskScore !== result.riskScore);
+      const event = changed && buildOutboxEntry('customer.compliance_changed', {
+        from: { complianceStatus: current.complianceStatus, riskScore: current.riskScore ?? null },
+        to: { complianceStatus: result.status, riskScore: result.riskScore ?? current.riskScore ?? null },
+        checkedAt: result.checkedAt
+      }, systemActor('ms4-compliance'));
+
+      // Si otro resultado se aplicó entre la lectura y la escritura, se vuelve a evaluar
+      previous = await Customer.findOneAndUpdate(
+        {
+          _id: customerId,
+          complianceCheckedAt: current.complianceCheckedAt ?? null
+        },
+        {
+          $set: complianceUpdate,
+          // Nueva versión del cliente (ETag)
+          $inc: { __v: 1 },
+          ...(event && { $push: { outbox: event } })
+        }
+      );
+    }
+
+    await this.auditService.record({
+      customerId,
+      action: 'compliance_update',
+      changes: this.auditService.diff({
+        complianceStatus: previous.complianceStatus,
+        complianceNotes: previous.complianceNotes,
+        complianceCheckedAt: previous.complianceCheckedAt,
+        ...(result.riskScore !== undefined && { riskScore: previous.riskScore })
+      }, complianceUpdate),
+      actor: systemActor('ms4-compliance'),
+      route,
+      source: 'system'
+    });
+
+    return 'applied';
+  }
+
+  /**
+   * Procesa un resultado notificado por MS4. Es idempotente por resultId: un reenvío devuelve
+   * el desenlace original sin volver a aplicarlo.
+   */
+  public async receive(
+    notification: ComplianceResultNotification,
+    route: string
+  ): Promise<{ result: IComplianceResult; duplicate: boolean }> {
+    if (!(await Customer.exists({ _id: notification.customerId }))) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    let record: IComplianceResult;
+    try {
+      record = await ComplianceResult.create({
+        resultId: notification.resultId,
+        customerId: notification.customerId,
+        source: 'webhook',
+        status: notification.status,
+        riskScore: notification.riskScore,
+        notes: notification.notes,
+        checkedAt: notification.checkedAt
+      });
+    } catch (error) {
+      if ((error as { code?: number }).code !== 11000) {
+        throw error;
+      }
+
+      const existing = await ComplianceResult.findOne({ resultId: notification.resultId });
+      if (!existing) {
+        throw error;
+      }
+      if (existing.customerId.toString() !== notification.customerId) {
+        throw new AppError('Result ID was already used for a different customer', 409);
+      }
+      // Un intento anterior se interrumpió antes de aplicarlo: se reprocesa
+      if (existing.outcome !== 'received') {
+        return { result: existing, duplicate: true };
+      }
+      record = existing;
+    }
+
+    record.outcome = await this.apply(notification.customerId, this.toResultData(record), route);
+    await record.save();
+
+    return { result: record, duplicate: false };
+  }
+
+  /**
+   * Guarda en el historial la respuesta de MS4 a una verificación (con los datos enviados) y la aplica.
+   * El resultId se deriva del trabajo y el intento, por lo que reprocesar el mismo intento no duplica el registro.
+   */
+  public async recordCheckResponse(check: ComplianceCheckRecord, route: string): Promise<IComplianceResult> {
+    const record = await ComplianceResult.findOneAndUpdate(
+      { resultId: `check:${check.jobId}:${check.attempt}` },
+      {
+        $setOnInsert: {
+          customerId: check.customerId,
+          source: 'check_response',
+          trigger: check.trigger,
+          jobId: check.jobId,
+          request: check.request,
+          requestedAt: check.requestedAt,
+          status: check.status,
+          riskScore: check.riskScore,
+          notes: check.notes,
+          checkedAt: check.checkedAt,
+          outcome: 'received'
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    if (record.outcome === 'received') {
+      record.outcome = await this.apply(check.customerId, this.toResultData(record), route);
+      await record.save();
+    }
+
+    return record;
+  }
+
+  /**
+   * Historial de verificaciones de compliance de un cliente, las más recientes primero
+   */
+  public async getHistory(
+    customerId: string,
+    query: ComplianceHistoryQuery
+  ): Promise<{ results: IComplianceResult[]; totalCount: number }> {
+    const filter = { customerId };
+
+    const [totalCount, results] = await Promise.all([
+      ComplianceResult.countDocuments(filter),
+      ComplianceResult.find(filter)
+        .sort({ checkedAt: -1, _id: -1 })
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit)
+    ]);
+
+    return { results, totalCount };
+  }
+
+  private toResultData(record: IComplianceResult): ComplianceResultData {
+    return {
+      status: record.status,
+      ...(record.riskScore !== undefined && { riskScore: record.riskScore }),
+      ...(record.notes !== undefined && { notes: record.notes }),
+      checkedAt: record.checkedAt
+    };
+  }
+}
+
+export default ComplianceResultService;
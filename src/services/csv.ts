@@ -0,0 +1,20 @@
+/**
+ * Celda CSV (RFC 4180). Los valores que una hoja de cálculo interpretaría como fórmula
+ * se prefijan con un apóstrofo.
+ */
+export const toCsvCell = (value: any): string => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=@\t\r]/.test(text) || /^[+-][^\d\s.]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+export const toCsvLine = (values: any[]): string => `${values.map(toCsvCell).join(',')}\r\n`;
@@ -0,0 +1,193 @@
+import { once } from 'events';
+import type { Writable } from 'stream';
+import { Customer } from '../models/Customer.js';
+import { buildCustomerSearchFilter } from './customerSearch.js';
+import type { CustomerSearchFilters } from './customerSearch.js';
+import { toCsvLine } from './csv.js';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson'] as const;
+export type ExportFormat = typeof EXPORT_FORMATS[number];
+
+// Columnas exportables; address y preferences se aplanan con notación de punto
+export const EXPORT_COLUMNS = [
+  'id',
+  'firstName',
+  'lastName',
+  'email',
+  'phone',
+  'dateOfBirth',
+  'nationalId',
+  'passportNumber',
+  'address.street',
+  'address.city',
+  'address.state',
+  'address.postalCode',
+  'address.country',
+  'preferences.language',
+  'preferences.currency',
+  'preferences.notificationPreferences.email',
+  'preferences.notificationPreferences.sms',
+  'preferences.notificationPreferences.push',
+  'preferences.marketingConsent',
+  'emailVerified',
+  'phoneVerified',
+  'identityVerified',
+  'status',
+  'complianceStatus',
+  'riskScore',
+  'complianceCheckedAt',
+  'registrationDate',
+  'lastLoginDate',
+  'createdAt',
+  'updatedAt'
+] as const;
+export type ExportColumn = typeof EXPORT_COLUMNS[number];
+
+// Columnas por defecto si no se indica ?columns=
+export const DEFAULT_EXPORT_COLUMNS: ExportColumn[] = [
+  'id',
+  'firstName',
+  'lastName',
+  'email',
+  'phone',
+  'nationalId',
+  'address.city',
+  'address.country',
+  'status',
+  'complianceStatus',
+  'riskScore',
+  'createdAt'
+];
+
+// Datos personales que se enmascaran salvo para roles autorizados
+const PII_MASKS: Partial<Record<ExportColumn, (value: string) => string>> = {
+  lastName: value => `${value.charAt(0)}.`,
+  email: value => {
+    const [local = '', domain = ''] = value.split('@');
+    return `${local.charAt(0)}***@${domain}`;
+  },
+  phone: value => `***${value.slice(-4)}`,
+  dateOfBirth: value => `${value.slice(0, 4)}-**-**`,
+  nationalId: value => `***${value.slice(-4)}`,
+  passportNumber: value => `***${value.slice(-4)}`,
+  'address.street': () => '***',
+  'address.postalCode': () => '***'
+};
+
+export interface CustomerExportOptions {
+  filters: CustomerSearchFilters;
+  format: ExportFormat;
+  columns: ExportColumn[];
+  maskPii: boolean;
+}
+
+class CustomerExportService {
+  private static instance: CustomerExportService;
+  private readonly batchSize: number;
+  private readonly piiRoles: string[];
+
+  private constructor() {
+    this.batchSize = parseInt(process.env.EXPORT_BATCH_SIZE || '500');
+    this.piiRoles = (process.env.CUSTOMER_PII_ROLES || 'compliance,admin')
+      .split(',')
+      .map(role => role.trim().toLowerCase());
+  }
+
+  public static getInstance(): CustomerExportService {
+    if (!CustomerExportService.instance) {
+      CustomerExportService.instance = new CustomerExportService();
+    }
+    return CustomerExportService.instance;
+  }
+
+  /**
+   * Indica si el actor puede ver los datos personales sin enmascarar
+   */
+  public canViewPii(roles: string[]): boolean {
+    return roles.some(role => this.piiRoles.includes(role));
+  }
+
+  /**
+   * Escribe en el destino todos los clientes que cumplen los filtros, leyendo con un cursor
+   * y respetando la contrapresión. Devuelve el número de filas escritas.
+   */
+  public async stream(output: Writable, options: CustomerExportOptions): Promise<number> {
+    const { format, columns, maskPii } = options;
+    const cursor = Customer.find(buildCustomerSearchFilter(options.filters))
+      .select(this.projection(columns))
+      .sort({ createdAt: -1, _id: -1 })
+      .lean()
+      .cursor({ batchSize: this.batchSize });
+
+    let rows = 0;
+    try {
+      if (format === 'csv') {
+        await this.write(output, toCsvLine(columns));
+      }
+
+      for await (const customer of cursor) {
+        // El cliente cortó la descarga: se deja de leer de Mongo
+        if (output.destroyed) {
+          break;
+        }
+        const row = this.toRow(customer, columns, maskPii);
+        const line = format === 'csv'
+          ? toCsvLine(columns.map(column => row[column]))
+          : `${JSON.stringify(row)}\n`;
+        await this.write(output, line);
+        rows++;
+      }
+    } finally {
+      await cursor.close().catch(() => undefined);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Proyección mínima de Mongo para las columnas pedidas
+   */
+  private projection(columns: ExportColumn[]): Record<string, 1> {
+    const projection: Record<string, 1> = {};
+    for (const column of columns) {
+      if (column !== 'id') {
+        projection[column] = 1;
+      }
+    }
+    return projection;
+  }
+
+  /**
+   * Fila plana con las columnas pedidas; las fechas se serializan en ISO 8601
+   */
+  private toRow(customer: Record<string, any>, columns: ExportColumn[], maskPii: boolean): Record<string, any> {
+    const row: Record<string, any> = {};
+
+    for (const column of columns) {
+      let value: any = column === 'id'
+        ? String(customer._id)
+        : column.split('.').reduce((target, key) => (target == null ? undefined : target[key]), customer);
+
+      if (value instanceof Date) {
+        value = value.toISOString();
+      }
+
+      const mask = PII_MASKS[column];
+      if (maskPii && mask && value !== undefined && value !== null && value !== '') {
+        value = mask(String(value));
+      }
+
+      row[column] = value ?? null;
+    }
+
+    return row;
+  }
+
+  private async write(output: Writable, chunk: string): Promise<void> {
+    if (!output.write(chunk)) {
+      await Promise.race([once(output, 'drain'), once(output, 'close')]);
+    }
+  }
+}
+
+export default CustomerExportService;
@@ -0,0 +1,144 @@
+import type { FilterQuery } from 'mongoose';
+import type { ICustomer } from '../models/Customer.js';
+
+// Operadores de los filtros estructurados (filter[campo][operador]=valor)
+export const FILTER_OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'exists'] as const;
+export type FilterOperator = typeof FILTER_OPERATORS[number];
+
+export type FilterFieldType = 'string' | 'number' | 'integer' | 'boolean' | 'date';
+export type FilterValue = string | number | boolean | Date;
+
+export interface FilterFieldDefinition {
+  type: FilterFieldType;
+  // Valores admitidos (campos enumerados)
+  values?: readonly string[];
+  // Operadores admitidos; por defecto, los del tipo
+  operators?: readonly FilterOperator[];
+  // Campos calculados: traducen la condición a una consulta sobre los campos guardados
+  compile?: (operator: FilterOperator, values: FilterValue[]) => FilterQuery<ICustomer>;
+}
+
+// Condición ya validada: los valores tienen el tipo del campo
+export interface FilterCondition {
+  field: string;
+  operator: FilterOperator;
+  values: FilterValue[];
+}
+
+const OPERATORS_BY_TYPE: Record<FilterFieldType, readonly FilterOperator[]> = {
+  string: ['eq', 'ne', 'in', 'nin', 'exists'],
+  number: FILTER_OPERATORS,
+  integer: FILTER_OPERATORS,
+  boolean: ['eq', 'ne', 'exists'],
+  date: FILTER_OPERATORS
+};
+
+// Operadores que admiten varios valores (repitiendo el parámetro o, con in/nin, separados por comas)
+export const MULTI_VALUE_OPERATORS: readonly FilterOperator[] = ['eq', 'ne', 'in', 'nin'];
+
+/**
+ * Primer instante en que deja de haber nacido alguien con la edad indicada: tiene al menos `age` años
+ * quien nació antes de esta fecha (UTC)
+ */
+const bornBefore = (age: number): Date => {
+  const today = new Date();
+  return new Date(Date.UTC(today.getUTCFullYear() - age, today.getUTCMonth(), today.getUTCDate() + 1));
+};
+
+// Edad en años cumplidos, calculada a partir de dateOfBirth
+const compileAge = (operator: FilterOperator, values: FilterValue[]): FilterQuery<ICustomer> => {
+  const age = values[0] as number;
+  switch (operator) {
+    case 'gte':
+      return { dateOfBirth: { $lt: bornBefore(age) } };
+    case 'gt':
+      return { dateOfBirth: { $lt: bornBefore(age + 1) } };
+    case 'lte':
+      return { dateOfBirth: { $gte: bornBefore(age + 1) } };
+    case 'lt':
+      return { dateOfBirth: { $gte: bornBefore(age) } };
+    default:
+      return { dateOfBirth: { $gte: bornBefore(age + 1), $lt: bornBefore(age) } };
+  }
+};
+
+// Campos por los que se puede filtrar (rutas del modelo)
+export const FILTER_FIELDS: Record<string, FilterFieldDefinition> = {
+  firstName: { type: 'string' },
+  lastName: { type: 'string' },
+  email: { type: 'string' },
+  phone: { type: 'string' },
+  nationalId: { type: 'string' },
+  passportNumber: { type: 'string' },
+  dateOfBirth: { type: 'date' },
+  age: { type: 'integer', operators: ['eq', 'gt', 'gte', 'lt', 'lte'], compile: compileAge },
+  'address.city': { type: 'string' },
+  'address.state': { type: 'string' },
+  'address.postalCode': { type: 'string' },
+  'address.country': { type: 'string' },
+  'preferences.language': { type: 'string', values: ['es', 'en'] },
+  'preferences.currency': { type: 'string', values: ['COP', 'USD', 'EUR'] },
+  'preferences.marketingConsent': { type: 'boolean' },
+  emailVerified: { type: 'boolean' },
+  phoneVerified: { type: 'boolean' },
+  identityVerified: { type: 'boolean' },
+  status: { type: 'string', values: ['active', 'inactive', 'suspended', 'pending_verification'] },
+  complianceStatus: { type: 'string', values: ['pending', 'approved', 'rejected', 'under_review'] },
+  complianceCheckedAt: { type: 'date' },
+  riskScore: { type: 'number' },
+  registrationDate: { type: 'date' },
+  lastLoginDate: { type: 'date' },
+  createdAt: { type: 'date' },
+  updatedAt: { type: 'date' },
+  // Sobre los documentos KYC: filter[documents.type][ne]=passport son los clientes sin pasaporte
+  'documents.type': {
+    type: 'string',
+    values: ['national_id', 'passport', 'driving_license', 'address_proof', 'income_proof', 'other']
+  },
+  'documents.reviewStatus': { type: 'string', values: ['pending', 'approved', 'rejected'] },
+  'reKyc.required': { type: 'boolean' },
+  'reKyc.status': { type: 'string', values: ['expiring', 'expired'] }
+};
+
+export const getFilterField = (field: string): FilterFieldDefinition | undefined =>
+  Object.prototype.hasOwnProperty.call(FILTER_FIELDS, field) ? FILTER_FIELDS[field] : undefined;
+
+export const allowedOperators = (definition: FilterFieldDefinition): readonly FilterOperator[] =>
+  definition.operators || OPERATORS_BY_TYPE[definition.type];
+
+/**
+ * Traduce una condición validada a una consulta de MongoDB. Los campos y operadores salen de listas cerradas
+ * y los valores ya tienen su tipo, así que el usuario no puede introducir operadores propios.
+ */
+export const compileFilterCondition = ({ field, operator, values }: FilterCondition): FilterQuery<ICustomer> => {
+  const definition = getFilterField(field);
+  if (!definition) {
+    throw new Error(`Unknown filter field: ${field}`);
+  }
+  if (definition.compile) {
+    return definition.compile(operator, values);
+  }
+
+  const [value] = values;
+  switch (operator) {
+    case 'eq':
+      return { [field]: values.length > 1 ? { $in: values } : value };
+    case 'ne':
+      // En arrays (documents.type) $ne/$nin exigen que ningún elemento coincida
+      return { [field]: values.length > 1 ? { $nin: values } : { $ne: value } };
+    case 'in':
+    case 'nin':
+      return { [field]: { [`$${operator}`]: values } };
+    case 'exists':
+      // null coincide con el campo ausente o nulo
+      return { [field]: value ? { $ne: null } : null };
+    default:
+      return { [field]: { [`$${operator}`]: value } };
+  }
+};
+
+/**
+ * Todas las condiciones deben cumplirse
+ */
+export const compileFilterConditions = (conditions: FilterCondition[]): FilterQuery<ICustomer>[] =>
+  conditions.map(compileFilterCondition);
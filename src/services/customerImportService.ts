@@ -0,0 +1,569 @@
+import dotenv from 'dotenv';
+import { Types } from 'mongoose';
+import { Customer } from '../models/Customer.js';
+import { CustomerImport, CustomerImportRow } from '../models/CustomerImport.js';
+import type {
+  CustomerImportRowStatus,
+  CustomerImportStatus,
+  ICustomerImport,
+  ICustomerImportRow,
+  ImportRowError
+} from '../models/CustomerImport.js';
+import type { AuditActor } from '../models/AuditLog.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { createCustomerSchema } from '../validators/customerValidator.js';
+import { parseImportStream } from './importParser.js';
+import type { ImportFormat } from './importParser.js';
+import { customerSummary, recordDomainEvent } from './domainEvents.js';
+import AuditService from './auditService.js';
+import ComplianceQueueService from './complianceQueueService.js';
+
+dotenv.config();
+
+// Resultado de validar una fila
+interface ValidatedRow {
+  row: number;
+  data?: Record<string, any>;
+  errors: ImportRowError[];
+}
+
+export interface ImportRowReport {
+  row: number;
+  errors: ImportRowError[];
+}
+
+export interface DryRunReport {
+  format: ImportFormat;
+  totalRows: number;
+  validRows: number;
+  invalidRows: number;
+  // Filas con errores (como máximo MAX_REPORTED_ROWS)
+  errors: ImportRowReport[];
+  truncated: boolean;
+}
+
+export interface CustomerImportQuery {
+  status?: CustomerImportStatus;
+  page: number;
+  limit: number;
+}
+
+export interface ImportRowQuery {
+  status?: CustomerImportRowStatus;
+  page: number;
+  limit: number;
+}
+
+export interface ImportRunResult {
+  imports: number;
+  created: number;
+  failed: number;
+  complianceQueued: number;
+}
+
+// Filas que se validan contra la base de datos en una sola consulta
+const VALIDATION_CHUNK_SIZE = 500;
+// Filas con errores incluidas en el informe de un dry-run
+const MAX_REPORTED_ROWS = 1000;
+// Ruta registrada en la auditoría de los clientes importados
+const IMPORT_ROUTE = 'POST /api/customers/imports';
+
+/**
+ * Importación masiva de clientes desde CSV o NDJSON.
+ * - Cada fila se valida con createCustomerSchema y se comprueba la unicidad de email y nationalId
+ *   dentro del archivo y contra la base de datos
+ * - dry-run devuelve el informe de errores sin escribir nada
+ * - Una importación real guarda las filas y un worker crea los clientes por lotes; el trabajo se
+ *   retoma tras un reinicio y las verificaciones de compliance se encolan de forma escalonada
+ */
+class CustomerImportService {
+  private static instance: CustomerImportService;
+  private auditService: AuditService;
+  private complianceQueueService: ComplianceQueueService;
+  private maxRows: number;
+  private maxBytes: number;
+  private batchSize: number;
+  private complianceBatchSize: number;
+  private leaseMs: number;
+
+  private constructor() {
+    this.auditService = AuditService.getInstance();
+    this.complianceQueueService = ComplianceQueueService.getInstance();
+    this.maxRows = parseInt(process.env.IMPORT_MAX_ROWS || '50000');
+    this.maxBytes = parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB || '50') * 1024 * 1024;
+    this.batchSize = parseInt(process.env.IMPORT_BATCH_SIZE || '200');
+    this.complianceBatchSize = parseInt(process.env.IMPORT_COMPLIANCE_BATCH_SIZE || '50');
+    this.leaseMs = 2 * 60 * 1000;
+  }
+
+  public static getInstance(): CustomerImportService {
+    if (!CustomerImportService.instance) {
+      CustomerImportService.instance = new CustomerImportService();
+    }
+    return CustomerImportService.instance;
+  }
+
+  /**
+   * Valida el archivo completo sin escribir y devuelve el informe por fila
+   */
+  public async dryRun(stream: AsyncIterable<Buffer | string>, format: ImportFormat): Promise<DryRunReport> {
+    const report: DryRunReport = { format, totalRows: 0, validRows: 0, invalidRows: 0, errors: [], truncated: false };
+
+    for await (const chunk of this.validate(stream, format)) {
+      for (const row of chunk) {
+        report.totalRows++;
+        if (row.errors.length === 0) {
+          report.validRows++;
+          continue;
+        }
+        report.invalidRows++;
+        if (report.errors.length < MAX_REPORTED_ROWS) {
+          report.errors.push({ row: row.row, errors: row.errors });
+        } else {
+          report.truncated = true;
+        }
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Valida y guarda las filas de una importación real; el worker crea los clientes después
+   */
+  public async start(
+    stream: AsyncIterable<Buffer | string>,
+    format: ImportFormat,
+    actor: AuditActor
+  ): Promise<ICustomerImport> {
+    const job = await CustomerImport.create({ format, createdBy: { id: actor.id, type: actor.type } });
+    const counts = { totalRows: 0, validRows: 0, invalidRows: 0 };
+
+    try {
+      for await (const chunk of this.validate(stream, format)) {
+        await CustomerImportRow.insertMany(chunk.map(row => ({
+          importId: job._id,
+          row: row.row,
+          status: row.data ? 'pending' : 'invalid',
+          ...(row.data && { data: row.data, customerId: new Types.ObjectId() }),
+          validationErrors: row.errors
+        })));
+
+        const valid = chunk.filter(row => row.data).length;
+        counts.totalRows += chunk.length;
+        counts.validRows += valid;
+        counts.invalidRows += chunk.length - valid;
+      }
+    } catch (error) {
+      // Un archivo a medio subir no se procesa
+      await CustomerImportRow.deleteMany({ importId: job._id });
+      await CustomerImport.updateOne(
+        { _id: job._id },
+        { $set: { status: 'failed', lastError: (error as Error).message, ...counts } }
+      );
+      throw error;
+    }
+
+    const finished = counts.validRows === 0;
+    const updated = await CustomerImport.findByIdAndUpdate(
+      job._id,
+      {
+        $set: {
+          ...counts,
+          status: finished ? 'completed' : 'pending',
+          ...(finished && { completedAt: new Date() })
+        }
+      },
+      { new: true }
+    );
+
+    if (!finished) {
+      setImmediate(() => {
+        this.processDue().catch(error => {
+          console.error('❌ Error processing customer imports:', error);
+        });
+      });
+    }
+
+    return updated as ICustomerImport;
+  }
+
+  public async list(query: CustomerImportQuery): Promise<{ imports: ICustomerImport[]; totalCount: number }> {
+    const filter: Record<string, any> = {};
+    if (query.status) {
+      filter.status = query.status;
+    }
+
+    const [totalCount, imports] = await Promise.all([
+      CustomerImport.countDocuments(filter),
+      CustomerImport.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit)
+    ]);
+
+    return { imports, totalCount };
+  }
+
+  public async get(importId: string): Promise<ICustomerImport> {
+    const job = await CustomerImport.findById(importId);
+    if (!job) {
+      throw new AppError('Import not found', 404);
+    }
+    return job;
+  }
+
+  /**
+   * Filas de una importación con su resultado (errores de validación, cliente creado o fallo al guardar)
+   */
+  public async getRows(importId: string, query: ImportRowQuery): Promise<{ rows: ICustomerImportRow[]; totalCount: number }> {
+    await this.get(importId);
+
+    const filter: Record<string, any> = { importId };
+    if (query.status) {
+      filter.status = query.status;
+    }
+
+    const [totalCount, rows] = await Promise.all([
+      CustomerImportRow.countDocuments(filter),
+      CustomerImportRow.find(filter)
+        .select('-data')
+        .sort({ row: 1 })
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit)
+    ]);
+
+    return { rows, totalCount };
+  }
+
+  /**
+   * Detiene una importación; las filas ya creadas se conservan y se puede reanudar.
+   * La reserva se mantiene hasta que termina el lote en curso, así una reanudación inmediata no lo repite.
+   */
+  public async cancel(importId: string): Promise<ICustomerImport> {
+    const job = await CustomerImport.findOneAndUpdate(
+      { _id: importId, status: { $in: ['pending', 'processing'] } },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!job) {
+      const existing = await this.get(importId);
+      throw new AppError(`Import is ${existing.status} and cannot be cancelled`, 409);
+    }
+    return job;
+  }
+
+  /**
+   * Reanuda una importación cancelada desde la primera fila pendiente. Si aún se está procesando
+   * el lote en el que se canceló, se retoma cuando este termina.
+   */
+  public async resume(importId: string): Promise<ICustomerImport> {
+    const job = await CustomerImport.findOneAndUpdate(
+      { _id: importId, status: 'cancelled' },
+      { $set: { status: 'pending' }, $unset: { cancelledAt: 1 } },
+      { new: true }
+    );
+    if (!job) {
+      const existing = await this.get(importId);
+      throw new AppError(`Only cancelled imports can be resumed (import is ${existing.status})`, 409);
+    }
+
+    setImmediate(() => {
+      this.processDue().catch(error => {
+        console.error('❌ Error processing customer imports:', error);
+      });
+    });
+
+    return job;
+  }
+
+  /**
+   * Procesa un lote de cada importación pendiente. La reserva es atómica y tiene vencimiento,
+   * así que si el proceso cae otra instancia (o el siguiente arranque) retoma la importación.
+   */
+  public async processDue(): Promise<ImportRunResult> {
+    const result: ImportRunResult = { imports: 0, created: 0, failed: 0, complianceQueued: 0 };
+    const visited: Types.ObjectId[] = [];
+
+    for (;;) {
+      const job = await this.claimNext(visited);
+      if (!job) {
+        break;
+      }
+      visited.push(job._id as Types.ObjectId);
+      result.imports++;
+
+      try {
+        const batch = await this.processBatch(job);
+        result.created += batch.created;
+        result.failed += batch.failed;
+        result.complianceQueued += await this.queueComplianceChecks(job);
+        await this.completeIfDone(job);
+      } catch (error) {
+        console.error(`❌ Error processing import ${job.id}:`, error);
+        await CustomerImport.updateOne({ _id: job._id }, { $set: { lastError: (error as Error).message } });
+      } finally {
+        // Se libera la reserva para el siguiente ciclo del worker (también si se canceló durante el lote)
+        await CustomerImport.updateOne(
+          { _id: job._id, lockedUntil: job.lockedUntil },
+          { $set: { lockedUntil: new Date() } }
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Lee, valida y agrupa las filas en lotes para consultar la unicidad en la base de datos de una vez
+   */
+  private async *validate(stream: AsyncIterable<Buffer | string>, format: ImportFormat): AsyncGenerator<ValidatedRow[]> {
+    const seenEmails = new Map<string, number>();
+    const seenNationalIds = new Map<string, number>();
+    let chunk: ValidatedRow[] = [];
+    let rows = 0;
+
+    for await (const parsed of parseImportStream(this.limitSize(stream), format)) {
+      if (++rows > this.maxRows) {
+        throw new AppError(`Import exceeds the maximum of ${this.maxRows} rows`, 413);
+      }
+
+      if ('error' in parsed) {
+        chunk.push({ row: parsed.row, errors: [{ field: 'row', message: parsed.error }] });
+      } else {
+        chunk.push(this.validateRow(parsed.row, parsed.record, seenEmails, seenNationalIds));
+      }
+
+      if (chunk.length >= VALIDATION_CHUNK_SIZE) {
+        yield await this.checkExisting(chunk);
+        chunk = [];
+      }
+    }
+
+    if (chunk.length > 0) {
+      yield await this.checkExisting(chunk);
+    }
+  }
+
+  private validateRow(
+    row: number,
+    record: Record<string, any>,
+    seenEmails: Map<string, number>,
+    seenNationalIds: Map<string, number>
+  ): ValidatedRow {
+    const { error, value } = createCustomerSchema.validate(record, {
+      abortEarly: false,
+      stripUnknown: true,
+      convert: true
+    });
+    if (error) {
+      return {
+        row,
+        errors: error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+      };
+    }
+
+    // Duplicados dentro del mismo archivo: la primera aparición es la válida
+    const errors: ImportRowError[] = [];
+    const firstEmailRow = seenEmails.get(value.email);
+    if (firstEmailRow !== undefined) {
+      errors.push({ field: 'email', message: `Email address is duplicated in row ${firstEmailRow}` });
+    }
+    const firstNationalIdRow = seenNationalIds.get(value.nationalId);
+    if (firstNationalIdRow !== undefined) {
+      errors.push({ field: 'nationalId', message: `National ID is duplicated in row ${firstNationalIdRow}` });
+    }
+    if (errors.length > 0) {
+      return { row, errors };
+    }
+
+    seenEmails.set(value.email, row);
+    seenNationalIds.set(value.nationalId, row);
+    return { row, data: value, errors: [] };
+  }
+
+  private async checkExisting(chunk: ValidatedRow[]): Promise<ValidatedRow[]> {
+    const candidates = chunk.filter(row => row.data);
+    if (candidates.length === 0) {
+      return chunk;
+    }
+
+    const existing = await Customer.find({
+      $or: [
+        { email: { $in: candidates.map(row => row.data?.email) } },
+        { nationalId: { $in: candidates.map(row => row.data?.nationalId) } }
+      ]
+    }).select('email nationalId').lean();
+
+    const existingEmails = new Set(existing.map(customer => customer.email));
+    const existingNationalIds = new Set(existing.map(customer => customer.nationalId));
+
+    for (const row of candidates) {
+      if (existingEmails.has(row.data?.email)) {
+        row.errors.push({ field: 'email', message: 'Email address is already registered' });
+      }
+      if (existingNationalIds.has(row.data?.nationalId)) {
+        row.errors.push({ field: 'nationalId', message: 'National ID is already registered' });
+      }
+      if (row.errors.length > 0) {
+        delete row.data;
+      }
+    }
+
+    return chunk;
+  }
+
+  private async *limitSize(stream: AsyncIterable<Buffer | string>): AsyncGenerator<Buffer | string> {
+    let bytes = 0;
+    for await (const chunk of stream) {
+      bytes += chunk.length;
+      if (bytes > this.maxBytes) {
+        throw new AppError(`Import file exceeds the maximum size of ${this.maxBytes / (1024 * 1024)} MB`, 413);
+      }
+      yield chunk;
+    }
+  }
+
+  private async claimNext(exclude: Types.ObjectId[]): Promise<ICustomerImport | null> {
+    const now = new Date();
+
+    return CustomerImport.findOneAndUpdate(
+      {
+        _id: { $nin: exclude },
+        status: { $in: ['pending', 'processing'] },
+        $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: { status: 'processing', lockedUntil: new Date(now.getTime() + this.leaseMs) },
+        $min: { startedAt: now }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  private async processBatch(job: ICustomerImport): Promise<{ created: number; failed: number }> {
+    const rows = await CustomerImportRow.find({ importId: job._id, status: 'pending' })
+      .sort({ row: 1 })
+      .limit(this.batchSize);
+
+    let created = 0;
+    let failed = 0;
+    // Una cancelación se aplica al terminar el lote en curso
+    for (const row of rows) {
+      const outcome = await this.createCustomer(job, row);
+      if (outcome === 'created') created++;
+      else failed++;
+
+      await CustomerImport.updateOne(
+        { _id: job._id },
+        { $inc: { processedRows: 1, [outcome === 'created' ? 'createdCount' : 'failedCount']: 1 } }
+      );
+    }
+
+    return { created, failed };
+  }
+
+  private async createCustomer(job: ICustomerImport, row: ICustomerImportRow): Promise<'created' | 'failed'> {
+    const actor: AuditActor = { id: job.createdBy.id, type: job.createdBy.type };
+    const customer = new Customer({ ...row.data, _id: row.customerId });
+    recordDomainEvent(customer, 'customer.created', customerSummary(customer), actor);
+
+    try {
+      await customer.save();
+
+      await this.auditService.record({
+        customerId: customer.id,
+        action: 'create',
+        changes: this.auditService.diff({}, customer.toObject(), ['documents']),
+        actor,
+        route: IMPORT_ROUTE,
+        source: 'system',
+        reason: `Bulk import ${job.id}, row ${row.row}`
+      });
+    } catch (error) {
+      const duplicate = (error as { code?: number; keyPattern?: Record<string, unknown> });
+      // El cliente ya se había creado en un intento anterior interrumpido
+      if (duplicate.code === 11000 && await Customer.exists({ _id: row.customerId })) {
+        await this.finishRow(row, 'created');
+        return 'created';
+      }
+
+      const message = duplicate.code === 11000
+        ? (duplicate.keyPattern?.nationalId ? 'National ID is already registered' : 'Email address is already registered')
+        : (error as Error).message;
+      await this.finishRow(row, 'failed', [{
+        field: duplicate.keyPattern ? Object.keys(duplicate.keyPattern)[0] || 'row' : 'row',
+        message
+      }]);
+      return 'failed';
+    }
+
+    await this.finishRow(row, 'created');
+    return 'created';
+  }
+
+  private async finishRow(row: ICustomerImportRow, status: 'created' | 'failed', errors: ImportRowError[] = []): Promise<void> {
+    await CustomerImportRow.updateOne(
+      { _id: row._id },
+      {
+        $set: { status, processedAt: new Date(), validationErrors: errors },
+        ...(status === 'failed' && { $unset: { customerId: 1 } })
+      }
+    );
+  }
+
+  /**
+   * Encola las verificaciones de compliance de los clientes creados, como máximo un lote por ciclo,
+   * para no saturar la cola ni MS4
+   */
+  private async queueComplianceChecks(job: ICustomerImport): Promise<number> {
+    const rows = await CustomerImportRow.find({
+      importId: job._id,
+      status: 'created',
+      complianceQueuedAt: { $exists: false }
+    })
+      .select('customerId')
+      .sort({ row: 1 })
+      .limit(this.complianceBatchSize);
+
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    await this.complianceQueueService.enqueueMany(rows.map(row => row.customerId as Types.ObjectId), 'bulk_import');
+    await CustomerImportRow.updateMany(
+      { _id: { $in: rows.map(row => row._id) } },
+      { $set: { complianceQueuedAt: new Date() } }
+    );
+    await CustomerImport.updateOne({ _id: job._id }, { $inc: { complianceQueuedCount: rows.length } });
+
+    return rows.length;
+  }
+
+  private async completeIfDone(job: ICustomerImport): Promise<void> {
+    const remaining = await CustomerImportRow.exists({
+      importId: job._id,
+      $or: [
+        { status: 'pending' },
+        { status: 'created', complianceQueuedAt: { $exists: false } }
+      ]
+    });
+    if (remaining) {
+      return;
+    }
+
+    const completed = await CustomerImport.findOneAndUpdate(
+      { _id: job._id, status: 'processing' },
+      { $set: { status: 'completed', completedAt: new Date() }, $unset: { lockedUntil: 1 } },
+      { new: true }
+    );
+    if (completed) {
+      console.log(
+        `✅ Import ${completed.id} completed: ${completed.createdCount} created, ` +
+        `${completed.failedCount} failed, ${completed.invalidRows} invalid rows`
+      );
+    }
+  }
+}
+
+export default CustomerImportService;
@@ -0,0 +1,167 @@
+import { Customer } from '../models/Customer.js';
+import type { ICustomer } from '../models/Customer.js';
+import { ComplianceResult } from '../models/ComplianceResult.js';
+import { ComplianceCheckJob } from '../models/ComplianceCheckJob.js';
+import { DuplicateCandidate, toPairKey } from '../models/DuplicateCandidate.js';
+import { AppError } from '../middleware/errorHandler.js';
+import AuditService from './auditService.js';
+import type { AuditEntry } from './auditService.js';
+import CustomerStatusService from './customerStatusService.js';
+import KycDocumentService from './kycDocumentService.js';
+import ComplianceQueueService from './complianceQueueService.js';
+import { recordDomainEvent } from './domainEvents.js';
+
+type MergeContext = Pick<AuditEntry, 'actor' | 'route' | 'source'>;
+
+export interface MergeResult {
+  customer: ICustomer;
+  sourceId: string;
+  documentsMoved: number;
+}
+
+class CustomerMergeService {
+  private static instance: CustomerMergeService;
+  private auditService: AuditService;
+  private statusService: CustomerStatusService;
+  private kycDocumentService: KycDocumentService;
+  private complianceQueueService: ComplianceQueueService;
+
+  private constructor() {
+    this.auditService = AuditService.getInstance();
+    this.statusService = CustomerStatusService.getInstance();
+    this.kycDocumentService = KycDocumentService.getInstance();
+    this.complianceQueueService = ComplianceQueueService.getInstance();
+  }
+
+  public static getInstance(): CustomerMergeService {
+    if (!CustomerMergeService.instance) {
+      CustomerMergeService.instance = new CustomerMergeService();
+    }
+    return CustomerMergeService.instance;
+  }
+
+  /**
+   * Fusiona el cliente source en target: target recibe los documentos KYC, el historial de estados
+   * y los resultados de compliance; source queda inactivo y apunta a target. El historial de auditoría
+   * (append-only) no se modifica: el de target incluye el de los registros de mergedFrom.
+   * Sin transacciones, cada paso es idempotente: si la fusión se interrumpe, repetirla la completa.
+   */
+  public async merge(
+    target: ICustomer,
+    sourceId: string,
+    reason: string,
+    context: MergeContext
+  ): Promise<MergeResult> {
+    const targetId = target.id as string;
+    if (targetId === sourceId) {
+      throw new AppError('A customer cannot be merged into itself', 400);
+    }
+    if (target.mergedInto) {
+      throw new AppError(`Target customer was merged into ${target.mergedInto}`, 409);
+    }
+
+    // Reserva atómica del registro absorbido; una fusión previa en el mismo destino se retoma
+    const now = new Date();
+    const claimed = await Customer.findOneAndUpdate(
+      { _id: sourceId, $or: [{ mergedInto: { $exists: false } }, { mergedInto: target._id }] },
+      { $set: { mergedInto: target._id }, $min: { mergedAt: now }, $inc: { __v: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      const existing = await Customer.findById(sourceId).select('mergedInto');
+      if (!existing) {
+        throw new AppError('Source customer not found', 404);
+      }
+      throw new AppError(`Source customer was already merged into ${existing.mergedInto}`, 409);
+    }
+    const source = claimed;
+
+    const before = target.toObject();
+    let documentsMoved = 0;
+    if (!target.mergedFrom.some(id => id.equals(sourceId))) {
+      const existingDocuments = new Set(target.documents.map(doc => String(doc._id)));
+      for (const document of source.documents) {
+        if (!existingDocuments.has(String(document._id))) {
+          target.documents.push((document as any).toObject());
+          documentsMoved++;
+        }
+      }
+
+      target.statusHistory = [...target.statusHistory, ...source.statusHistory]
+        .sort((a, b) => a.changedAt.getTime() - b.changedAt.getTime());
+      if (!target.passportNumber && source.passportNumber) {
+        target.passportNumber = source.passportNumber;
+      }
+      target.identityVerified = target.identityVerified || this.kycDocumentService.hasValidIdentityDocument(target);
+      // Los registros ya fusionados en source pasan a target
+      target.mergedFrom = [...target.mergedFrom, ...source.mergedFrom, source._id as any];
+
+      recordDomainEvent(target, 'customer.merged', { sourceId, targetId, reason, documentsMoved }, context.actor);
+      await target.save();
+
+      await this.auditService.record({
+        customerId: targetId,
+        action: 'merge',
+        changes: this.auditService.diff(before, target.toObject(), ['documents']),
+        reason,
+        ...context
+      });
+    }
+
+    // El registro absorbido queda inactivo y sin documentos
+    if (source.documents.length > 0 || source.reKyc) {
+      source.documents.splice(0, source.documents.length);
+      source.set('reKyc', undefined);
+    }
+    if (source.status !== 'inactive') {
+      await this.statusService.transition(source, 'inactive', `Merged into ${targetId}`, context);
+    } else if (source.isModified()) {
+      await source.save();
+    }
+
+    await this.repointReferences(sourceId, targetId);
+
+    await this.auditService.record({
+      customerId: sourceId,
+      action: 'merge',
+      changes: [{ field: 'mergedInto', from: null, to: targetId }],
+      reason,
+      ...context
+    });
+
+    if (documentsMoved > 0) {
+      this.complianceQueueService.enqueue(targetId, 'customer_merged').catch(error => {
+        console.error(`❌ Error enqueuing compliance check for merged customer ${targetId}:`, error);
+      });
+    }
+
+    return { customer: target, sourceId, documentsMoved };
+  }
+
+  /**
+   * Traslada a target los resultados de compliance y las referencias de source. Las escrituras van
+   * en orden: si una falla, repetir la fusión retoma desde ese punto.
+   */
+  private async repointReferences(sourceId: string, targetId: string): Promise<void> {
+    await ComplianceResult.updateMany({ customerId: sourceId }, { $set: { customerId: targetId } });
+    // Clientes fusionados antes en source: un único salto hasta el registro vigente
+    await Customer.updateMany(
+      { mergedInto: sourceId },
+      { $set: { mergedInto: targetId }, $inc: { __v: 1 } },
+      { timestamps: false }
+    );
+    // Las verificaciones pendientes de source ya no aplican
+    await ComplianceCheckJob.deleteMany({ customerId: sourceId, status: 'pending' });
+    await DuplicateCandidate.updateOne(
+      { pairKey: toPairKey(sourceId, targetId) },
+      { $set: { status: 'merged', mergedAt: new Date() } }
+    );
+    await DuplicateCandidate.deleteMany({
+      customerIds: sourceId,
+      status: 'open',
+      pairKey: { $ne: toPairKey(sourceId, targetId) }
+    });
+  }
+}
+
+export default CustomerMergeService;
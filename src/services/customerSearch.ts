@@ -0,0 +1,281 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import type { FilterQuery } from 'mongoose';
+import { Customer } from '../models/Customer.js';
+import type { ICustomer } from '../models/Customer.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { computeSearchTerms, searchQueryTerms, SEARCHABLE_FIELDS } from './searchText.js';
+import { compileFilterConditions } from './customerFilter.js';
+import type { FilterCondition } from './customerFilter.js';
+
+dotenv.config();
+
+// Con count=estimated, máximo de documentos que se cuentan para una búsqueda filtrada
+const SEARCH_COUNT_LIMIT = parseInt(process.env.SEARCH_COUNT_LIMIT || '10000');
+
+// Campos por los que se puede ordenar la búsqueda ("-" delante para orden descendente) y su tipo
+export const SORT_FIELDS = {
+  firstName: 'string',
+  lastName: 'string',
+  email: 'string',
+  status: 'string',
+  complianceStatus: 'string',
+  riskScore: 'number',
+  registrationDate: 'date',
+  lastLoginDate: 'date',
+  complianceCheckedAt: 'date',
+  createdAt: 'date',
+  updatedAt: 'date'
+} as const;
+export type SortField = keyof typeof SORT_FIELDS;
+
+// Orden por relevancia (solo con q)
+export const RELEVANCE_SORT = 'relevance';
+
+export const SORT_OPTIONS = [
+  RELEVANCE_SORT,
+  ...Object.keys(SORT_FIELDS).flatMap(field => [field, `-${field}`])
+];
+
+// Campos que se pueden pedir con ?fields= (el _id siempre se incluye)
+export const PROJECTABLE_FIELDS = [
+  'firstName',
+  'lastName',
+  'email',
+  'phone',
+  'dateOfBirth',
+  'nationalId',
+  'passportNumber',
+  'address',
+  'preferences',
+  'emailVerified',
+  'phoneVerified',
+  'identityVerified',
+  'registrationDate',
+  'lastLoginDate',
+  'status',
+  'complianceStatus',
+  'complianceNotes',
+  'complianceCheckedAt',
+  'riskScore',
+  'reKyc',
+  'createdAt',
+  'updatedAt'
+] as const;
+
+// Total de resultados: exacto, estimado (más barato en colecciones grandes) o sin total
+export const COUNT_MODES = ['exact', 'estimated', 'none'] as const;
+export type CountMode = typeof COUNT_MODES[number];
+
+export interface SearchSort {
+  field: SortField;
+  direction: 1 | -1;
+}
+
+// Posición de un cursor: valor del campo de orden e _id del último elemento visto
+export interface SearchCursor {
+  sort: string;
+  value: any;
+  id: string;
+}
+
+// Filtros de búsqueda de clientes (searchCustomerSchema)
+export interface CustomerSearchFilters {
+  q?: string;
+  status?: string;
+  complianceStatus?: string;
+  country?: string;
+  minRiskScore?: number;
+  maxRiskScore?: number;
+  // Filtros estructurados (filter[campo][operador]=valor)
+  filter?: FilterCondition[];
+}
+
+/**
+ * Indica si la búsqueda tiene algún filtro del usuario
+ */
+export const hasSearchFilters = (filters: CustomerSearchFilters): boolean =>
+  (['q', 'status', 'complianceStatus', 'country', 'minRiskScore', 'maxRiskScore', 'filter'] as const)
+    .some(key => filters[key] !== undefined);
+
+/**
+ * Escapa los metacaracteres para usar un texto del usuario como literal dentro de $regex
+ */
+export const escapeRegex = (value: string): string => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Construye el filtro de Mongo compartido por la búsqueda paginada y la exportación.
+ * q usa el índice de texto: cada palabra coincide con una palabra completa o con su comienzo.
+ */
+export const buildCustomerSearchFilter = (filters: CustomerSearchFilters): FilterQuery<ICustomer> => {
+  const { q, status, complianceStatus, country, minRiskScore, maxRiskScore, filter: conditions } = filters;
+  // Los registros fusionados en otro cliente no aparecen en los resultados
+  const filter: FilterQuery<ICustomer> = { mergedInto: { $exists: false } };
+
+  if (q) {
+    const terms = searchQueryTerms(q);
+    if (terms.length > 0) {
+      filter.$text = { $search: terms.join(' ') };
+    } else {
+      // Una consulta sin letras ni dígitos no coincide con ningún cliente
+      filter._id = { $in: [] };
+    }
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+
+  if (complianceStatus) {
+    filter.complianceStatus = complianceStatus;
+  }
+
+  if (country) {
+    filter['address.country'] = { $regex: escapeRegex(country), $options: 'i' };
+  }
+
+  if (minRiskScore !== undefined || maxRiskScore !== undefined) {
+    filter.riskScore = {
+      ...(minRiskScore !== undefined && { $gte: minRiskScore }),
+      ...(maxRiskScore !== undefined && { $lte: maxRiskScore })
+    };
+  }
+
+  // Cada condición va en su propia cláusula: varias pueden afectar al mismo campo
+  if (conditions && conditions.length > 0) {
+    filter.$and = compileFilterConditions(conditions);
+  }
+
+  return filter;
+};
+
+/**
+ * Calcula los términos de búsqueda de los clientes creados antes del índice de texto.
+ * Son internos: no cambian la versión (ETag) del cliente.
+ */
+export const backfillSearchTerms = async (): Promise<number> => {
+  const cursor = Customer.find({ searchTerms: { $exists: false } })
+    .select(SEARCHABLE_FIELDS.join(' '))
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  let updated = 0;
+  let writes: any[] = [];
+  for await (const customer of cursor) {
+    writes.push({
+      updateOne: {
+        filter: { _id: customer._id },
+        update: { $set: { searchTerms: computeSearchTerms(customer) } },
+        timestamps: false
+      }
+    });
+    if (writes.length >= 500) {
+      updated += (await Customer.bulkWrite(writes, { ordered: false })).modifiedCount;
+      writes = [];
+    }
+  }
+  if (writes.length > 0) {
+    updated += (await Customer.bulkWrite(writes, { ordered: false })).modifiedCount;
+  }
+
+  return updated;
+};
+
+/**
+ * Orden de la búsqueda; sin sort se ordena por relevancia si hay q y por fecha de alta en otro caso.
+ * Devuelve null para el orden por relevancia.
+ */
+export const parseSearchSort = (sort: string | undefined, hasQuery: boolean): SearchSort | null => {
+  const requested = sort || (hasQuery ? RELEVANCE_SORT : '-createdAt');
+  if (requested === RELEVANCE_SORT) {
+    if (!hasQuery) {
+      throw new AppError('Sorting by relevance requires a search query (q)', 400);
+    }
+    return null;
+  }
+
+  const descending = requested.startsWith('-');
+  return { field: (descending ? requested.slice(1) : requested) as SortField, direction: descending ? -1 : 1 };
+};
+
+export const formatSearchSort = (sort: SearchSort): string => `${sort.direction === -1 ? '-' : ''}${sort.field}`;
+
+/**
+ * Cursor opaco que apunta a un cliente dentro de un orden concreto
+ */
+export const encodeCursor = (sort: SearchSort, customer: Record<string, any>): string => {
+  const cursor: SearchCursor = { sort: formatSearchSort(sort), value: customer[sort.field] ?? null, id: String(customer._id) };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+};
+
+export const decodeCursor = (encoded: string, sort: SearchSort): SearchCursor => {
+  let cursor: SearchCursor;
+  try {
+    cursor = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+
+  if (!cursor || typeof cursor !== 'object' || !mongoose.isValidObjectId(cursor.id)) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+  if (cursor.sort !== formatSearchSort(sort)) {
+    throw new AppError('Pagination cursor was created with a different sort', 400);
+  }
+
+  if (cursor.value !== null && SORT_FIELDS[sort.field] === 'date') {
+    const date = new Date(cursor.value);
+    if (Number.isNaN(date.getTime())) {
+      throw new AppError('Invalid pagination cursor', 400);
+    }
+    cursor.value = date;
+  }
+  return cursor;
+};
+
+/**
+ * Condición para los clientes que siguen al cursor recorriendo el campo en la dirección indicada.
+ * MongoDB ordena los valores nulos o ausentes antes que cualquier otro; el _id desempata.
+ */
+export const buildKeysetFilter = (field: SortField, direction: 1 | -1, cursor: SearchCursor): FilterQuery<ICustomer> => {
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  if (cursor.value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  return {
+    $or: [
+      { [field]: { [after]: cursor.value } },
+      { [field]: cursor.value, _id: { [after]: id } },
+      ...(direction === -1 ? [{ [field]: null }] : [])
+    ]
+  };
+};
+
+/**
+ * Total de resultados según el modo pedido. Con count=estimated, una búsqueda sin filtros usa los metadatos
+ * de la colección y una filtrada deja de contar al llegar a SEARCH_COUNT_LIMIT.
+ */
+export const countSearchResults = async (
+  filter: FilterQuery<ICustomer>,
+  filters: CustomerSearchFilters,
+  mode: CountMode
+): Promise<{ totalItems: number; totalIsEstimate: boolean } | null> => {
+  if (mode === 'none') {
+    return null;
+  }
+  if (mode === 'exact') {
+    return { totalItems: await Customer.countDocuments(filter), totalIsEstimate: false };
+  }
+
+  if (!hasSearchFilters(filters)) {
+    // Incluye los registros fusionados: es una aproximación
+    return { totalItems: await Customer.estimatedDocumentCount(), totalIsEstimate: true };
+  }
+  const totalItems = await Customer.countDocuments(filter, { limit: SEARCH_COUNT_LIMIT });
+  return { totalItems, totalIsEstimate: totalItems >= SEARCH_COUNT_LIMIT };
+};
@@ -0,0 +1,254 @@
+import type { PipelineStage } from 'mongoose';
+import { Customer } from '../models/Customer.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { CUSTOMER_STATUSES } from './customerStatusService.js';
+import { toCsvLine } from './csv.js';
+
+export const COMPLIANCE_STATUSES = ['pending', 'approved', 'rejected', 'under_review'] as const;
+
+export const TREND_INTERVALS = ['day', 'week', 'month'] as const;
+export type TrendInterval = typeof TREND_INTERVALS[number];
+
+export const REPORT_FORMATS = ['json', 'csv'] as const;
+export type ReportFormat = typeof REPORT_FORMATS[number];
+
+// Rango de fechas de alta (registrationDate); sin límites abarca todos los clientes
+export interface ReportRange {
+  from?: Date;
+  to?: Date;
+}
+
+export interface CustomerStats {
+  range: { from: Date | null; to: Date | null };
+  total: number;
+  byStatus: Record<string, number>;
+  byComplianceStatus: Record<string, number>;
+  byCountry: Array<{ country: string; count: number }>;
+  verification: { emailVerified: number; phoneVerified: number; identityVerified: number };
+}
+
+export interface RegistrationTrend {
+  interval: TrendInterval;
+  range: { from: Date; to: Date };
+  total: number;
+  periods: Array<{ period: string; count: number }>;
+}
+
+export interface OnboardingFunnel {
+  range: { from: Date | null; to: Date | null };
+  steps: Array<{ step: string; count: number; conversionFromPrevious: number; conversionFromStart: number }>;
+}
+
+// Formato de cada periodo en $dateToString (UTC); la semana es la ISO 8601 ("2025-W07")
+const PERIOD_FORMATS: Record<TrendInterval, string> = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Rango por defecto de la serie y máximo de periodos que puede devolver
+const DEFAULT_TREND_DAYS: Record<TrendInterval, number> = { day: 30, week: 84, month: 365 };
+const MAX_TREND_PERIODS = 366;
+const DAYS_PER_PERIOD: Record<TrendInterval, number> = { day: 1, week: 7, month: 31 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pasos del alta de un cliente; cada paso exige haber completado los anteriores
+const FUNNEL_STEPS: Array<{ step: string; condition: Record<string, any> }> = [
+  { step: 'registered', condition: { $literal: true } },
+  { step: 'emailVerified', condition: { $eq: ['$emailVerified', true] } },
+  { step: 'phoneVerified', condition: { $eq: ['$phoneVerified', true] } },
+  { step: 'documentsSubmitted', condition: { $gt: [{ $size: { $ifNull: ['$documents', []] } }, 0] } },
+  { step: 'identityVerified', condition: { $eq: ['$identityVerified', true] } },
+  { step: 'complianceApproved', condition: { $eq: ['$complianceStatus', 'approved'] } },
+  { step: 'active', condition: { $eq: ['$status', 'active'] } }
+];
+
+const pad = (value: number): string => String(value).padStart(2, '0');
+
+/**
+ * Etiqueta del periodo al que pertenece una fecha (UTC), igual que la que genera $dateToString
+ */
+const periodLabel = (date: Date, interval: TrendInterval): string => {
+  if (interval === 'day') {
+    return date.toISOString().slice(0, 10);
+  }
+  if (interval === 'month') {
+    return date.toISOString().slice(0, 7);
+  }
+
+  // Semana ISO: la del jueves de la misma semana
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday.getTime() - yearStart) / DAY_MS + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+};
+
+const ratio = (count: number, base: number): number => (base > 0 ? Math.round((count / base) * 10000) / 10000 : 0);
+
+class CustomerStatsService {
+  private static instance: CustomerStatsService;
+
+  private constructor() {}
+
+  public static getInstance(): CustomerStatsService {
+    if (!CustomerStatsService.instance) {
+      CustomerStatsService.instance = new CustomerStatsService();
+    }
+    return CustomerStatsService.instance;
+  }
+
+  /**
+   * Recuentos por estado, estado de compliance, país y verificaciones, en una sola agregación
+   */
+  public async getStats(range: ReportRange): Promise<CustomerStats> {
+    const countBy = (field: string): PipelineStage.FacetPipelineStage[] => [
+      { $group: { _id: field, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+    const countIf = (field: string) => ({ $sum: { $cond: [{ $eq: [field, true] }, 1, 0] } });
+
+    const [result] = await Customer.aggregate([
+      { $match: this.buildMatch(range) },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          byStatus: countBy('$status'),
+          byComplianceStatus: countBy('$complianceStatus'),
+          byCountry: countBy('$address.country'),
+          verification: [{
+            $group: {
+              _id: null,
+              emailVerified: countIf('$emailVerified'),
+              phoneVerified: countIf('$phoneVerified'),
+              identityVerified: countIf('$identityVerified')
+            }
+          }]
+        }
+      }
+    ]);
+
+    // Todos los valores posibles aparecen aunque no tengan clientes
+    const toCounts = (groups: Array<{ _id: string; count: number }>, keys: readonly string[]) =>
+      Object.fromEntries(keys.map(key => [key, groups.find(group => group._id === key)?.count ?? 0]));
+
+    return {
+      range: { from: range.from ?? null, to: range.to ?? null },
+      total: result.total[0]?.count ?? 0,
+      byStatus: toCounts(result.byStatus, CUSTOMER_STATUSES),
+      byComplianceStatus: toCounts(result.byComplianceStatus, COMPLIANCE_STATUSES),
+      byCountry: result.byCountry.map((group: { _id: string | null; count: number }) => ({
+        country: group._id || 'unknown',
+        count: group.count
+      })),
+      verification: {
+        emailVerified: result.verification[0]?.emailVerified ?? 0,
+        phoneVerified: result.verification[0]?.phoneVerified ?? 0,
+        identityVerified: result.verification[0]?.identityVerified ?? 0
+      }
+    };
+  }
+
+  /**
+   * Altas por día, semana ISO o mes (UTC). Los periodos sin altas aparecen con 0.
+   * Sin rango se devuelven los últimos 30 días, 12 semanas o 12 meses.
+   */
+  public async getRegistrationTrend(interval: TrendInterval, range: ReportRange): Promise<RegistrationTrend> {
+    const to = range.to ?? new Date();
+    const from = range.from ?? new Date(to.getTime() - DEFAULT_TREND_DAYS[interval] * DAY_MS);
+    if ((to.getTime() - from.getTime()) / DAY_MS > MAX_TREND_PERIODS * DAYS_PER_PERIOD[interval]) {
+      throw new AppError(`Date range is too large: at most ${MAX_TREND_PERIODS} periods per ${interval}`, 400);
+    }
+
+    const groups: Array<{ _id: string; count: number }> = await Customer.aggregate([
+      { $match: this.buildMatch({ from, to }) },
+      {
+        $group: {
+          _id: { $dateToString: { format: PERIOD_FORMATS[interval], date: '$registrationDate', timezone: 'UTC' } },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    const counts = new Map(groups.map(group => [group._id, group.count]));
+
+    const periods: RegistrationTrend['periods'] = [];
+    const seen = new Set<string>();
+    for (let day = from.getTime(); day <= to.getTime() + DAY_MS; day += DAY_MS) {
+      const period = periodLabel(new Date(Math.min(day, to.getTime())), interval);
+      if (!seen.has(period)) {
+        seen.add(period);
+        periods.push({ period, count: counts.get(period) ?? 0 });
+      }
+    }
+
+    return {
+      interval,
+      range: { from, to },
+      total: periods.reduce((total, period) => total + period.count, 0),
+      periods
+    };
+  }
+
+  /**
+   * Embudo de alta de los clientes registrados en el rango: cuántos llegan a cada paso
+   * y la conversión respecto al paso anterior y al registro
+   */
+  public async getOnboardingFunnel(range: ReportRange): Promise<OnboardingFunnel> {
+    const group: Record<string, any> = { _id: null };
+    FUNNEL_STEPS.forEach(({ step }, index) => {
+      const conditions = FUNNEL_STEPS.slice(0, index + 1).map(({ condition }) => condition);
+      group[step] = { $sum: { $cond: [{ $and: conditions }, 1, 0] } };
+    });
+
+    const [result] = await Customer.aggregate([{ $match: this.buildMatch(range) }, { $group: group }]);
+
+    const counts = FUNNEL_STEPS.map(({ step }) => (result?.[step] as number | undefined) ?? 0);
+    const registered = counts[0] ?? 0;
+    return {
+      range: { from: range.from ?? null, to: range.to ?? null },
+      steps: FUNNEL_STEPS.map(({ step }, index) => ({
+        step,
+        count: counts[index] ?? 0,
+        conversionFromPrevious: index === 0 ? 1 : ratio(counts[index] ?? 0, counts[index - 1] ?? 0),
+        conversionFromStart: ratio(counts[index] ?? 0, registered)
+      }))
+    };
+  }
+
+  public statsToCsv(stats: CustomerStats): string {
+    const rows: Array<[string, string, number]> = [['total', '', stats.total]];
+    Object.entries(stats.byStatus).forEach(([status, count]) => rows.push(['status', status, count]));
+    Object.entries(stats.byComplianceStatus).forEach(([status, count]) => rows.push(['complianceStatus', status, count]));
+    stats.byCountry.forEach(({ country, count }) => rows.push(['country', country, count]));
+    Object.entries(stats.verification).forEach(([flag, count]) => rows.push(['verification', flag, count]));
+
+    return [['metric', 'value', 'count'], ...rows].map(toCsvLine).join('');
+  }
+
+  public trendToCsv(trend: RegistrationTrend): string {
+    return [['period', 'count'], ...trend.periods.map(({ period, count }) => [period, count])].map(toCsvLine).join('');
+  }
+
+  public funnelToCsv(funnel: OnboardingFunnel): string {
+    return [
+      ['step', 'count', 'conversionFromPrevious', 'conversionFromStart'],
+      ...funnel.steps.map(step => [step.step, step.count, step.conversionFromPrevious, step.conversionFromStart])
+    ].map(toCsvLine).join('');
+  }
+
+  /**
+   * Clientes vigentes (sin los fusionados en otro) dados de alta en el rango
+   */
+  private buildMatch(range: ReportRange): Record<string, any> {
+    const match: Record<string, any> = { mergedInto: { $exists: false } };
+    if (range.from || range.to) {
+      match.registrationDate = {
+        ...(range.from && { $gte: range.from }),
+        ...(range.to && { $lte: range.to })
+      };
+    }
+    return match;
+  }
+}
+
+export default CustomerStatsService;
@@ -0,0 +1,117 @@
+import type { ICustomer, CustomerStatus } from '../models/Customer.js';
+import { AppError } from '../middleware/errorHandler.js';
+import AuditService from './auditService.js';
+import type { AuditEntry } from './auditService.js';
+import { recordDomainEvent } from './domainEvents.js';
+
+export const CUSTOMER_STATUSES: CustomerStatus[] = ['active', 'inactive', 'suspended', 'pending_verification'];
+
+// Transiciones permitidas desde cada estado
+const TRANSITIONS: Record<CustomerStatus, CustomerStatus[]> = {
+  pending_verification: ['active', 'suspended', 'inactive'],
+  active: ['suspended', 'inactive'],
+  suspended: ['active', 'inactive'],
+  inactive: ['active', 'pending_verification']
+};
+
+// Guardas: condiciones que el cliente debe cumplir para entrar en un estado
+// Un registro fusionado en otro no se puede reactivar
+const notMerged = (customer: ICustomer): string | null =>
+  (customer.mergedInto ? `customer was merged into ${customer.mergedInto}` : null);
+
+const GUARDS: Partial<Record<CustomerStatus, Array<(customer: ICustomer) => string | null>>> = {
+  active: [
+    notMerged,
+    customer => (customer.identityVerified ? null : 'identity must be verified'),
+    customer => (customer.complianceStatus === 'approved' ? null : 'compliance status must be approved')
+  ],
+  pending_verification: [notMerged]
+};
+
+type TransitionContext = Pick<AuditEntry, 'actor' | 'route' | 'source'>;
+
+class CustomerStatusService {
+  private static instance: CustomerStatusService;
+  private auditService: AuditService;
+
+  private constructor() {
+    this.auditService = AuditService.getInstance();
+  }
+
+  public static getInstance(): CustomerStatusService {
+    if (!CustomerStatusService.instance) {
+      CustomerStatusService.instance = new CustomerStatusService();
+    }
+    return CustomerStatusService.instance;
+  }
+
+  /**
+   * Estados a los que puede pasar un cliente desde su estado actual
+   */
+  public getAllowedTransitions(status: CustomerStatus): CustomerStatus[] {
+    return TRANSITIONS[status] || [];
+  }
+
+  /**
+   * Verifica que la transición sea legal y que el cliente cumpla las guardas.
+   * Lanza 409 para transiciones ilegales y 422 si falla alguna guarda.
+   */
+  public assertCanTransition(customer: ICustomer, to: CustomerStatus): void {
+    const from = customer.status;
+
+    if (from === to) {
+      throw new AppError(`Customer is already ${to}`, 409);
+    }
+
+    if (!this.getAllowedTransitions(from).includes(to)) {
+      throw new AppError(`Invalid status transition from ${from} to ${to}`, 409);
+    }
+
+    const failures = (GUARDS[to] || [])
+      .map(guard => guard(customer))
+      .filter((failure): failure is string => failure !== null);
+
+    if (failures.length > 0) {
+      throw new AppError(`Cannot change status to ${to}: ${failures.join(', ')}`, 422);
+    }
+  }
+
+  /**
+   * Ejecuta la transición: actualiza el estado, la registra en statusHistory,
+   * persiste el cliente junto con el evento customer.status_changed
+   * y deja constancia en el historial de auditoría.
+   */
+  public async transition(
+    customer: ICustomer,
+    to: CustomerStatus,
+    reason: string,
+    context: TransitionContext
+  ): Promise<ICustomer> {
+    this.assertCanTransition(customer, to);
+
+    const from = customer.status;
+    customer.status = to;
+    customer.statusHistory.push({
+      from,
+      to,
+      reason,
+      changedBy: context.actor.id,
+      changedAt: new Date()
+    });
+    recordDomainEvent(customer, 'customer.status_changed', { from, to, reason }, context.actor);
+
+    await customer.save();
+
+    await this.auditService.record({
+      customerId: customer.id,
+      action: 'status_change',
+      changes: [{ field: 'status', from, to }],
+      reason,
+      ...context
+    });
+
+    return customer;
+  }
+}
+
+export default CustomerStatusService;
@@ -0,0 +1,74 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export interface StoredObject {
+  key: string;
+  size: number;
+}
+
+// Contrato para el almacenamiento de archivos KYC; permite usar S3, GCS, etc. sin tocar los servicios
+export interface DocumentStorage {
+  readonly name: string;
+  save(key: string, content: Buffer, contentType: string): Promise<StoredObject>;
+  read(key: string): Promise<Buffer>;
+  delete(key: string): Promise<void>;
+}
+
+/**
+ * Almacenamiento en disco local (por defecto)
+ */
+export class LocalDiskDocumentStorage implements DocumentStorage {
+  public readonly name = 'local';
+
+  constructor(private readonly rootDir: string) {}
+
+  public async save(key: string, content: Buffer): Promise<StoredObject> {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // wx: nunca sobrescribir un archivo existente
+    await fs.writeFile(filePath, content, { flag: 'wx', mode: 0o600 });
+    return { key, size: content.length };
+  }
+
+  public async read(key: string): Promise<Buffer> {
+    return fs.readFile(this.resolve(key));
+  }
+
+  public async delete(key: string): Promise<void> {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  // Evita que una clave escape del directorio raíz
+  private resolve(key: string): string {
+    const root = path.resolve(this.rootDir);
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+}
+
+let storage: DocumentStorage | null = null;
+
+/**
+ * Backend configurado (disco local en DOCUMENT_STORAGE_DIR)
+ */
+export const getDocumentStorage = (): DocumentStorage => {
+  if (!storage) {
+    storage = new LocalDiskDocumentStorage(
+      process.env.DOCUMENT_STORAGE_DIR || path.join(process.cwd(), 'storage', 'documents')
+    );
+  }
+  return storage;
+};
+
+/**
+ * Reemplaza el backend de almacenamiento (proveedor cloud o doble de pruebas)
+ */
+export const setDocumentStorage = (customStorage: DocumentStorage): void => {
+  storage = customStorage;
+};
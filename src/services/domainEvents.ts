@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import type { ICustomer, OutboxEntry } from '../models/Customer.js';
+import type { RequestActor } from '../middleware/requestContext.js';
+
+export const DOMAIN_EVENT_TYPES = [
+  'customer.created',
+  'customer.updated',
+  'customer.status_changed',
+  'customer.document_added',
+  'customer.document_reviewed',
+  'customer.contact_verified',
+  'customer.compliance_changed',
+  'customer.merged'
+] as const;
+export type DomainEventType = typeof DOMAIN_EVENT_TYPES[number];
+
+// Evento tal como se entrega a los sinks
+export interface DomainEvent {
+  id: string;
+  type: DomainEventType;
+  customerId: string;
+  occurredAt: string;
+  actor?: { id: string; type: string };
+  data: Record<string, any>;
+}
+
+/**
+ * Crea la entrada de outbox de un evento
+ */
+export const buildOutboxEntry = (
+  type: DomainEventType,
+  data: Record<string, any>,
+  actor?: Pick<RequestActor, 'id' | 'type'>
+): OutboxEntry => ({
+  eventId: crypto.randomUUID(),
+  type,
+  data,
+  ...(actor && { actor: { id: actor.id, type: actor.type } }),
+  occurredAt: new Date()
+});
+
+/**
+ * Agrega un evento al outbox del cliente; se persiste en el mismo save() que el cambio que lo origina
+ */
+export const recordDomainEvent = (
+  customer: ICustomer,
+  type: DomainEventType,
+  data: Record<string, any>,
+  actor?: Pick<RequestActor, 'id' | 'type'>
+): void => {
+  customer.outbox.push(buildOutboxEntry(type, data, actor));
+};
+
+/**
+ * Datos básicos del cliente incluidos en los eventos (sin documentos ni datos de identificación)
+ */
+export const customerSummary = (customer: ICustomer): Record<string, any> => ({
+  id: customer.id,
+  firstName: customer.firstName,
+  lastName: customer.lastName,
+  email: customer.email,
+  status: customer.status,
+  complianceStatus: customer.complianceStatus,
+  country: customer.address?.country
+});
@@ -0,0 +1,332 @@
+import dotenv from 'dotenv';
+import type { Types } from 'mongoose';
+import { Customer } from '../models/Customer.js';
+import { DuplicateCandidate, toPairKey } from '../models/DuplicateCandidate.js';
+import type { DuplicateCandidateStatus, IDuplicateCandidate } from '../models/DuplicateCandidate.js';
+import type { RequestActor } from '../middleware/requestContext.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { computeMatchKeys, scoreMatch } from './duplicateMatching.js';
+import type { MatchKeys, MatchProfile, MatchSignal } from './duplicateMatching.js';
+
+dotenv.config();
+
+// Campos necesarios para puntuar un cliente
+const PROFILE_FIELDS = 'firstName lastName email status dateOfBirth phone passportNumber address.street address.city address.postalCode matchKeys';
+
+// Máximo de coincidencias devueltas al crear un cliente o consultar uno concreto
+const MAX_MATCHES = 10;
+
+// Claves por las que la revisión completa agrupa a los clientes, en este orden
+const BLOCK_KEYS: Array<keyof MatchKeys> = ['name', 'dateOfBirth', 'phone', 'passport'];
+
+// Los clientes fusionados en otro no se comparan
+const ACTIVE_CUSTOMERS = { mergedInto: { $exists: false } };
+
+type ScanProfile = MatchProfile & { _id: Types.ObjectId; matchKeys?: MatchKeys };
+
+export interface DuplicateMatch {
+  customerId: string;
+  firstName: string;
+  lastName: string;
+  email: string;
+  status: string;
+  score: number;
+  matchedOn: MatchSignal[];
+}
+
+export interface DuplicateAssessment {
+  action: 'allow' | 'warn' | 'block';
+  matches: DuplicateMatch[];
+}
+
+export interface DuplicateScanResult {
+  scanned: number;
+  backfilled: number;
+  pairs: number;
+  resolved: number;
+  skippedBlocks: number;
+}
+
+export interface DuplicateCandidateQuery {
+  status?: DuplicateCandidateStatus;
+  minScore?: number;
+  page: number;
+  limit: number;
+}
+
+class DuplicateDetectionService {
+  private static instance: DuplicateDetectionService;
+  private warnThreshold: number;
+  private blockThreshold: number;
+  private candidateLimit: number;
+  private maxBlockSize: number;
+  private overrideRoles: string[];
+  private runningScan: Promise<DuplicateScanResult> | null = null;
+
+  private constructor() {
+    this.warnThreshold = parseFloat(process.env.DUPLICATE_WARN_THRESHOLD || '0.7');
+    this.blockThreshold = parseFloat(process.env.DUPLICATE_BLOCK_THRESHOLD || '0.9');
+    this.candidateLimit = parseInt(process.env.DUPLICATE_CANDIDATE_LIMIT || '200');
+    this.maxBlockSize = parseInt(process.env.DUPLICATE_SCAN_MAX_BLOCK_SIZE || '500');
+    this.overrideRoles = (process.env.DUPLICATE_OVERRIDE_ROLES || 'compliance,admin')
+      .split(',')
+      .map(role => role.trim().toLowerCase());
+  }
+
+  public static getInstance(): DuplicateDetectionService {
+    if (!DuplicateDetectionService.instance) {
+      DuplicateDetectionService.instance = new DuplicateDetectionService();
+    }
+    return DuplicateDetectionService.instance;
+  }
+
+  /**
+   * Clientes existentes que probablemente son la misma persona, de mayor a menor puntuación.
+   * Los candidatos se buscan por las claves normalizadas (nombre, fecha de nacimiento, teléfono, pasaporte)
+   * y se puntúan con todas las señales.
+   */
+  public async findDuplicates(profile: MatchProfile, excludeId?: string): Promise<DuplicateMatch[]> {
+    const keys = computeMatchKeys(profile);
+    const or: Record<string, string>[] = [
+      { 'matchKeys.name': keys.name },
+      { 'matchKeys.dateOfBirth': keys.dateOfBirth },
+      { 'matchKeys.phone': keys.phone }
+    ];
+    if (keys.passport) {
+      or.push({ 'matchKeys.passport': keys.passport });
+    }
+
+    const candidates = await Customer.find({
+      mergedInto: { $exists: false },
+      ...(excludeId && { _id: { $ne: excludeId } }),
+      $or: or
+    })
+      .select(PROFILE_FIELDS)
+      .limit(this.candidateLimit)
+      .lean();
+
+    return candidates
+      .map(candidate => ({ candidate, ...scoreMatch(profile, candidate as MatchProfile) }))
+      .filter(({ score }) => score >= this.warnThreshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_MATCHES)
+      .map(({ candidate, score, matchedOn }) => ({
+        customerId: String(candidate._id),
+        firstName: candidate.firstName,
+        lastName: candidate.lastName,
+        email: candidate.email,
+        status: candidate.status,
+        score,
+        matchedOn
+      }));
+  }
+
+  /**
+   * Resultado de la comprobación al dar de alta: por encima de DUPLICATE_BLOCK_THRESHOLD se bloquea,
+   * por encima de DUPLICATE_WARN_THRESHOLD se avisa
+   */
+  public async assess(profile: MatchProfile): Promise<DuplicateAssessment> {
+    const matches = await this.findDuplicates(profile);
+    const topScore = matches[0]?.score ?? 0;
+
+    if (topScore >= this.blockThreshold) {
+      return { action: 'block', matches };
+    }
+    return { action: matches.length > 0 ? 'warn' : 'allow', matches };
+  }
+
+  /**
+   * Indica si el actor puede dar de alta un cliente pese a superar el umbral de bloqueo
+   */
+  public canOverrideBlock(roles: string[]): boolean {
+    return roles.some(role => this.overrideRoles.includes(role));
+  }
+
+  /**
+   * Duplicados probables de un cliente existente
+   */
+  public async findForCustomer(customerId: string): Promise<DuplicateMatch[]> {
+    const customer = await Customer.findById(customerId).select(PROFILE_FIELDS).lean();
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+    return this.findDuplicates(customer as MatchProfile, customerId);
+  }
+
+  /**
+   * Revisión completa: agrupa a los clientes por cada clave normalizada, puntúa los pares de cada grupo
+   * y guarda los que superan DUPLICATE_WARN_THRESHOLD. Los pares abiertos que ya no aparecen se eliminan;
+   * los descartados se conservan. Si hay una revisión en curso se devuelve su resultado.
+   */
+  public scan(): Promise<DuplicateScanResult> {
+    if (!this.runningScan) {
+      this.runningScan = this.runScan().finally(() => {
+        this.runningScan = null;
+      });
+    }
+    return this.runningScan;
+  }
+
+  public async list(query: DuplicateCandidateQuery): Promise<{ candidates: IDuplicateCandidate[]; totalCount: number }> {
+    const filter: Record<string, any> = { status: query.status || 'open' };
+    if (query.minScore !== undefined) {
+      filter.score = { $gte: query.minScore };
+    }
+
+    const [totalCount, candidates] = await Promise.all([
+      DuplicateCandidate.countDocuments(filter),
+      DuplicateCandidate.find(filter)
+        .populate('customerIds', 'firstName lastName email phone dateOfBirth status complianceStatus createdAt')
+        .sort({ score: -1, _id: 1 })
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit)
+    ]);
+
+    return { candidates, totalCount };
+  }
+
+  /**
+   * Marca un par como "no es la misma persona"; las revisiones siguientes no lo vuelven a abrir
+   */
+  public async dismiss(candidateId: string, actor: RequestActor, reason?: string): Promise<IDuplicateCandidate> {
+    const candidate = await DuplicateCandidate.findById(candidateId);
+    if (!candidate) {
+      throw new AppError('Duplicate candidate not found', 404);
+    }
+    if (candidate.status === 'merged') {
+      throw new AppError('Duplicate candidate was already merged', 409);
+    }
+
+    candidate.status = 'dismissed';
+    candidate.dismissedBy = actor.id;
+    candidate.dismissedAt = new Date();
+    if (reason) {
+      candidate.dismissReason = reason;
+    }
+    await candidate.save();
+
+    return candidate;
+  }
+
+  /**
+   * Recorre los grupos de cada clave de BLOCK_KEYS de uno en uno: en memoria solo están los perfiles del grupo
+   * en curso (como máximo DUPLICATE_SCAN_MAX_BLOCK_SIZE)
+   */
+  private async runScan(): Promise<DuplicateScanResult> {
+    const scanStartedAt = new Date();
+    const result: DuplicateScanResult = { scanned: 0, backfilled: 0, pairs: 0, resolved: 0, skippedBlocks: 0 };
+
+    result.scanned = await Customer.countDocuments(ACTIVE_CUSTOMERS);
+    result.backfilled = await this.backfillMatchKeys();
+
+    // Grupos omitidos por tamaño: sus pares se comparan en el grupo de otra clave
+    const skipped = new Set<string>();
+    let writes: any[] = [];
+    for (const key of BLOCK_KEYS) {
+      const path = `matchKeys.${key}`;
+      const blocks = Customer.aggregate<{ _id: string; count: number }>([
+        { $match: { ...ACTIVE_CUSTOMERS, [path]: { $nin: [null, ''] } } },
+        { $group: { _id: `$${path}`, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+      ])
+        .allowDiskUse(true)
+        .cursor({ batchSize: 1000 });
+
+      for await (const block of blocks) {
+        // Valores demasiado comunes (p.ej. una fecha por defecto) no sirven para agrupar
+        if (block.count > this.maxBlockSize) {
+          result.skippedBlocks++;
+          skipped.add(`${key}:${block._id}`);
+          continue;
+        }
+
+        const members = await Customer.find({ ...ACTIVE_CUSTOMERS, [path]: block._id })
+          .select(PROFILE_FIELDS)
+          .limit(this.maxBlockSize)
+          .lean<ScanProfile[]>();
+
+        for (let i = 0; i < members.length; i++) {
+          for (let j = i + 1; j < members.length; j++) {
+            const [a, b] = [members[i] as ScanProfile, members[j] as ScanProfile];
+            if (this.comparedInEarlierBlock(a, b, key, skipped)) {
+              continue;
+            }
+
+            const { score, matchedOn } = scoreMatch(a, b);
+            if (score < this.warnThreshold) {
+              continue;
+            }
+
+            const pairKey = toPairKey(String(a._id), String(b._id));
+            result.pairs++;
+            writes.push({
+              updateOne: {
+                filter: { pairKey },
+                update: {
+                  $set: { score, matchedOn, lastScannedAt: scanStartedAt },
+                  $setOnInsert: { customerIds: pairKey.split(':'), status: 'open', detectedAt: scanStartedAt }
+                },
+                upsert: true
+              }
+            });
+            if (writes.length >= 500) {
+              await DuplicateCandidate.bulkWrite(writes, { ordered: false });
+              writes = [];
+            }
+          }
+        }
+      }
+    }
+    if (writes.length > 0) {
+      await DuplicateCandidate.bulkWrite(writes, { ordered: false });
+    }
+
+    const stale = await DuplicateCandidate.deleteMany({ status: 'open', lastScannedAt: { $lt: scanStartedAt } });
+    result.resolved = stale.deletedCount;
+
+    return result;
+  }
+
+  /**
+   * Un par que comparte una clave anterior en BLOCK_KEYS ya se comparó en ese grupo, salvo que se omitiera
+   */
+  private comparedInEarlierBlock(a: ScanProfile, b: ScanProfile, key: keyof MatchKeys, skipped: Set<string>): boolean {
+    return BLOCK_KEYS.slice(0, BLOCK_KEYS.indexOf(key)).some(earlier => {
+      const value = a.matchKeys?.[earlier];
+      return !!value && value === b.matchKeys?.[earlier] && !skipped.has(`${earlier}:${value}`);
+    });
+  }
+
+  /**
+   * Clientes anteriores a la detección de duplicados: se guardan sus claves (internas, sin cambiar la versión)
+   */
+  private async backfillMatchKeys(): Promise<number> {
+    const cursor = Customer.find({ ...ACTIVE_CUSTOMERS, 'matchKeys.name': { $in: [null, ''] } })
+      .select(PROFILE_FIELDS)
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    let backfilled = 0;
+    let writes: any[] = [];
+    for await (const customer of cursor) {
+      writes.push({
+        updateOne: {
+          filter: { _id: customer._id },
+          update: { $set: { matchKeys: computeMatchKeys(customer as MatchProfile) } },
+          timestamps: false
+        }
+      });
+      if (writes.length >= 500) {
+        backfilled += (await Customer.bulkWrite(writes, { ordered: false })).modifiedCount;
+        writes = [];
+      }
+    }
+    if (writes.length > 0) {
+      backfilled += (await Customer.bulkWrite(writes, { ordered: false })).modifiedCount;
+    }
+
+    return backfilled;
+  }
+}
+
+export default DuplicateDetectionService;
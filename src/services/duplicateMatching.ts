@@ -0,0 +1,217 @@
+// Datos de un cliente que intervienen en la detección de duplicados
+export interface MatchProfile {
+  firstName: string;
+  lastName: string;
+  dateOfBirth: Date;
+  phone: string;
+  passportNumber?: string;
+  address?: {
+    street?: string;
+    city?: string;
+    postalCode?: string;
+  };
+}
+
+// Claves normalizadas que se guardan en el cliente para buscar candidatos por índice
+export interface MatchKeys {
+  name: string;
+  dateOfBirth: string;
+  phone: string;
+  passport?: string;
+}
+
+export const MATCH_SIGNALS = ['name', 'dateOfBirth', 'phone', 'passportNumber', 'address'] as const;
+export type MatchSignal = typeof MATCH_SIGNALS[number];
+
+export interface MatchResult {
+  score: number;
+  matchedOn: MatchSignal[];
+}
+
+// Peso de cada señal en la puntuación; passportNumber solo cuenta si ambos clientes lo tienen
+const SIGNAL_WEIGHTS: Record<MatchSignal, number> = {
+  name: 0.35,
+  dateOfBirth: 0.25,
+  phone: 0.2,
+  passportNumber: 0.2,
+  address: 0.1
+};
+
+// Similitud a partir de la cual una señal se informa como coincidente
+const SIGNAL_MATCH_THRESHOLD = 0.9;
+
+/**
+ * Minúsculas, sin tildes ni signos de puntuación y con los espacios colapsados
+ */
+export const normalizeText = (value: string | undefined): string =>
+  (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Últimos 10 dígitos del teléfono: "+57 (300) 123-4567" y "3001234567" coinciden
+ */
+export const normalizePhone = (value: string | undefined): string => (value || '').replace(/\D/g, '').slice(-10);
+
+export const normalizePassport = (value: string | undefined): string => (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const dateKey = (value: Date | string): string => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+};
+
+// Nombre completo con las palabras ordenadas: tolera nombre y apellido intercambiados
+const sortedNameKey = (profile: Pick<MatchProfile, 'firstName' | 'lastName'>): string =>
+  normalizeText(`${profile.firstName} ${profile.lastName}`).split(' ').sort().join(' ');
+
+export const computeMatchKeys = (profile: MatchProfile): MatchKeys => {
+  const passport = normalizePassport(profile.passportNumber);
+  return {
+    name: sortedNameKey(profile),
+    dateOfBirth: dateKey(profile.dateOfBirth),
+    phone: normalizePhone(profile.phone),
+    ...(passport && { passport })
+  };
+};
+
+/**
+ * Similitud Jaro-Winkler (0-1); tolera erratas y da más peso al prefijo común
+ */
+export const jaroWinkler = (a: string, b: string): number => {
+  if (a === b) {
+    return a.length === 0 ? 0 : 1;
+  }
+  if (a.length === 0 || b.length === 0) {
+    return 0;
+  }
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array<boolean>(a.length).fill(false);
+  const bMatched = new Array<boolean>(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(b.length - 1, i + window);
+    for (let j = start; j <= end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) {
+      continue;
+    }
+    while (!bMatched[k]) {
+      k++;
+    }
+    if (a[i] !== b[k]) {
+      transpositions++;
+    }
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// Jaro-Winkler da ~0.5-0.7 a nombres sin relación: por debajo de 0.7 no se considera parecido
+const nameTokenSimilarity = (a: string, b: string): number =>
+  Math.max(0, (jaroWinkler(normalizeText(a), normalizeText(b)) - 0.7) / 0.3);
+
+/**
+ * Nombre y apellido se comparan por separado (también intercambiados), de modo que dos hermanos
+ * con el mismo apellido puntúan a medias; el nombre completo ordenado cubre repartos distintos
+ * entre nombre y apellido ("Juan Carlos" + "Pérez" frente a "Juan" + "Carlos Pérez").
+ */
+const nameSimilarity = (a: MatchProfile, b: MatchProfile): number => Math.max(
+  (nameTokenSimilarity(a.firstName, b.firstName) + nameTokenSimilarity(a.lastName, b.lastName)) / 2,
+  (nameTokenSimilarity(a.firstName, b.lastName) + nameTokenSimilarity(a.lastName, b.firstName)) / 2,
+  nameTokenSimilarity(sortedNameKey(a), sortedNameKey(b))
+);
+
+/**
+ * Fecha de nacimiento: igual, con día y mes intercambiados o con solo el año distinto
+ */
+const dateOfBirthSimilarity = (a: MatchProfile, b: MatchProfile): number => {
+  const [aKey, bKey] = [dateKey(a.dateOfBirth), dateKey(b.dateOfBirth)];
+  if (!aKey || !bKey) {
+    return 0;
+  }
+  if (aKey === bKey) {
+    return 1;
+  }
+
+  const [aYear, aMonth, aDay] = aKey.split('-');
+  const [bYear, bMonth, bDay] = bKey.split('-');
+  if (aYear === bYear && aMonth === bDay && aDay === bMonth) {
+    return 0.7;
+  }
+  if (aMonth === bMonth && aDay === bDay) {
+    return 0.5;
+  }
+  return 0;
+};
+
+const addressSimilarity = (a: MatchProfile, b: MatchProfile): number => {
+  const street = jaroWinkler(normalizeText(a.address?.street), normalizeText(b.address?.street));
+  const city = normalizeText(a.address?.city);
+  const postalCode = normalizeText(a.address?.postalCode);
+  return street * 0.5 +
+    (city !== '' && city === normalizeText(b.address?.city) ? 0.25 : 0) +
+    (postalCode !== '' && postalCode === normalizeText(b.address?.postalCode) ? 0.25 : 0);
+};
+
+/**
+ * Puntúa la probabilidad (0-1) de que dos clientes sean la misma persona
+ */
+export const scoreMatch = (a: MatchProfile, b: MatchProfile): MatchResult => {
+  const similarities: Partial<Record<MatchSignal, number>> = {
+    name: nameSimilarity(a, b),
+    dateOfBirth: dateOfBirthSimilarity(a, b),
+    phone: normalizePhone(a.phone) !== '' && normalizePhone(a.phone) === normalizePhone(b.phone) ? 1 : 0,
+    address: addressSimilarity(a, b)
+  };
+
+  const [aPassport, bPassport] = [normalizePassport(a.passportNumber), normalizePassport(b.passportNumber)];
+  if (aPassport && bPassport) {
+    similarities.passportNumber = aPassport === bPassport ? 1 : 0;
+  }
+
+  let weighted = 0;
+  let totalWeight = 0;
+  const matchedOn: MatchSignal[] = [];
+  for (const signal of MATCH_SIGNALS) {
+    const similarity = similarities[signal];
+    if (similarity === undefined) {
+      continue;
+    }
+    weighted += SIGNAL_WEIGHTS[signal] * similarity;
+    totalWeight += SIGNAL_WEIGHTS[signal];
+    if (similarity >= SIGNAL_MATCH_THRESHOLD) {
+      matchedOn.push(signal);
+    }
+  }
+
+  return { score: Math.round((weighted / totalWeight) * 100) / 100, matchedOn };
+};
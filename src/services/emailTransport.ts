@@ -0,0 +1,69 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export interface EmailMessage {
+  to: string;
+  subject: string;
+  text: string;
+}
+
+// Contrato para el envío de emails; permite conectar un proveedor real sin tocar los servicios
+export interface EmailTransport {
+  readonly name: string;
+  send(message: EmailMessage): Promise<void>;
+}
+
+/**
+ * Transporte para desarrollo: imprime el email en consola
+ */
+export class ConsoleEmailTransport implements EmailTransport {
+  public readonly name = 'console';
+
+  public async send(message: EmailMessage): Promise<void> {
+    console.log(`📧 [email] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  }
+}
+
+/**
+ * Transporte para desarrollo/testing: guarda cada email como un archivo JSON
+ */
+export class FileEmailTransport implements EmailTransport {
+  public readonly name = 'file';
+
+  constructor(private readonly outboxDir: string) {}
+
+  public async send(message: EmailMessage): Promise<void> {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+
+    const sentAt = new Date().toISOString();
+    const filename = `${sentAt.replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+    await fs.writeFile(
+      path.join(this.outboxDir, filename),
+      JSON.stringify({ ...message, sentAt }, null, 2)
+    );
+  }
+}
+
+let transport: EmailTransport | null = null;
+
+/**
+ * Transporte configurado por EMAIL_TRANSPORT (console | file)
+ */
+export const getEmailTransport = (): EmailTransport => {
+  if (!transport) {
+    transport = process.env.EMAIL_TRANSPORT === 'file'
+      ? new FileEmailTransport(process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'outbox'))
+      : new ConsoleEmailTransport();
+  }
+  return transport;
+};
+
+/**
+ * Reemplaza el transporte (proveedor real o doble de pruebas)
+ */
+export const setEmailTransport = (customTransport: EmailTransport): void => {
+  transport = customTransport;
+};
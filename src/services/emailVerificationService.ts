@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { Customer } from '../models/Customer.js';
+import type { ICustomer } from '../models/Customer.js';
+import { EmailVerificationToken } from '../models/EmailVerificationToken.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getEmailTransport } from './emailTransport.js';
+import AuditService from './auditService.js';
+import type { AuditEntry } from './auditService.js';
+import { recordDomainEvent } from './domainEvents.js';
+
+dotenv.config();
+
+interface TokenPayload {
+  tid: string;
+  cid: string;
+  email: string;
+  exp: number;
+}
+
+const base64url = (input: Buffer | string): string => Buffer.from(input).toString('base64url');
+
+class EmailVerificationService {
+  private static instance: EmailVerificationService;
+  private secret: string;
+  private ttlMinutes: number;
+  private auditService: AuditService;
+
+  private constructor() {
+    this.secret = process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET || 'dev-email-verification-secret';
+    this.ttlMinutes = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || '1440');
+    this.auditService = AuditService.getInstance();
+  }
+
+  public static getInstance(): EmailVerificationService {
+    if (!EmailVerificationService.instance) {
+      EmailVerificationService.instance = new EmailVerificationService();
+    }
+    return EmailVerificationService.instance;
+  }
+
+  /**
+   * Emite un token firmado para el email actual del cliente y lo envía por el transporte configurado.
+   * Los tokens pendientes anteriores quedan revocados.
+   */
+  public async issue(customer: ICustomer): Promise<{ expiresAt: Date }> {
+    if (customer.emailVerified) {
+      throw new AppError('Email address is already verified', 409);
+    }
+
+    const tokenId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + this.ttlMinutes * 60 * 1000);
+
+    await EmailVerificationToken.updateMany(
+      { customerId: customer._id, usedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    await EmailVerificationToken.create({
+      tokenId,
+      customerId: customer._id,
+      email: customer.email,
+      expiresAt
+    });
+
+    const token = this.sign({
+      tid: tokenId,
+      cid: customer.id,
+      email: customer.email,
+      exp: Math.floor(expiresAt.getTime() / 1000)
+    });
+
+    await getEmailTransport().send({
+      to: customer.email,
+      subject: 'Verifica tu dirección de email',
+      text: [
+        `Hola ${customer.firstName},`,
+        '',
+        'Usa el siguiente código para verificar tu dirección de email:',
+        token,
+        '',
+        `El código expira el ${expiresAt.toISOString()} y solo puede usarse una vez.`
+      ].join('\n')
+    });
+
+    return { expiresAt };
+  }
+
+  /**
+   * Consume un token: valida firma y expiración, lo marca como usado
+   * y activa emailVerified si el email del cliente no cambió desde la emisión.
+   */
+  public async verify(token: string, context: Pick<AuditEntry, 'actor' | 'route' | 'source'>): Promise<ICustomer> {
+    const payload = this.decode(token);
+
+    if (payload.exp * 1000 < Date.now()) {
+      throw new AppError('Verification token has expired', 400);
+    }
+
+    // Marcado atómico: un token solo se puede consumir una vez
+    const record = await EmailVerificationToken.findOneAndUpdate(
+      { tokenId: payload.tid, usedAt: null, revokedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!record || record.customerId.toString() !== payload.cid) {
+      throw new AppError('Verification token is invalid or has already been used', 400);
+    }
+
+    const customer = await Customer.findById(payload.cid);
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    if (customer.email !== payload.email) {
+      throw new AppError('Email address changed after the token was issued. Request a new verification', 400);
+    }
+
+    if (!customer.emailVerified) {
+      customer.emailVerified = true;
+      recordDomainEvent(customer, 'customer.contact_verified', { channel: 'email' }, context.actor);
+      await customer.save();
+
+      await this.auditService.record({
+        customerId: customer.id,
+        action: 'update',
+        changes: [{ field: 'emailVerified', from: false, to: true }],
+        ...context
+      });
+    }
+
+    return customer;
+  }
+
+  private sign(payload: TokenPayload): string {
+    const body = base64url(JSON.stringify(payload));
+    return `${body}.${this.signature(body)}`;
+  }
+
+  private decode(token: string): TokenPayload {
+    const [body, signature] = token.split('.');
+    if (!body || !signature) {
+      throw new AppError('Verification token is malformed', 400);
+    }
+
+    const expected = Buffer.from(this.signature(body));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new AppError('Verification token signature is invalid', 400);
+    }
+
+    try {
+      return JSON.parse(Buffer.from(body, 'base64url').toString('utf8')) as TokenPayload;
+    } catch {
+      throw new AppError('Verification token is malformed', 400);
+    }
+  }
+
+  private signature(body: string): string {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+}
+
+export default EmailVerificationService;
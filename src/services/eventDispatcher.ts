@@ -0,0 +1,198 @@
+import dotenv from 'dotenv';
+import { Customer } from '../models/Customer.js';
+import type { OutboxEntry } from '../models/Customer.js';
+import { OutboxEvent } from '../models/OutboxEvent.js';
+import type { IOutboxEvent } from '../models/OutboxEvent.js';
+import { getEventSinks } from './eventSinks.js';
+import type { DomainEvent, DomainEventType } from './domainEvents.js';
+
+dotenv.config();
+
+export interface DispatchResult {
+  relayed: number;
+  delivered: number;
+  retried: number;
+  failed: number;
+}
+
+/**
+ * Publica los eventos de dominio en dos pasos:
+ * 1. relay: traslada los eventos guardados junto al cliente a la colección OutboxEvent
+ * 2. dispatch: entrega cada evento a los sinks, con reintentos y backoff exponencial
+ */
+class EventDispatcher {
+  private static instance: EventDispatcher;
+  private batchSize: number;
+  private maxAttempts: number;
+  private baseDelayMs: number;
+  private maxDelayMs: number;
+  private leaseMs: number;
+
+  private constructor() {
+    this.batchSize = parseInt(process.env.EVENT_DISPATCH_BATCH_SIZE || '100');
+    this.maxAttempts = parseInt(process.env.EVENT_MAX_ATTEMPTS || '10');
+    this.baseDelayMs = parseInt(process.env.EVENT_RETRY_BASE_DELAY_SECONDS || '5') * 1000;
+    this.maxDelayMs = parseInt(process.env.EVENT_RETRY_MAX_DELAY_SECONDS || '900') * 1000;
+    this.leaseMs = 60 * 1000;
+  }
+
+  public static getInstance(): EventDispatcher {
+    if (!EventDispatcher.instance) {
+      EventDispatcher.instance = new EventDispatcher();
+    }
+    return EventDispatcher.instance;
+  }
+
+  public async run(): Promise<DispatchResult> {
+    const relayed = await this.relay();
+    return { relayed, ...(await this.dispatch()) };
+  }
+
+  /**
+   * Copia los eventos pendientes de los clientes a OutboxEvent y luego los quita del cliente.
+   * Si el proceso cae entre ambos pasos, la copia se repite sin duplicar (eventId único).
+   */
+  public async relay(): Promise<number> {
+    const customers = await Customer.find({ 'outbox.occurredAt': { $exists: true } })
+      .select('outbox')
+      .limit(this.batchSize);
+
+    let relayed = 0;
+    for (const customer of customers) {
+      const entries: OutboxEntry[] = customer.outbox.map(entry => ({
+        eventId: entry.eventId,
+        type: entry.type,
+        data: entry.data,
+        ...(entry.actor?.id && { actor: { id: entry.actor.id, type: entry.actor.type } }),
+        occurredAt: entry.occurredAt
+      }));
+      if (entries.length === 0) {
+        continue;
+      }
+
+      try {
+        await OutboxEvent.insertMany(
+          entries.map(entry => ({ ...entry, customerId: customer._id, nextAttemptAt: new Date() })),
+          { ordered: false }
+        );
+      } catch (error) {
+        // Los duplicados (11000) son eventos ya trasladados en un intento anterior
+        const writeErrors: Array<{ code?: number; err?: { code?: number } }> = (error as any)?.writeErrors || [];
+        const onlyDuplicates = writeErrors.length > 0 &&
+          writeErrors.every(writeError => (writeError.code ?? writeError.err?.code) === 11000);
+        if (!onlyDuplicates && (error as { code?: number }).code !== 11000) {
+          throw error;
+        }
+      }
+
+      // Sin versionado ni timestamps: el outbox no forma parte de la representación del cliente
+      await Customer.updateOne(
+        { _id: customer._id },
+        { $pull: { outbox: { eventId: { $in: entries.map(entry => entry.eventId) } } } },
+        { timestamps: false }
+      );
+      relayed += entries.length;
+    }
+
+    return relayed;
+  }
+
+  /**
+   * Entrega los eventos vencidos a los sinks, los más antiguos primero
+   */
+  public async dispatch(): Promise<Omit<DispatchResult, 'relayed'>> {
+    const result = { delivered: 0, retried: 0, failed: 0 };
+
+    for (let i = 0; i < this.batchSize; i++) {
+      const event = await this.claimNext();
+      if (!event) {
+        break;
+      }
+
+      const outcome = await this.deliver(event);
+      result[outcome]++;
+    }
+
+    return result;
+  }
+
+  private async claimNext(): Promise<IOutboxEvent | null> {
+    const now = new Date();
+
+    return OutboxEvent.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedUntil: new Date(now.getTime() + this.leaseMs) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { occurredAt: 1 }, new: true }
+    );
+  }
+
+  private async deliver(event: IOutboxEvent): Promise<'delivered' | 'retried' | 'failed'> {
+    const payload = this.toDomainEvent(event);
+    const errors: string[] = [];
+
+    for (const sink of getEventSinks()) {
+      if (event.deliveredTo.includes(sink.name)) {
+        continue;
+      }
+
+      try {
+        await sink.deliver(payload);
+        await OutboxEvent.updateOne({ _id: event._id }, { $addToSet: { deliveredTo: sink.name } });
+      } catch (error) {
+        errors.push(`${sink.name}: ${(error as Error).message}`);
+      }
+    }
+
+    if (errors.length === 0) {
+      await OutboxEvent.updateOne(
+        { _id: event._id },
+        { $set: { status: 'delivered', deliveredAt: new Date() }, $unset: { lockedUntil: 1, lastError: 1 } }
+      );
+      return 'delivered';
+    }
+
+    const lastError = errors.join('; ');
+    if (event.attempts >= this.maxAttempts) {
+      await OutboxEvent.updateOne(
+        { _id: event._id },
+        { $set: { status: 'failed', lastError }, $unset: { lockedUntil: 1 } }
+      );
+      console.error(`❌ Event ${event.eventId} (${event.type}) could not be delivered: ${lastError}`);
+      return 'failed';
+    }
+
+    // Backoff exponencial con jitter, igual que la cola de compliance
+    const exponential = Math.min(this.baseDelayMs * 2 ** (event.attempts - 1), this.maxDelayMs);
+    const delay = Math.round(exponential / 2 + Math.random() * exponential / 2);
+    await OutboxEvent.updateOne(
+      { _id: event._id },
+      {
+        $set: { status: 'pending', nextAttemptAt: new Date(Date.now() + delay), lastError },
+        $unset: { lockedUntil: 1 }
+      }
+    );
+    console.warn(`⚠️ Event ${event.eventId} (${event.type}) delivery failed, retrying in ${Math.round(delay / 1000)}s: ${lastError}`);
+    return 'retried';
+  }
+
+  private toDomainEvent(event: IOutboxEvent): DomainEvent {
+    return {
+      id: event.eventId,
+      type: event.type as DomainEventType,
+      customerId: event.customerId.toString(),
+      occurredAt: event.occurredAt.toISOString(),
+      ...(event.actor?.id && { actor: { id: event.actor.id, type: event.actor.type } }),
+      data: event.data
+    };
+  }
+}
+
+export default EventDispatcher;
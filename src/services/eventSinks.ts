@@ -0,0 +1,111 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import type { DomainEvent, DomainEventType } from './domainEvents.js';
+import { signPayload } from '../middleware/webhookSignature.js';
+import { WebhookSubscriptionSink } from './webhookDeliveryService.js';
+
+dotenv.config();
+
+// Destino de los eventos de dominio; un error hace que el dispatcher reintente la entrega a ese sink
+export interface EventSink {
+  readonly name: string;
+  deliver(event: DomainEvent): Promise<void>;
+}
+
+export type DomainEventHandler = (event: DomainEvent) => Promise<void> | void;
+
+/**
+ * Bus en memoria para reaccionar a los eventos dentro del propio servicio.
+ * Los handlers se ejecutan en orden; si alguno falla, el evento se reintenta (entrega al menos una vez).
+ */
+export class InProcessEventBus implements EventSink {
+  public readonly name = 'in-process';
+  private handlers = new Map<DomainEventType | '*', DomainEventHandler[]>();
+
+  /**
+   * Suscribe un handler a un tipo de evento ('*' para todos); devuelve la función para desuscribirlo
+   */
+  public subscribe(type: DomainEventType | '*', handler: DomainEventHandler): () => void {
+    this.handlers.set(type, [...(this.handlers.get(type) || []), handler]);
+    return () => {
+      this.handlers.set(type, (this.handlers.get(type) || []).filter(existing => existing !== handler));
+    };
+  }
+
+  public async deliver(event: DomainEvent): Promise<void> {
+    const handlers = [...(this.handlers.get(event.type) || []), ...(this.handlers.get('*') || [])];
+    for (const handler of handlers) {
+      await handler(event);
+    }
+  }
+}
+
+/**
+ * Entrega cada evento con un POST JSON. Si hay secreto, se firma igual que los webhooks entrantes
+ * (X-Signature: sha256=HMAC(secret, "<timestamp>.<body>"), X-Signature-Timestamp).
+ */
+export class HttpEventSink implements EventSink {
+  public readonly name: string;
+
+  constructor(
+    private readonly url: string,
+    private readonly secret?: string,
+    private readonly timeoutMs: number = 5000
+  ) {
+    this.name = `http:${url}`;
+  }
+
+  public async deliver(event: DomainEvent): Promise<void> {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    await axios.post(this.url, body, {
+      timeout: this.timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        'Service-Name': 'ms1-customer-service',
+        'X-Event-Id': event.id,
+        'X-Event-Type': event.type,
+        ...(this.secret && {
+          'X-Signature-Timestamp': timestamp,
+          'X-Signature': `sha256=${signPayload(this.secret, timestamp, body)}`
+        })
+      }
+    });
+  }
+}
+
+const eventBus = new InProcessEventBus();
+let sinks: EventSink[] | null = null;
+
+/**
+ * Bus en memoria compartido (siempre es uno de los sinks)
+ */
+export const getEventBus = (): InProcessEventBus => eventBus;
+
+/**
+ * Sinks configurados: el bus en memoria, las suscripciones de webhooks y,
+ * si se define EVENT_HTTP_SINK_URLS, un sink HTTP por URL
+ */
+export const getEventSinks = (): EventSink[] => {
+  if (!sinks) {
+    const urls = (process.env.EVENT_HTTP_SINK_URLS || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean);
+
+    sinks = [
+      eventBus,
+      new WebhookSubscriptionSink(),
+      ...urls.map(url => new HttpEventSink(url, process.env.EVENT_HTTP_SINK_SECRET || undefined))
+    ];
+  }
+  return sinks;
+};
+
+/**
+ * Reemplaza los sinks (p.ej. para conectar un broker o en pruebas)
+ */
+export const setEventSinks = (customSinks: EventSink[]): void => {
+  sinks = customSinks;
+};
@@ -1,5 +1,13 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
+import {
+  Bulkhead,
+  BulkheadRejectedError,
+  CircuitBreaker,
+  CircuitOpenError,
+  retryWithBackoff
+} from './resilience.js';
+import type { CircuitBreakerSnapshot, RetryOptions } from './resilience.js';
 
 dotenv.config();
 
@@ -44,15 +52,68 @@ export interface ComplianceCheckResponse {
   checkedAt: string;
 }
 
+export interface DependencyStatus {
+  circuitBreaker: CircuitBreakerSnapshot;
+  bulkhead: ReturnType<Bulkhead['getSnapshot']>;
+}
+
+// Circuit breaker y bulkhead de cada microservicio externo
+interface Dependency {
+  breaker: CircuitBreaker;
+  bulkhead: Bulkhead;
+}
+
+/**
+ * Solo los errores de infraestructura (sin respuesta, timeout, 5xx, 429) indican que la dependencia falla;
+ * un 4xx es una respuesta válida del servicio
+ */
+const isDependencyFailure = (error: unknown): boolean => {
+  if (!axios.isAxiosError(error)) {
+    return false;
+  }
+  const status = error.response?.status;
+  return status === undefined || status >= 500 || status === 429;
+};
+
 class ExternalServicesClient {
   private static instance: ExternalServicesClient;
   private ms2BaseUrl: string;
   private ms4BaseUrl: string;
   private timeoutMs: number = 5000;
+  private ms2: Dependency;
+  private ms4: Dependency;
+  private retryOptions: RetryOptions;
+  private healthCacheMs: number;
+  private healthCache?: { checkedAt: number; ms2: boolean; ms4: boolean };
+  private healthProbe?: Promise<{ ms2: boolean; ms4: boolean }>;
 
   private constructor() {
     this.ms2BaseUrl = process.env.MS2_ACCOUNTS_URL || 'http://localhost:3001';
     this.ms4BaseUrl = process.env.MS4_COMPLIANCE_URL || 'http://localhost:3003';
+
+    const breakerOptions = {
+      failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD || '5'),
+      resetTimeoutMs: parseInt(process.env.CIRCUIT_BREAKER_RESET_SECONDS || '30') * 1000,
+      isFailure: isDependencyFailure
+    };
+    const maxQueued = parseInt(process.env.EXTERNAL_MAX_QUEUED_REQUESTS || '50');
+
+    this.ms2 = {
+      breaker: new CircuitBreaker('ms2-accounts', breakerOptions),
+      bulkhead: new Bulkhead('ms2-accounts', parseInt(process.env.MS2_MAX_CONCURRENT_REQUESTS || '10'), maxQueued)
+    };
+    this.ms4 = {
+      breaker: new CircuitBreaker('ms4-compliance', breakerOptions),
+      bulkhead: new Bulkhead('ms4-compliance', parseInt(process.env.MS4_MAX_CONCURRENT_REQUESTS || '5'), maxQueued)
+    };
+
+    this.retryOptions = {
+      retries: parseInt(process.env.EXTERNAL_RETRY_ATTEMPTS || '2'),
+      baseDelayMs: parseInt(process.env.EXTERNAL_RETRY_BASE_DELAY_MS || '200'),
+      maxDelayMs: 2000,
+      shouldRetry: isDependencyFailure
+    };
+    this.healthCacheMs = parseInt(process.env.HEALTH_CHECK_CACHE_SECONDS || '10') * 1000;
   }
 
   public static getInstance(): ExternalServicesClient {
@@ -67,22 +128,28 @@ class ExternalServicesClient {
    */
   public async getCustomerAccounts(customerId: string): Promise<AccountResponse[]> {
     try {
-      const response = await axios.get(`${this.ms2BaseUrl}/api/accounts/customer/${customerId}`, {
+      // GET idempotente: se reintenta ante fallos de infraestructura
+      const response = await this.call(this.ms2, () => axios.get(`${this.ms2BaseUrl}/api/accounts/customer/${customerId}`, {
         timeout: this.timeoutMs,
         headers: {
           'Content-Type': 'application/json',
           'Service-Name': 'ms1-customer-service'
         }
-      });
+      }), true);
 
-      if (response.data && response.data.success) {
+      if (response.data && response.data.success && (response.data.data == null || Array.isArray(response.data.data))) {
         return response.data.data || [];
       }
 
-      console.warn(`MS2 returned unexpected response format:`, response.data);
-      return [];
+      // Una respuesta que no se entiende no equivale a "sin cuentas": es un fallo de MS2 (se sirve la caché)
+      throw new Error(`MS2 returned unexpected response format: ${JSON.stringify(response.data)?.slice(0, 200)}`);
 
     } catch (error) {
+      if (error instanceof CircuitOpenError || error instanceof BulkheadRejectedError) {
+        console.warn(`⚠️ MS2 call rejected: ${error.message}`);
+        throw new Error('Account service is currently unavailable. Please try again later.');
+      }
+
       if (axios.isAxiosError(error)) {
         if (error.code === 'ECONNREFUSED') {
           console.error(`❌ Cannot connect to MS2 at ${this.ms2BaseUrl}`);
@@ -113,13 +180,14 @@ class ExternalServicesClient {
    */
   public async triggerComplianceCheck(request: ComplianceCheckRequest): Promise<ComplianceCheckResponse | null> {
     try {
-      const response = await axios.post(`${this.ms4BaseUrl}/api/compliance/check`, request, {
+      // POST no idempotente: sin reintentos aquí, los gestiona la cola de compliance
+      const response = await this.call(this.ms4, () => axios.post(`${this.ms4BaseUrl}/api/compliance/check`, request, {
         timeout: this.timeoutMs * 2, // Compliance checks pueden tomar más tiempo
         headers: {
           'Content-Type': 'application/json',
           'Service-Name': 'ms1-customer-service'
         }
-      });
+      }), false);
 
       if (response.data && response.data.success) {
         return response.data.data;
@@ -129,6 +197,11 @@ class ExternalServicesClient {
       return null;
 
     } catch (error) {
+      if (error instanceof CircuitOpenError || error instanceof BulkheadRejectedError) {
+        console.warn(`⚠️ MS4 call rejected: ${error.message}. Compliance check will be retried later`);
+        return null;
+      }
+
       if (axios.isAxiosError(error)) {
         if (error.code === 'ECONNREFUSED') {
           console.error(`❌ Cannot connect to MS4 at ${this.ms4BaseUrl}`);
@@ -161,53 +234,53 @@ class ExternalServicesClient {
   }
 
   /**
-   * Verifica el estado de salud de MS2
+   * Verifica el estado de salud de MS2 (con el circuito abierto no se consulta)
    */
   public async checkMS2Health(): Promise<boolean> {
-    try {
-      const response = await axios.get(`${this.ms2BaseUrl}/health`, {
-        timeout: 2000
-      });
-      return response.status === 200;
-    } catch {
-      return false;
-    }
+    return this.probeHealth(this.ms2, this.ms2BaseUrl);
   }
 
   /**
-   * Verifica el estado de salud de MS4
+   * Verifica el estado de salud de MS4 (con el circuito abierto no se consulta)
    */
   public async checkMS4Health(): Promise<boolean> {
-    try {
-      const response = await axios.get(`${this.ms4BaseUrl}/health`, {
-        timeout: 2000
-      });
-      return response.status === 200;
-    } catch {
-      return false;
-    }
+    return this.probeHealth(this.ms4, this.ms4BaseUrl);
   }
 
   /**
-   * Obtiene el estado de salud de todos los servicios externos
+   * Obtiene el estado de salud de todos los servicios externos.
+   * El resultado se cachea HEALTH_CHECK_CACHE_SECONDS y las consultas simultáneas comparten la misma sonda.
    */
   public async getServicesHealth(): Promise<{
     ms2: boolean;
     ms4: boolean;
     overall: boolean;
   }> {
-    const [ms2Health, ms4Health] = await Promise.allSettled([
-      this.checkMS2Health(),
-      this.checkMS4Health()
-    ]);
+    if (!this.healthCache || Date.now() - this.healthCache.checkedAt >= this.healthCacheMs) {
+      if (!this.healthProbe) {
+        this.healthProbe = Promise.all([this.checkMS2Health(), this.checkMS4Health()])
+          .then(([ms2, ms4]) => {
+            this.healthCache = { checkedAt: Date.now(), ms2, ms4 };
+            return { ms2, ms4 };
+          })
+          .finally(() => {
+            delete this.healthProbe;
+          });
+      }
+      await this.healthProbe;
+    }
 
-    const ms2Status = ms2Health.status === 'fulfilled' ? ms2Health.value : false;
-    const ms4Status = ms4Health.status === 'fulfilled' ? ms4Health.value : false;
+    const { ms2, ms4 } = this.healthCache as { ms2: boolean; ms4: boolean };
+    return { ms2, ms4, overall: ms2 && ms4 };
+  }
 
+  /**
+   * Estado de los circuit breakers y bulkheads (sin llamadas de red)
+   */
+  public getDependencyStatus(): { ms2: DependencyStatus; ms4: DependencyStatus } {
     return {
-      ms2: ms2Status,
-      ms4: ms4Status,
-      overall: ms2Status && ms4Status
+      ms2: { circuitBreaker: this.ms2.breaker.getSnapshot(), bulkhead: this.ms2.bulkhead.getSnapshot() },
+      ms4: { circuitBreaker: this.ms4.breaker.getSnapshot(), bulkhead: this.ms4.bulkhead.getSnapshot() }
     };
   }
 
@@ -225,6 +298,33 @@ class ExternalServicesClient {
     if (ms2Url) this.ms2BaseUrl = ms2Url;
     if (ms4Url) this.ms4BaseUrl = ms4Url;
   }
+
+  /**
+   * Ejecuta una llamada con límite de concurrencia, circuit breaker y, si es idempotente, reintentos.
+   * Cada intento pasa por el breaker, por lo que un circuito abierto corta los reintentos.
+   */
+  private call<T>(dependency: Dependency, request: () => Promise<T>, idempotent: boolean): Promise<T> {
+    const attempt = () => dependency.breaker.execute(request);
+
+    return dependency.bulkhead.execute(() =>
+      idempotent ? retryWithBackoff(attempt, this.retryOptions) : attempt()
+    );
+  }
+
+  private async probeHealth(dependency: Dependency, baseUrl: string): Promise<boolean> {
+    if (dependency.breaker.getState() === 'open') {
+      return false;
+    }
+
+    try {
+      const response = await axios.get(`${baseUrl}/health`, {
+        timeout: 2000
+      });
+      return response.status === 200;
+    } catch {
+      return false;
+    }
+  }
 }
 
 export default ExternalServicesClient;
\ No newline at end of file
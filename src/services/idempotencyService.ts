@@ -0,0 +1,114 @@
+import dotenv from 'dotenv';
+import { IdempotencyKey } from '../models/IdempotencyKey.js';
+import type { IIdempotencyKey } from '../models/IdempotencyKey.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+dotenv.config();
+
+export interface IdempotentRequest {
+  key: string;
+  scope: string;
+  fingerprint: string;
+  method: string;
+  path: string;
+}
+
+// claimed: la petición es nueva (o retoma una interrumpida) y debe procesarse; replay: ya tiene respuesta
+export type IdempotencyClaim =
+  | { outcome: 'claimed'; record: IIdempotencyKey }
+  | { outcome: 'replay'; record: IIdempotencyKey };
+
+class IdempotencyService {
+  private static instance: IdempotencyService;
+  private ttlHours: number;
+  private lockSeconds: number;
+
+  private constructor() {
+    this.ttlHours = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24');
+    this.lockSeconds = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || '60');
+  }
+
+  public static getInstance(): IdempotencyService {
+    if (!IdempotencyService.instance) {
+      IdempotencyService.instance = new IdempotencyService();
+    }
+    return IdempotencyService.instance;
+  }
+
+  /**
+   * Reserva la clave para la petición. Si ya existe con otra petición responde 422; si la original
+   * sigue en curso, 409. Una reserva cuyo bloqueo caducó (el proceso se detuvo) se retoma.
+   */
+  public async claim(request: IdempotentRequest, retried: boolean = false): Promise<IdempotencyClaim> {
+    const now = new Date();
+    try {
+      const record = await IdempotencyKey.create({
+        ...request,
+        status: 'in_progress',
+        lockedUntil: new Date(now.getTime() + this.lockSeconds * 1000),
+        expiresAt: new Date(now.getTime() + this.ttlHours * 60 * 60 * 1000)
+      });
+      return { outcome: 'claimed', record };
+    } catch (error) {
+      if ((error as { code?: number }).code !== 11000) {
+        throw error;
+      }
+    }
+
+    const existing = await IdempotencyKey.findOne({ scope: request.scope, key: request.key });
+    if (!existing) {
+      // Expiró entre la inserción y la lectura
+      if (retried) {
+        throw new AppError('A request with this Idempotency-Key is still being processed', 409);
+      }
+      return this.claim(request, true);
+    }
+    if (existing.fingerprint !== request.fingerprint) {
+      throw new AppError('Idempotency-Key was already used with a different request', 422);
+    }
+    if (existing.status === 'completed') {
+      return { outcome: 'replay', record: existing };
+    }
+
+    const resumed = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'in_progress', lockedUntil: { $lt: now } },
+      { $set: { lockedUntil: new Date(now.getTime() + this.lockSeconds * 1000) } },
+      { new: true }
+    );
+    if (!resumed) {
+      throw new AppError('A request with this Idempotency-Key is still being processed', 409);
+    }
+    return { outcome: 'claimed', record: resumed };
+  }
+
+  /**
+   * Guarda la respuesta que se devolverá a las repeticiones de la petición
+   */
+  public async complete(
+    record: IIdempotencyKey,
+    statusCode: number,
+    body: any,
+    headers: Record<string, string> = {}
+  ): Promise<void> {
+    await IdempotencyKey.updateOne(
+      { _id: record._id, status: 'in_progress' },
+      {
+        $set: {
+          status: 'completed',
+          // Se guarda tal como se serializó en la respuesta
+          response: { statusCode, body: body === undefined ? null : JSON.parse(JSON.stringify(body)), headers },
+          completedAt: new Date()
+        }
+      }
+    );
+  }
+
+  /**
+   * Libera la clave para que la petición se pueda reintentar (errores del servidor)
+   */
+  public async release(record: IIdempotencyKey): Promise<void> {
+    await IdempotencyKey.deleteOne({ _id: record._id, status: 'in_progress' });
+  }
+}
+
+export default IdempotencyService;
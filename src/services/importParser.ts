@@ -0,0 +1,211 @@
+import { StringDecoder } from 'string_decoder';
+
+export const IMPORT_FORMATS = ['csv', 'ndjson'] as const;
+export type ImportFormat = typeof IMPORT_FORMATS[number];
+
+// Registro leído del archivo; row es el número de fila de datos (la cabecera CSV no cuenta)
+export type ParsedRecord =
+  | { row: number; record: Record<string, any> }
+  | { row: number; error: string };
+
+/**
+ * Formato de importación según el Content-Type de la petición
+ */
+export const detectImportFormat = (contentType: string | undefined): ImportFormat | null => {
+  const type = (contentType || '').split(';')[0]?.trim().toLowerCase();
+  if (type === 'text/csv' || type === 'application/csv') {
+    return 'csv';
+  }
+  if (type === 'application/x-ndjson' || type === 'application/ndjson' || type === 'application/jsonl') {
+    return 'ndjson';
+  }
+  return null;
+};
+
+// Nombres que, como parte de una columna con punto, modificarían el prototipo de los objetos
+const UNSAFE_PATH_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const isSafeHeader = (header: string): boolean => header.split('.').every(segment => !UNSAFE_PATH_SEGMENTS.has(segment));
+
+/**
+ * Convierte una fila CSV en objeto; las columnas con punto se anidan ("address.city").
+ * Las celdas vacías se omiten para que apliquen los valores por defecto del esquema.
+ */
+const toRecord = (headers: string[], values: string[]): Record<string, any> => {
+  const record: Record<string, any> = {};
+  headers.forEach((header, index) => {
+    const value = values[index]?.trim();
+    if (!header || !isSafeHeader(header) || value === undefined || value === '') {
+      return;
+    }
+
+    const path = header.split('.');
+    let target = record;
+    for (const key of path.slice(0, -1)) {
+      target[key] = typeof target[key] === 'object' && target[key] !== null ? target[key] : {};
+      target = target[key];
+    }
+    target[path[path.length - 1] as string] = value;
+  });
+  return record;
+};
+
+/**
+ * Parser CSV (RFC 4180) por streaming: admite comillas, comillas escapadas ("") y saltos de línea dentro de comillas
+ */
+async function* parseCsv(stream: AsyncIterable<Buffer | string>): AsyncGenerator<ParsedRecord> {
+  const decoder = new StringDecoder('utf8');
+  let headers: string[] | null = null;
+  let row = 0;
+  let field = '';
+  let fields: string[] = [];
+  let inQuotes = false;
+  // Comilla leída dentro de un campo entrecomillado: puede cerrar el campo o ser la primera de ""
+  let pendingQuote = false;
+  let atFileStart = true;
+
+  const endRecord = (): ParsedRecord | null => {
+    fields.push(field);
+    const values = fields;
+    field = '';
+    fields = [];
+
+    // Líneas en blanco
+    if (values.length === 1 && values[0]?.trim() === '') {
+      return null;
+    }
+
+    if (!headers) {
+      headers = values.map(header => header.trim());
+      return null;
+    }
+
+    row++;
+    const unsafeHeader = headers.find(header => !isSafeHeader(header));
+    if (unsafeHeader !== undefined) {
+      return { row, error: `Invalid column name: ${unsafeHeader}` };
+    }
+    if (values.length > headers.length) {
+      return { row, error: `Row has ${values.length} columns but the header has ${headers.length}` };
+    }
+    return { row, record: toRecord(headers, values) };
+  };
+
+  const consume = function* (text: string): Generator<ParsedRecord> {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i] as string;
+
+      if (atFileStart) {
+        atFileStart = false;
+        // BOM de UTF-8 (archivos exportados desde Excel)
+        if (char === '\uFEFF') {
+          continue;
+        }
+      }
+
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          pendingQuote = true;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field.trim() === '') {
+        field = '';
+        inQuotes = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        // \r\n cuenta como un único fin de línea
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        const parsed = endRecord();
+        if (parsed) {
+          yield parsed;
+        }
+      } else {
+        field += char;
+      }
+    }
+  };
+
+  for await (const chunk of stream) {
+    yield* consume(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+  }
+  yield* consume(decoder.end());
+
+  if (inQuotes && !pendingQuote) {
+    yield { row: row + 1, error: 'Unterminated quoted field at end of file' };
+    return;
+  }
+  if (field !== '' || fields.length > 0) {
+    const parsed = endRecord();
+    if (parsed) {
+      yield parsed;
+    }
+  }
+}
+
+/**
+ * Parser NDJSON por streaming: un objeto JSON por línea
+ */
+async function* parseNdjson(stream: AsyncIterable<Buffer | string>): AsyncGenerator<ParsedRecord> {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let row = 0;
+
+  const parseLine = (line: string): ParsedRecord | null => {
+    if (line.trim() === '') {
+      return null;
+    }
+    row++;
+    try {
+      const value = JSON.parse(line);
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return { row, error: 'Each line must be a JSON object' };
+      }
+      return { row, record: value };
+    } catch (error) {
+      return { row, error: `Invalid JSON: ${(error as Error).message}` };
+    }
+  };
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    let newline = buffer.indexOf('\n');
+    while (newline !== -1) {
+      const parsed = parseLine(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      if (parsed) {
+        yield parsed;
+      }
+      newline = buffer.indexOf('\n');
+    }
+  }
+
+  const parsed = parseLine(buffer + decoder.end());
+  if (parsed) {
+    yield parsed;
+  }
+}
+
+/**
+ * Lee los registros de un archivo de importación sin cargarlo completo en memoria
+ */
+export const parseImportStream = (
+  stream: AsyncIterable<Buffer | string>,
+  format: ImportFormat
+): AsyncGenerator<ParsedRecord> => (format === 'csv' ? parseCsv(stream) : parseNdjson(stream));
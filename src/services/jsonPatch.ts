@@ -0,0 +1,178 @@
+import { AppError } from '../middleware/errorHandler.js';
+
+// Tipos de contenido soportados por PATCH
+export const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+export const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+export interface JsonPatchOperation {
+  op: 'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test';
+  path: string;
+  value?: any;
+  from?: string;
+}
+
+// Claves que nunca se pueden direccionar (evita prototype pollution)
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const isPlainObject = (value: any): value is Record<string, any> =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = <T>(value: T): T => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+// Igualdad estructural de valores JSON (independiente del orden de las claves)
+export const deepEqual = (a: any, b: any): boolean => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+};
+
+/**
+ * Aplica un JSON Merge Patch (RFC 7386). Devuelve un nuevo objeto sin mutar el original:
+ * null elimina la propiedad, los objetos se fusionan recursivamente y el resto reemplaza.
+ */
+export const applyMergePatch = (target: any, patch: any): any => {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+
+  const result: Record<string, any> = isPlainObject(target) ? clone(target) : {};
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (UNSAFE_KEYS.includes(key)) {
+      throw new AppError(`Invalid patch member '${key}'`, 400);
+    }
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+
+  return result;
+};
+
+// Convierte un JSON Pointer (RFC 6901) en segmentos
+const parsePointer = (pointer: string): string[] => {
+  if (pointer === '') {
+    return [];
+  }
+  if (!pointer.startsWith('/')) {
+    throw new AppError(`Invalid JSON pointer '${pointer}'`, 400);
+  }
+
+  const segments = pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (segments.some(segment => UNSAFE_KEYS.includes(segment))) {
+    throw new AppError(`Invalid JSON pointer '${pointer}'`, 400);
+  }
+  return segments;
+};
+
+// Resuelve el contenedor padre y la clave final de un pointer
+const resolveParent = (document: any, pointer: string): { parent: any; key: string } => {
+  const segments = parsePointer(pointer);
+  if (segments.length === 0) {
+    throw new AppError('Patching the whole document is not supported', 422);
+  }
+
+  const key = segments.pop() as string;
+  let parent = document;
+
+  for (const segment of segments) {
+    const next = Array.isArray(parent) ? parent[Number(segment)] : parent?.[segment];
+    if (next === undefined || next === null || typeof next !== 'object') {
+      throw new AppError(`Path '${pointer}' does not exist`, 422);
+    }
+    parent = next;
+  }
+
+  return { parent, key };
+};
+
+const arrayIndex = (array: any[], key: string, allowEnd: boolean): number => {
+  if (allowEnd && key === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(key)) {
+    throw new AppError(`Invalid array index '${key}'`, 422);
+  }
+
+  const index = Number(key);
+  const max = allowEnd ? array.length : array.length - 1;
+  if (index > max) {
+    throw new AppError(`Array index '${key}' is out of bounds`, 422);
+  }
+  return index;
+};
+
+const getValue = (document: any, pointer: string): any => {
+  const { parent, key } = resolveParent(document, pointer);
+  const value = Array.isArray(parent) ? parent[arrayIndex(parent, key, false)] : parent[key];
+  if (value === undefined) {
+    throw new AppError(`Path '${pointer}' does not exist`, 422);
+  }
+  return value;
+};
+
+const addValue = (document: any, pointer: string, value: any): void => {
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, true), 0, clone(value));
+  } else {
+    parent[key] = clone(value);
+  }
+};
+
+const removeValue = (document: any, pointer: string): any => {
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    return parent.splice(arrayIndex(parent, key, false), 1)[0];
+  }
+  if (!(key in parent)) {
+    throw new AppError(`Path '${pointer}' does not exist`, 422);
+  }
+  const removed = parent[key];
+  delete parent[key];
+  return removed;
+};
+
+/**
+ * Aplica un JSON Patch (RFC 6902) de forma atómica: si una operación falla
+ * no se aplica ninguna. Una operación "test" fallida produce 409.
+ */
+export const applyJsonPatch = (target: any, operations: JsonPatchOperation[]): any => {
+  const document = clone(target);
+
+  for (const operation of operations) {
+    switch (operation.op) {
+      case 'add':
+        addValue(document, operation.path, operation.value);
+        break;
+      case 'remove':
+        removeValue(document, operation.path);
+        break;
+      case 'replace':
+        removeValue(document, operation.path);
+        addValue(document, operation.path, operation.value);
+        break;
+      case 'move': {
+        const value = removeValue(document, operation.from as string);
+        addValue(document, operation.path, value);
+        break;
+      }
+      case 'copy':
+        addValue(document, operation.path, getValue(document, operation.from as string));
+        break;
+      case 'test':
+        if (!deepEqual(getValue(document, operation.path), operation.value)) {
+          throw new AppError(`Test operation failed for path '${operation.path}'`, 409);
+        }
+        break;
+    }
+  }
+
+  return document;
+};
@@ -0,0 +1,338 @@
+import crypto from 'crypto';
+import path from 'path';
+import { Types } from 'mongoose';
+import { Customer, IDENTITY_DOCUMENT_TYPES } from '../models/Customer.js';
+import type { ICustomer, KYCDocument, KYCDocumentType } from '../models/Customer.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getDocumentStorage } from './documentStorage.js';
+import AuditService from './auditService.js';
+import type { AuditEntry } from './auditService.js';
+import type { AuditChange } from '../models/AuditLog.js';
+import type { RequestActor } from '../middleware/requestContext.js';
+import { recordDomainEvent } from './domainEvents.js';
+
+export interface UploadedFile {
+  buffer: Buffer;
+  originalname: string;
+  mimetype: string;
+}
+
+export interface NewDocumentData {
+  type: KYCDocumentType;
+  filename?: string;
+  documentNumber?: string;
+  issuingCountry?: string;
+  expiryDate?: Date;
+}
+
+export interface DocumentReview {
+  decision: 'approve' | 'reject';
+  reason: string;
+}
+
+export interface ReviewQueueQuery {
+  page: number;
+  limit: number;
+  type?: KYCDocumentType;
+}
+
+// Firmas (magic numbers) de los formatos aceptados
+const SIGNATURES: Array<{ contentType: string; extension: string; matches: (buffer: Buffer) => boolean }> = [
+  {
+    contentType: 'application/pdf',
+    extension: 'pdf',
+    matches: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-'
+  },
+  {
+    contentType: 'image/png',
+    extension: 'png',
+    matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    contentType: 'image/jpeg',
+    extension: 'jpg',
+    matches: buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))
+  },
+  {
+    contentType: 'image/webp',
+    extension: 'webp',
+    matches: buffer =>
+      buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+// Tipos declarados por el cliente que no aportan información y se aceptan siempre
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+class KycDocumentService {
+  private static instance: KycDocumentService;
+  private auditService: AuditService;
+
+  private constructor() {
+    this.auditService = AuditService.getInstance();
+  }
+
+  public static getInstance(): KycDocumentService {
+    if (!KycDocumentService.instance) {
+      KycDocumentService.instance = new KycDocumentService();
+    }
+    return KycDocumentService.instance;
+  }
+
+  /**
+   * Detecta el tipo real del archivo a partir de su contenido;
+   * no se confía en la extensión ni en el Content-Type declarado
+   */
+  public sniffContentType(buffer: Buffer): { contentType: string; extension: string } | null {
+    const signature = SIGNATURES.find(candidate => candidate.matches(buffer));
+    return signature ? { contentType: signature.contentType, extension: signature.extension } : null;
+  }
+
+  public checksum(buffer: Buffer): string {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Valida el archivo, lo guarda en el backend de almacenamiento y lo agrega a los documentos del cliente.
+   * Si el cliente no se puede guardar, el archivo se elimina para no dejar huérfanos.
+   * El evento customer.document_added se guarda en el mismo save().
+   */
+  public async addDocument(
+    customer: ICustomer,
+    data: NewDocumentData,
+    file: UploadedFile,
+    actor?: RequestActor
+  ): Promise<KYCDocument> {
+    const detected = this.sniffContentType(file.buffer);
+    if (!detected) {
+      throw new AppError('Unsupported file type. Allowed formats: PDF, PNG, JPEG, WEBP', 415);
+    }
+
+    const declared = file.mimetype.toLowerCase();
+    if (!GENERIC_CONTENT_TYPES.includes(declared) && declared !== detected.contentType) {
+      throw new AppError(`Declared content type ${declared} does not match file contents (${detected.contentType})`, 415);
+    }
+
+    const documentId = new Types.ObjectId();
+    const storageKey = `${customer.id}/${documentId.toHexString()}.${detected.extension}`;
+    const originalName = this.sanitizeFilename(file.originalname) || `${data.type}.${detected.extension}`;
+
+    const storage = getDocumentStorage();
+    await storage.save(storageKey, file.buffer, detected.contentType);
+
+    const document: KYCDocument = {
+      _id: documentId,
+      type: data.type,
+      filename: data.filename || originalName,
+      originalName,
+      contentType: detected.contentType,
+      size: file.buffer.length,
+      checksum: this.checksum(file.buffer),
+      storageKey,
+      ...(data.documentNumber && { documentNumber: data.documentNumber }),
+      ...(data.issuingCountry && { issuingCountry: data.issuingCountry }),
+      ...(data.expiryDate && { expiryDate: data.expiryDate }),
+      uploadDate: new Date(),
+      verified: false,
+      reviewStatus: 'pending'
+    };
+
+    customer.documents.push(document);
+    recordDomainEvent(customer, 'customer.document_added', {
+      documentId: documentId.toHexString(),
+      type: document.type,
+      contentType: document.contentType,
+      ...(document.issuingCountry && { issuingCountry: document.issuingCountry }),
+      ...(document.expiryDate && { expiryDate: document.expiryDate })
+    }, actor);
+
+    try {
+      await customer.save();
+    } catch (error) {
+      await storage.delete(storageKey).catch(cleanupError => {
+        console.error(`❌ Error removing orphaned document ${storageKey}:`, cleanupError);
+      });
+      throw error;
+    }
+
+    return document;
+  }
+
+  /**
+   * Elimina del almacenamiento los archivos de documentos ya quitados del cliente.
+   * Un fallo no revierte la eliminación: el archivo queda huérfano y se registra el error.
+   */
+  public async deleteStoredFiles(documents: Array<Pick<KYCDocument, 'storageKey'>>): Promise<void> {
+    const storage = getDocumentStorage();
+    for (const { storageKey } of documents) {
+      if (storageKey) {
+        await storage.delete(storageKey).catch(error => {
+          console.error(`❌ Error removing stored document ${storageKey}:`, error);
+        });
+      }
+    }
+  }
+
+  /**
+   * Lee el contenido de un documento verificando su integridad (SHA-256)
+   */
+  public async readContent(customer: ICustomer, documentId: string): Promise<{ document: KYCDocument; content: Buffer }> {
+    const document = customer.documents.find(doc => doc._id?.toString() === documentId);
+    if (!document) {
+      throw new AppError('Document not found', 404);
+    }
+
+    if (!document.storageKey) {
+      throw new AppError('No file was uploaded for this document', 404);
+    }
+
+    let content: Buffer;
+    try {
+      content = await getDocumentStorage().read(document.storageKey);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        throw new AppError('Document file not found in storage', 404);
+      }
+      throw error;
+    }
+
+    if (document.checksum && this.checksum(content) !== document.checksum) {
+      console.error(`❌ Checksum mismatch for document ${documentId} of customer ${customer._id}`);
+      throw new AppError('Document integrity check failed', 500);
+    }
+
+    return { document, content };
+  }
+
+  /**
+   * Aprueba o rechaza un documento pendiente. Al aprobar un documento de identidad
+   * el cliente pasa a identityVerified.
+   */
+  public async reviewDocument(
+    customer: ICustomer,
+    documentId: string,
+    review: DocumentReview,
+    context: Pick<AuditEntry, 'actor' | 'route' | 'source'>
+  ): Promise<KYCDocument> {
+    const document = customer.documents.find(doc => doc._id?.toString() === documentId);
+    if (!document) {
+      throw new AppError('Document not found', 404);
+    }
+
+    if (document.reviewStatus && document.reviewStatus !== 'pending') {
+      throw new AppError(`Document has already been ${document.reviewStatus}`, 409);
+    }
+
+    const now = new Date();
+    const approved = review.decision === 'approve';
+    const previousIdentityVerified = customer.identityVerified;
+
+    document.reviewStatus = approved ? 'approved' : 'rejected';
+    document.reviewReason = review.reason;
+    document.reviewedBy = context.actor.id;
+    document.reviewedAt = now;
+    document.verified = approved;
+    if (approved) {
+      document.verifiedBy = context.actor.id;
+      document.verifiedAt = now;
+    }
+
+    customer.identityVerified = this.hasValidIdentityDocument(customer);
+    recordDomainEvent(customer, 'customer.document_reviewed', {
+      documentId,
+      type: document.type,
+      decision: review.decision,
+      identityVerified: customer.identityVerified
+    }, context.actor);
+    await customer.save();
+
+    const changes: AuditChange[] = [
+      { field: `documents.${documentId}.reviewStatus`, from: 'pending', to: document.reviewStatus }
+    ];
+    if (previousIdentityVerified !== customer.identityVerified) {
+      changes.push({ field: 'identityVerified', from: previousIdentityVerified, to: customer.identityVerified });
+    }
+
+    await this.auditService.record({
+      customerId: customer.id,
+      action: 'document_reviewed',
+      changes,
+      reason: review.reason,
+      ...context
+    });
+
+    return document;
+  }
+
+  /**
+   * Un cliente tiene la identidad verificada si al menos un documento de identidad
+   * está aprobado y no ha vencido
+   */
+  public hasValidIdentityDocument(customer: ICustomer, now: Date = new Date()): boolean {
+    return customer.documents.some(doc =>
+      IDENTITY_DOCUMENT_TYPES.includes(doc.type) &&
+      doc.reviewStatus === 'approved' &&
+      (!doc.expiryDate || doc.expiryDate.getTime() > now.getTime())
+    );
+  }
+
+  /**
+   * Cola de revisión: documentos pendientes de todos los clientes, los más antiguos primero
+   */
+  public async getReviewQueue(query: ReviewQueueQuery): Promise<{ items: any[]; totalCount: number }> {
+    // Los documentos anteriores al flujo de revisión no tienen reviewStatus: se consideran pendientes si no están verificados
+    const documentFilter: Record<string, any> = {
+      'documents.reviewStatus': { $in: ['pending', null] },
+      'documents.verified': { $ne: true }
+    };
+    if (query.type) {
+      documentFilter['documents.type'] = query.type;
+    }
+
+    const [result] = await Customer.aggregate([
+      { $match: documentFilter },
+      { $unwind: '$documents' },
+      { $match: documentFilter },
+      { $sort: { 'documents.uploadDate': 1, _id: 1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: (query.page - 1) * query.limit },
+            { $limit: query.limit },
+            {
+              $project: {
+                _id: 0,
+                customerId: '$_id',
+                customerName: { $concat: ['$firstName', ' ', '$lastName'] },
+                customerStatus: '$status',
+                document: {
+                  id: '$documents._id',
+                  type: '$documents.type',
+                  filename: '$documents.filename',
+                  contentType: '$documents.contentType',
+                  size: '$documents.size',
+                  uploadDate: '$documents.uploadDate'
+                }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    return {
+      items: result?.items || [],
+      totalCount: result?.total[0]?.count || 0
+    };
+  }
+
+  private sanitizeFilename(filename: string): string {
+    return path.basename(filename || '')
+      .replace(/[^\w.\- ]/g, '_')
+      .trim()
+      .slice(0, 255);
+  }
+}
+
+export default KycDocumentService;
@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import type { ICustomer } from '../models/Customer.js';
+import { PhoneVerification } from '../models/PhoneVerification.js';
+import type { IPhoneVerification } from '../models/PhoneVerification.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getSmsTransport } from './smsTransport.js';
+import AuditService from './auditService.js';
+import type { AuditEntry } from './auditService.js';
+import { recordDomainEvent } from './domainEvents.js';
+
+dotenv.config();
+
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+
+class PhoneVerificationService {
+  private static instance: PhoneVerificationService;
+  private secret: string;
+  private codeLength: number;
+  private ttlSeconds: number;
+  private maxAttempts: number;
+  private resendCooldownSeconds: number;
+  private maxSendsPerHour: number;
+  private lockoutMinutes: number;
+  private auditService: AuditService;
+
+  private constructor() {
+    this.secret = process.env.PHONE_OTP_SECRET || process.env.JWT_SECRET || 'dev-phone-otp-secret';
+    this.codeLength = parseInt(process.env.PHONE_OTP_LENGTH || '6');
+    this.ttlSeconds = parseInt(process.env.PHONE_OTP_TTL_SECONDS || '300');
+    this.maxAttempts = parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS || '5');
+    this.resendCooldownSeconds = parseInt(process.env.PHONE_OTP_RESEND_COOLDOWN_SECONDS || '60');
+    this.maxSendsPerHour = parseInt(process.env.PHONE_OTP_MAX_SENDS_PER_HOUR || '5');
+    this.lockoutMinutes = parseInt(process.env.PHONE_OTP_LOCKOUT_MINUTES || '15');
+    this.auditService = AuditService.getInstance();
+  }
+
+  public static getInstance(): PhoneVerificationService {
+    if (!PhoneVerificationService.instance) {
+      PhoneVerificationService.instance = new PhoneVerificationService();
+    }
+    return PhoneVerificationService.instance;
+  }
+
+  /**
+   * Genera y envía un código OTP al teléfono actual del cliente.
+   * Aplica cooldown entre reenvíos, un máximo de envíos por hora y respeta el bloqueo vigente.
+   * El envío se reserva de forma atómica: las peticiones simultáneas no pueden saltarse los límites.
+   */
+  public async requestCode(customer: ICustomer): Promise<{ expiresAt: Date; resendAvailableAt: Date }> {
+    if (customer.phoneVerified) {
+      throw new AppError('Phone number is already verified', 409);
+    }
+
+    const now = new Date();
+    const code = crypto.randomInt(0, 10 ** this.codeLength).toString().padStart(this.codeLength, '0');
+    const expiresAt = new Date(now.getTime() + this.ttlSeconds * 1000);
+
+    await this.ensureVerification(customer);
+
+    // Sin bloqueo vigente y fuera del cooldown (que solo aplica al mismo teléfono)
+    const available = {
+      customerId: customer._id,
+      $and: [
+        { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+        {
+          $or: [
+            { lastSentAt: null },
+            { lastSentAt: { $lte: new Date(now.getTime() - this.resendCooldownSeconds * 1000) } },
+            { phone: { $ne: customer.phone } }
+          ]
+        }
+      ]
+    };
+    const newCode = {
+      phone: customer.phone,
+      codeHash: this.hash(customer.id, customer.phone, code),
+      expiresAt,
+      attempts: 0,
+      lastSentAt: now
+    };
+    const windowStart = new Date(now.getTime() - SEND_WINDOW_MS);
+
+    // Ventana de envíos vencida: empieza una nueva; si no, cuenta el envío mientras quede cupo
+    const reserved = await PhoneVerification.findOneAndUpdate(
+      { ...available, $or: [{ sendWindowStart: null }, { sendWindowStart: { $lt: windowStart } }] },
+      { $set: { ...newCode, sendWindowStart: now, sendCount: 1 } }
+    ) || await PhoneVerification.findOneAndUpdate(
+      { ...available, sendWindowStart: { $gte: windowStart }, sendCount: { $lt: this.maxSendsPerHour } },
+      { $set: newCode, $inc: { sendCount: 1 } }
+    );
+
+    if (!reserved) {
+      return this.rejectSend(customer, now);
+    }
+
+    await getSmsTransport().send({
+      to: customer.phone,
+      text: `Tu código de verificación es ${code}. Expira en ${Math.round(this.ttlSeconds / 60)} minutos.`
+    });
+
+    return {
+      expiresAt,
+      resendAvailableAt: new Date(now.getTime() + this.resendCooldownSeconds * 1000)
+    };
+  }
+
+  /**
+   * Verifica el código OTP. Cada intento cuenta y se descuenta de forma atómica antes de comparar el código,
+   * así las peticiones concurrentes no pueden superar el máximo. Al agotar los intentos el código se invalida
+   * y el cliente queda bloqueado temporalmente.
+   */
+  public async verifyCode(
+    customer: ICustomer,
+    code: string,
+    context: Pick<AuditEntry, 'actor' | 'route' | 'source'>
+  ): Promise<ICustomer> {
+    const now = new Date();
+    const verification = await PhoneVerification.findOneAndUpdate(
+      {
+        customerId: customer._id,
+        phone: customer.phone,
+        codeHash: { $exists: true },
+        expiresAt: { $gte: now },
+        attempts: { $lt: this.maxAttempts },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!verification) {
+      return this.rejectAttempt(customer, now);
+    }
+
+    const codeHash = verification.codeHash as string;
+    const expected = Buffer.from(codeHash);
+    const received = Buffer.from(this.hash(customer.id, customer.phone, code));
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+      const remaining = this.maxAttempts - verification.attempts;
+
+      if (remaining <= 0) {
+        await PhoneVerification.updateOne(
+          { _id: verification._id, codeHash },
+          {
+            $unset: { codeHash: 1, expiresAt: 1 },
+            $set: { attempts: 0, lockedUntil: new Date(now.getTime() + this.lockoutMinutes * 60 * 1000) }
+          }
+        );
+        throw new AppError(`Too many failed attempts. Phone verification locked for ${this.lockoutMinutes} minutes`, 423);
+      }
+
+      throw new AppError(`Invalid verification code. ${remaining} attempts remaining`, 400);
+    }
+
+    // Solo una petición consume el código
+    const consumed = await PhoneVerification.updateOne(
+      { _id: verification._id, codeHash },
+      { $unset: { codeHash: 1, expiresAt: 1 }, $set: { attempts: 0, verifiedAt: now, sendCount: 0 } }
+    );
+    if (consumed.modifiedCount === 0) {
+      throw new AppError('No active verification code. Request a new one', 400);
+    }
+
+    if (!customer.phoneVerified) {
+      customer.phoneVerified = true;
+      recordDomainEvent(customer, 'customer.contact_verified', { channel: 'phone' }, context.actor);
+      await customer.save();
+
+      await this.auditService.record({
+        customerId: customer.id,
+        action: 'update',
+        changes: [{ field: 'phoneVerified', from: false, to: true }],
+        ...context
+      });
+    }
+
+    return customer;
+  }
+
+  /**
+   * Invalida cualquier código pendiente (p.ej. tras un cambio de teléfono)
+   */
+  public async invalidate(customerId: string): Promise<void> {
+    await PhoneVerification.updateOne(
+      { customerId },
+      { $unset: { codeHash: 1, expiresAt: 1, lastSentAt: 1, verifiedAt: 1 }, $set: { attempts: 0 } }
+    );
+  }
+
+  /**
+   * Crea el estado de verificación del cliente si aún no existe. Dos primeras peticiones simultáneas
+   * chocan en el índice único (11000): la segunda encuentra el documento de la primera.
+   */
+  private async ensureVerification(customer: ICustomer): Promise<void> {
+    const upsert = () => PhoneVerification.updateOne(
+      { customerId: customer._id },
+      { $setOnInsert: { customerId: customer._id, phone: customer.phone } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+    try {
+      await upsert();
+    } catch (error) {
+      if ((error as { code?: number }).code !== 11000) {
+        throw error;
+      }
+      await upsert();
+    }
+  }
+
+  /**
+   * Motivo por el que no se pudo reservar un envío: bloqueo, cooldown o envíos agotados (que bloquean)
+   */
+  private async rejectSend(customer: ICustomer, now: Date): Promise<never> {
+    const verification = await PhoneVerification.findOne({ customerId: customer._id });
+    if (!verification) {
+      throw new AppError('No verification could be started. Try again', 409);
+    }
+
+    this.assertNotLocked(verification, now);
+
+    if (verification.lastSentAt && verification.phone === customer.phone) {
+      const resendAt = verification.lastSentAt.getTime() + this.resendCooldownSeconds * 1000;
+      if (resendAt > now.getTime()) {
+        const waitSeconds = Math.ceil((resendAt - now.getTime()) / 1000);
+        throw new AppError(`Please wait ${waitSeconds} seconds before requesting a new code`, 429);
+      }
+    }
+
+    const windowStart = now.getTime() - SEND_WINDOW_MS;
+    const limitReached = verification.sendCount >= this.maxSendsPerHour &&
+      !!verification.sendWindowStart && verification.sendWindowStart.getTime() >= windowStart;
+    if (!limitReached) {
+      // Otra petición reservó el envío entre la comprobación y la lectura
+      throw new AppError('A verification code is already being sent. Try again shortly', 429);
+    }
+
+    await PhoneVerification.updateOne(
+      { _id: verification._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil: new Date(now.getTime() + this.lockoutMinutes * 60 * 1000) } }
+    );
+    throw new AppError(`Too many verification codes requested. Try again in ${this.lockoutMinutes} minutes`, 429);
+  }
+
+  /**
+   * Motivo por el que no se pudo descontar un intento: bloqueo, código inexistente, caducado o agotado
+   */
+  private async rejectAttempt(customer: ICustomer, now: Date): Promise<never> {
+    const verification = await PhoneVerification.findOne({ customerId: customer._id });
+
+    if (verification) {
+      this.assertNotLocked(verification, now);
+    }
+
+    if (!verification || !verification.codeHash || !verification.expiresAt || verification.phone !== customer.phone) {
+      throw new AppError('No active verification code. Request a new one', 400);
+    }
+
+    if (verification.expiresAt.getTime() < now.getTime()) {
+      throw new AppError('Verification code has expired. Request a new one', 400);
+    }
+
+    throw new AppError(`Too many failed attempts. Phone verification locked for ${this.lockoutMinutes} minutes`, 423);
+  }
+
+  private assertNotLocked(verification: IPhoneVerification, now: Date): void {
+    if (verification.lockedUntil && verification.lockedUntil.getTime() > now.getTime()) {
+      const minutes = Math.ceil((verification.lockedUntil.getTime() - now.getTime()) / 60000);
+      throw new AppError(`Phone verification is locked. Try again in ${minutes} minutes`, 423);
+    }
+  }
+
+  // El código se guarda como HMAC ligado al cliente y al teléfono
+  private hash(customerId: string, phone: string, code: string): string {
+    return crypto.createHmac('sha256', this.secret).update(`${customerId}:${phone}:${code}`).digest('hex');
+  }
+}
+
+export default PhoneVerificationService;
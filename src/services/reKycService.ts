@@ -0,0 +1,238 @@
+import dotenv from 'dotenv';
+import { Customer, IDENTITY_DOCUMENT_TYPES } from '../models/Customer.js';
+import type { ICustomer, KYCDocument, ReKycState } from '../models/Customer.js';
+import type { AuditChange } from '../models/AuditLog.js';
+import { systemActor } from '../middleware/requestContext.js';
+import AuditService from './auditService.js';
+import { recordDomainEvent } from './domainEvents.js';
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Categorías de documentos cuyo vencimiento obliga a repetir el KYC
+const REKYC_CATEGORIES: Array<{ name: string; matches: (doc: KYCDocument) => boolean }> = [
+  { name: 'identity', matches: doc => IDENTITY_DOCUMENT_TYPES.includes(doc.type) },
+  { name: 'address_proof', matches: doc => doc.type === 'address_proof' }
+];
+
+export interface ReKycAssessment {
+  status: 'ok' | 'expiring' | 'expired';
+  dueDate?: Date;
+  reasons: string[];
+  expiredCategories: string[];
+}
+
+export interface ReKycSweepResult {
+  evaluated: number;
+  flagged: number;
+  cleared: number;
+  movedToReview: number;
+}
+
+export interface ReKycDueQuery {
+  status?: 'expired' | 'expiring';
+  page: number;
+  limit: number;
+}
+
+class ReKycService {
+  private static instance: ReKycService;
+  private warningDays: number;
+  private moveToUnderReview: boolean;
+  private auditService: AuditService;
+
+  private constructor() {
+    this.warningDays = parseInt(process.env.REKYC_WARNING_DAYS || '30');
+    this.moveToUnderReview = process.env.REKYC_SET_UNDER_REVIEW === 'true';
+    this.auditService = AuditService.getInstance();
+  }
+
+  public static getInstance(): ReKycService {
+    if (!ReKycService.instance) {
+      ReKycService.instance = new ReKycService();
+    }
+    return ReKycService.instance;
+  }
+
+  /**
+   * Evalúa los documentos de un cliente. Por cada categoría (identidad, comprobante de domicilio)
+   * cuenta el documento vigente que vence más tarde; las categorías sin fechas de vencimiento se ignoran.
+   */
+  public assess(customer: ICustomer, now: Date = new Date()): ReKycAssessment {
+    const warningLimit = now.getTime() + this.warningDays * DAY_MS;
+    const reasons: string[] = [];
+    const expiredCategories: string[] = [];
+    let dueDate: Date | undefined;
+
+    for (const category of REKYC_CATEGORIES) {
+      const expiries = customer.documents
+        .filter(doc => category.matches(doc) && doc.reviewStatus !== 'rejected' && doc.expiryDate)
+        .map(doc => (doc.expiryDate as Date).getTime());
+
+      if (expiries.length === 0) {
+        continue;
+      }
+
+      const latestExpiry = Math.max(...expiries);
+      if (latestExpiry <= warningLimit) {
+        const isExpired = latestExpiry <= now.getTime();
+        if (isExpired) {
+          expiredCategories.push(category.name);
+        }
+        reasons.push(`${category.name} document ${isExpired ? 'expired' : 'expires'} on ${new Date(latestExpiry).toISOString().slice(0, 10)}`);
+
+        if (!dueDate || latestExpiry < dueDate.getTime()) {
+          dueDate = new Date(latestExpiry);
+        }
+      }
+    }
+
+    if (!dueDate) {
+      return { status: 'ok', reasons, expiredCategories };
+    }
+
+    return { status: expiredCategories.length > 0 ? 'expired' : 'expiring', dueDate, reasons, expiredCategories };
+  }
+
+  /**
+   * Recorre los clientes con documentos vencidos o por vencer (y los marcados previamente),
+   * actualiza su estado de re-KYC y, si está configurado, devuelve el compliance a revisión.
+   */
+  public async runSweep(now: Date = new Date()): Promise<ReKycSweepResult> {
+    const result: ReKycSweepResult = { evaluated: 0, flagged: 0, cleared: 0, movedToReview: 0 };
+    const warningLimit = new Date(now.getTime() + this.warningDays * DAY_MS);
+
+    const cursor = Customer.find({
+      status: { $ne: 'inactive' },
+      $or: [
+        { 'documents.expiryDate': { $lte: warningLimit } },
+        { 'reKyc.required': true }
+      ]
+    }).cursor();
+
+    for await (const customer of cursor) {
+      result.evaluated++;
+      try {
+        const outcome = await this.applyAssessment(customer, this.assess(customer, now), now);
+        if (outcome === 'flagged') result.flagged++;
+        if (outcome === 'cleared') result.cleared++;
+        if (outcome === 'movedToReview') {
+          result.flagged++;
+          result.movedToReview++;
+        }
+      } catch (error) {
+        // Un cliente con error (p.ej. conflicto de versión) se reintenta en la próxima ejecución
+        console.error(`❌ Re-KYC evaluation failed for customer ${customer._id}:`, error);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Clientes marcados para re-KYC, ordenados por fecha de vencimiento
+   */
+  public async listDue(query: ReKycDueQuery): Promise<{ customers: ICustomer[]; totalCount: number }> {
+    const filter: Record<string, any> = { 'reKyc.required': true };
+    if (query.status) {
+      filter['reKyc.status'] = query.status;
+    }
+
+    const [totalCount, customers] = await Promise.all([
+      Customer.countDocuments(filter),
+      Customer.find(filter)
+        .select('firstName lastName email status complianceStatus identityVerified reKyc documents.type documents.expiryDate documents.reviewStatus')
+        .sort({ 'reKyc.dueDate': 1, _id: 1 })
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit)
+    ]);
+
+    return { customers, totalCount };
+  }
+
+  private async applyAssessment(
+    customer: ICustomer,
+    assessment: ReKycAssessment,
+    now: Date
+  ): Promise<'flagged' | 'cleared' | 'movedToReview' | 'unchanged'> {
+    const before = {
+      reKyc: customer.reKyc ? this.plain(customer.reKyc) : null,
+      identityVerified: customer.identityVerified,
+      complianceStatus: customer.complianceStatus
+    };
+    let outcome: 'flagged' | 'cleared' | 'movedToReview' | 'unchanged' = 'unchanged';
+
+    if (assessment.status === 'ok') {
+      if (!customer.reKyc?.required) {
+        return 'unchanged';
+      }
+      customer.set('reKyc', undefined);
+      outcome = 'cleared';
+    } else {
+      const unchanged = customer.reKyc?.required &&
+        customer.reKyc.status === assessment.status &&
+        customer.reKyc.dueDate?.getTime() === assessment.dueDate?.getTime();
+      if (unchanged) {
+        return 'unchanged';
+      }
+
+      customer.reKyc = {
+        required: true,
+        status: assessment.status,
+        dueDate: assessment.dueDate as Date,
+        reasons: assessment.reasons,
+        flaggedAt: customer.reKyc?.flaggedAt || now
+      };
+      outcome = 'flagged';
+
+      if (assessment.status === 'expired') {
+        // Un documento de identidad vencido deja de acreditar la identidad
+        if (customer.identityVerified && assessment.expiredCategories.includes('identity')) {
+          customer.identityVerified = false;
+        }
+
+        if (this.moveToUnderReview && customer.complianceStatus === 'approved') {
+          customer.complianceStatus = 'under_review';
+          customer.complianceNotes = `Re-KYC required: ${assessment.reasons.join('; ')}`;
+          recordDomainEvent(customer, 'customer.compliance_changed', {
+            from: { complianceStatus: 'approved', riskScore: customer.riskScore ?? null },
+            to: { complianceStatus: 'under_review', riskScore: customer.riskScore ?? null },
+            reason: customer.complianceNotes
+          }, systemActor('rekyc-job'));
+          outcome = 'movedToReview';
+        }
+      }
+    }
+
+    await customer.save();
+
+    const changes: AuditChange[] = this.auditService.diff(before, {
+      reKyc: customer.reKyc ? this.plain(customer.reKyc) : null,
+      identityVerified: customer.identityVerified,
+      complianceStatus: customer.complianceStatus
+    });
+
+    await this.auditService.record({
+      customerId: customer.id,
+      action: 'update',
+      changes,
+      reason: assessment.reasons.join('; ') || 'Documents renewed',
+      actor: systemActor('rekyc-job'),
+      source: 'system'
+    });
+
+    return outcome;
+  }
+
+  private plain(state: ReKycState): Record<string, any> {
+    return {
+      required: state.required,
+      status: state.status,
+      dueDate: state.dueDate,
+      reasons: [...(state.reasons || [])]
+    };
+  }
+}
+
+export default ReKycService;
@@ -0,0 +1,217 @@
+// Primitivas de resiliencia para llamadas a otros microservicios:
+// circuit breaker, bulkhead (límite de concurrencia) y reintentos con backoff y jitter
+
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+export interface CircuitBreakerOptions {
+  // Fallos consecutivos que abren el circuito
+  failureThreshold: number;
+  // Tiempo que el circuito permanece abierto antes de dejar pasar una llamada de prueba
+  resetTimeoutMs: number;
+  // Decide si un error cuenta como fallo de la dependencia (p.ej. un 404 no lo es)
+  isFailure?: (error: unknown) => boolean;
+}
+
+export interface CircuitBreakerSnapshot {
+  name: string;
+  state: CircuitState;
+  consecutiveFailures: number;
+  openedAt?: string;
+  retryAt?: string;
+  lastError?: string;
+}
+
+export interface RetryOptions {
+  // Reintentos adicionales al primer intento
+  retries: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+  shouldRetry?: (error: unknown) => boolean;
+}
+
+/**
+ * El circuito está abierto: la llamada se rechaza sin contactar a la dependencia
+ */
+export class CircuitOpenError extends Error {
+  dependency: string;
+
+  constructor(dependency: string) {
+    super(`Circuit breaker for ${dependency} is open`);
+    this.name = 'CircuitOpenError';
+    this.dependency = dependency;
+  }
+}
+
+/**
+ * Se alcanzó el límite de llamadas concurrentes y en espera para la dependencia
+ */
+export class BulkheadRejectedError extends Error {
+  dependency: string;
+
+  constructor(dependency: string) {
+    super(`Too many concurrent requests to ${dependency}`);
+    this.name = 'BulkheadRejectedError';
+    this.dependency = dependency;
+  }
+}
+
+export class CircuitBreaker {
+  name: string;
+  private options: CircuitBreakerOptions;
+  private state: CircuitState = 'closed';
+  private consecutiveFailures = 0;
+  private openedAt?: number;
+  private lastError?: string;
+  private probeInFlight = false;
+
+  constructor(name: string, options: CircuitBreakerOptions) {
+    this.name = name;
+    this.options = options;
+  }
+
+  public async execute<T>(fn: () => Promise<T>): Promise<T> {
+    this.beforeCall();
+
+    const isProbe = this.state === 'half_open';
+    if (isProbe) {
+      this.probeInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.options.isFailure ? this.options.isFailure(error) : true) {
+        this.onFailure(error);
+      } else {
+        // La dependencia respondió (p.ej. 4xx): está disponible
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (isProbe) {
+        this.probeInFlight = false;
+      }
+    }
+  }
+
+  public getState(): CircuitState {
+    // Un circuito abierto pasa a half_open cuando vence el tiempo de espera
+    if (this.state === 'open' && Date.now() - (this.openedAt || 0) >= this.options.resetTimeoutMs) {
+      this.state = 'half_open';
+    }
+    return this.state;
+  }
+
+  public getSnapshot(): CircuitBreakerSnapshot {
+    const state = this.getState();
+    return {
+      name: this.name,
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      ...(this.openedAt && state !== 'closed' && {
+        openedAt: new Date(this.openedAt).toISOString(),
+        retryAt: new Date(this.openedAt + this.options.resetTimeoutMs).toISOString()
+      }),
+      ...(this.lastError && { lastError: this.lastError })
+    };
+  }
+
+  private beforeCall(): void {
+    const state = this.getState();
+    // En half_open solo se permite una llamada de prueba a la vez
+    if (state === 'open' || (state === 'half_open' && this.probeInFlight)) {
+      throw new CircuitOpenError(this.name);
+    }
+  }
+
+  private onSuccess(): void {
+    if (this.state !== 'closed') {
+      console.log(`🟢 Circuit breaker ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    delete this.openedAt;
+  }
+
+  private onFailure(error: unknown): void {
+    this.consecutiveFailures++;
+    this.lastError = error instanceof Error ? error.message : String(error);
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.options.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`🔴 Circuit breaker ${this.name} opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+export class Bulkhead {
+  name: string;
+  private maxConcurrent: number;
+  private maxQueued: number;
+  private active = 0;
+  private waiting: Array<() => void> = [];
+
+  constructor(name: string, maxConcurrent: number, maxQueued: number) {
+    this.name = name;
+    this.maxConcurrent = maxConcurrent;
+    this.maxQueued = maxQueued;
+  }
+
+  public async execute<T>(fn: () => Promise<T>): Promise<T> {
+    if (this.active >= this.maxConcurrent) {
+      if (this.waiting.length >= this.maxQueued) {
+        throw new BulkheadRejectedError(this.name);
+      }
+      await new Promise<void>(resolve => this.waiting.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await fn();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        // El hueco se traspasa directamente a la siguiente llamada en espera
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  public getSnapshot(): { active: number; queued: number; maxConcurrent: number; maxQueued: number } {
+    return {
+      active: this.active,
+      queued: this.waiting.length,
+      maxConcurrent: this.maxConcurrent,
+      maxQueued: this.maxQueued
+    };
+  }
+}
+
+const sleep = (ms: number): Promise<void> => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reintenta con backoff exponencial y "full jitter" (espera aleatoria entre 0 y base * 2^intento).
+ * Usar solo con operaciones idempotentes.
+ */
+export const retryWithBackoff = async <T>(fn: () => Promise<T>, options: RetryOptions): Promise<T> => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const canRetry = attempt < options.retries && (options.shouldRetry ? options.shouldRetry(error) : true);
+      if (!canRetry) {
+        throw error;
+      }
+      const ceiling = Math.min(options.baseDelayMs * 2 ** attempt, options.maxDelayMs);
+      await sleep(Math.random() * ceiling);
+    }
+  }
+};
@@ -0,0 +1,123 @@
+import { normalizeText } from './duplicateMatching.js';
+
+// Campos del cliente que entran en la búsqueda de texto
+export const SEARCHABLE_FIELDS = ['firstName', 'lastName', 'email', 'nationalId', 'phone'] as const;
+export type SearchableField = typeof SEARCHABLE_FIELDS[number];
+
+// Longitud de los prefijos guardados para la búsqueda mientras se escribe
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 15;
+
+// Máximo de palabras de la consulta que se tienen en cuenta
+const MAX_QUERY_TERMS = 10;
+
+const tokenize = (value: string | undefined): string[] => normalizeText(value).split(' ').filter(Boolean);
+
+/**
+ * Términos normalizados (sin tildes, en minúsculas) y sus prefijos; se guardan en el cliente
+ * y forman parte del índice de texto para que "jos" encuentre "José"
+ */
+export const computeSearchTerms = (customer: Partial<Record<SearchableField, string>>): string[] => {
+  const tokens = new Set<string>();
+  for (const field of SEARCHABLE_FIELDS) {
+    tokenize(customer[field]).forEach(token => tokens.add(token));
+  }
+
+  // El teléfono también se indexa como un único número ("+57 300 123 4567" → "573001234567")
+  const phoneDigits = (customer.phone || '').replace(/\D/g, '');
+  if (phoneDigits) {
+    tokens.add(phoneDigits);
+    tokens.add(phoneDigits.slice(-10));
+  }
+
+  const terms = new Set<string>(tokens);
+  for (const token of tokens) {
+    for (let length = MIN_PREFIX_LENGTH; length < Math.min(token.length, MAX_PREFIX_LENGTH + 1); length++) {
+      terms.add(token.slice(0, length));
+    }
+  }
+  return [...terms];
+};
+
+/**
+ * Palabras normalizadas de la consulta; al quedar solo letras y dígitos no pueden alterar la sintaxis de $text.
+ * Las palabras largas se recortan a la longitud máxima de prefijo guardada.
+ */
+export const searchQueryTerms = (q: string): string[] =>
+  [...new Set(tokenize(q).map(term => term.slice(0, MAX_PREFIX_LENGTH)))].slice(0, MAX_QUERY_TERMS);
+
+const escapeHtml = (value: string): string =>
+  value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+/**
+ * Marca con <em> las palabras del valor que empiezan por algún término de la consulta,
+ * sin distinguir tildes ni mayúsculas. El resto del texto se escapa como HTML.
+ * Devuelve null si no hay coincidencias.
+ */
+export const highlightMatches = (value: string | undefined, terms: string[]): string | null => {
+  if (!value || terms.length === 0) {
+    return null;
+  }
+
+  // Texto normalizado carácter a carácter, con la posición original de cada carácter
+  let normalized = '';
+  const origin: number[] = [];
+  for (let i = 0; i < value.length; i++) {
+    const char = (value[i] as string).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (const normalizedChar of char) {
+      normalized += normalizedChar;
+      origin.push(i);
+    }
+  }
+
+  const marked = new Array<boolean>(value.length).fill(false);
+  let found = false;
+  for (const term of terms) {
+    let from = normalized.indexOf(term);
+    while (from !== -1) {
+      const atWordStart = from === 0 || !/[a-z0-9]/.test(normalized[from - 1] as string);
+      if (atWordStart) {
+        for (let k = from; k < from + term.length; k++) {
+          marked[origin[k] as number] = true;
+        }
+        found = true;
+      }
+      from = normalized.indexOf(term, from + 1);
+    }
+  }
+
+  if (!found) {
+    return null;
+  }
+
+  let result = '';
+  let open = false;
+  for (let i = 0; i < value.length; i++) {
+    if (marked[i] && !open) {
+      result += '<em>';
+      open = true;
+    } else if (!marked[i] && open) {
+      result += '</em>';
+      open = false;
+    }
+    result += escapeHtml(value[i] as string);
+  }
+  return open ? `${result}</em>` : result;
+};
+
+/**
+ * Campos buscables con las coincidencias marcadas
+ */
+export const buildHighlights = (
+  customer: Partial<Record<SearchableField, string>>,
+  terms: string[]
+): Partial<Record<SearchableField, string>> => {
+  const highlights: Partial<Record<SearchableField, string>> = {};
+  for (const field of SEARCHABLE_FIELDS) {
+    const highlighted = highlightMatches(customer[field], terms);
+    if (highlighted !== null) {
+      highlights[field] = highlighted;
+    }
+  }
+  return highlights;
+};
@@ -0,0 +1,62 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export interface SmsMessage {
+  to: string;
+  text: string;
+}
+
+// Contrato para el envío de SMS; permite conectar un proveedor real sin tocar los servicios
+export interface SmsTransport {
+  readonly name: string;
+  send(message: SmsMessage): Promise<void>;
+}
+
+/**
+ * Transporte para desarrollo: imprime el SMS en consola
+ */
+export class ConsoleSmsTransport implements SmsTransport {
+  public readonly name = 'console';
+
+  public async send(message: SmsMessage): Promise<void> {
+    console.log(`📱 [sms] To: ${message.to} | ${message.text}`);
+  }
+}
+
+/**
+ * Transporte para testing: conserva en memoria los mensajes enviados
+ */
+export class MemorySmsTransport implements SmsTransport {
+  public readonly name = 'memory';
+  public readonly sent: Array<SmsMessage & { sentAt: Date }> = [];
+
+  public async send(message: SmsMessage): Promise<void> {
+    this.sent.push({ ...message, sentAt: new Date() });
+  }
+
+  public lastMessageTo(phone: string): SmsMessage | undefined {
+    return [...this.sent].reverse().find(message => message.to === phone);
+  }
+}
+
+let transport: SmsTransport | null = null;
+
+/**
+ * Transporte configurado por SMS_TRANSPORT (console | memory)
+ */
+export const getSmsTransport = (): SmsTransport => {
+  if (!transport) {
+    transport = process.env.SMS_TRANSPORT === 'memory'
+      ? new MemorySmsTransport()
+      : new ConsoleSmsTransport();
+  }
+  return transport;
+};
+
+/**
+ * Reemplaza el transporte (proveedor real o doble de pruebas)
+ */
+export const setSmsTransport = (customTransport: SmsTransport): void => {
+  transport = customTransport;
+};
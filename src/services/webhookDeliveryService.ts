@@ -0,0 +1,365 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import type { IWebhookSubscription } from '../models/WebhookSubscription.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import type { IWebhookDelivery, WebhookDeliveryAttempt, WebhookDeliveryStatus } from '../models/WebhookDelivery.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { signPayload } from '../middleware/webhookSignature.js';
+import type { DomainEvent } from './domainEvents.js';
+import type { EventSink } from './eventSinks.js';
+import { assertPublicHost, publicOnlyLookup } from './webhookTargets.js';
+
+dotenv.config();
+
+export interface WebhookDeliveryQuery {
+  status?: WebhookDeliveryStatus;
+  eventType?: string;
+  page: number;
+  limit: number;
+}
+
+export interface WebhookDeliveryRunResult {
+  processed: number;
+  succeeded: number;
+  retried: number;
+  failed: number;
+}
+
+// Intentos que se conservan en el registro de cada entrega
+const ATTEMPT_LOG_SIZE = 20;
+// Longitud máxima del error guardado por intento
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Entrega los eventos de dominio a las suscripciones de webhooks.
+ * Cada evento genera una entrega por suscripción, con reintentos independientes (backoff exponencial);
+ * las suscripciones que fallan de forma repetida se desactivan automáticamente.
+ */
+class WebhookDeliveryService {
+  private static instance: WebhookDeliveryService;
+  private maxAttempts: number;
+  private baseDelayMs: number;
+  private maxDelayMs: number;
+  private leaseMs: number;
+  private batchSize: number;
+  private timeoutMs: number;
+  private disableAfterFailures: number;
+  private allowPrivateNetworks: boolean;
+
+  private constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+    this.baseDelayMs = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_SECONDS || '30') * 1000;
+    this.maxDelayMs = parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_SECONDS || '3600') * 1000;
+    this.leaseMs = 2 * 60 * 1000;
+    this.batchSize = parseInt(process.env.WEBHOOK_DELIVERY_BATCH_SIZE || '50');
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000');
+    this.disableAfterFailures = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES || '20');
+    this.allowPrivateNetworks = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+  }
+
+  public static getInstance(): WebhookDeliveryService {
+    if (!WebhookDeliveryService.instance) {
+      WebhookDeliveryService.instance = new WebhookDeliveryService();
+    }
+    return WebhookDeliveryService.instance;
+  }
+
+  /**
+   * Crea una entrega para cada suscripción activa interesada en el evento.
+   * Es idempotente por (suscripción, evento): el dispatcher puede reintentar sin duplicar entregas.
+   */
+  public async enqueue(event: DomainEvent): Promise<number> {
+    const subscriptions = await WebhookSubscription.find({
+      status: 'active',
+      events: { $in: [event.type, '*'] }
+    }).select('_id');
+
+    if (subscriptions.length === 0) {
+      return 0;
+    }
+
+    const now = new Date();
+    let created = subscriptions.length;
+    try {
+      await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+        subscriptionId: subscription._id,
+        eventId: event.id,
+        eventType: event.type,
+        customerId: event.customerId,
+        payload: event,
+        maxAttempts: this.maxAttempts,
+        nextAttemptAt: now
+      })), { ordered: false });
+    } catch (error) {
+      const writeErrors: Array<{ code?: number; err?: { code?: number } }> = (error as any)?.writeErrors || [];
+      const duplicates = writeErrors.filter(writeError => (writeError.code ?? writeError.err?.code) === 11000);
+      if (duplicates.length === 0 || duplicates.length !== writeErrors.length) {
+        throw error;
+      }
+      created -= duplicates.length;
+    }
+
+    // Primer intento inmediato; si falla, el worker periódico lo reintenta
+    setImmediate(() => {
+      this.processDue().catch(error => {
+        console.error('❌ Error processing webhook deliveries:', error);
+      });
+    });
+
+    return created;
+  }
+
+  /**
+   * Procesa las entregas vencidas; la reserva es atómica, como en la cola de compliance
+   */
+  public async processDue(): Promise<WebhookDeliveryRunResult> {
+    const result: WebhookDeliveryRunResult = { processed: 0, succeeded: 0, retried: 0, failed: 0 };
+
+    for (let i = 0; i < this.batchSize; i++) {
+      const delivery = await this.claimNext();
+      if (!delivery) {
+        break;
+      }
+
+      result.processed++;
+      result[await this.process(delivery)]++;
+    }
+
+    return result;
+  }
+
+  public async listDeliveries(
+    subscriptionId: string,
+    query: WebhookDeliveryQuery
+  ): Promise<{ deliveries: IWebhookDelivery[]; totalCount: number }> {
+    const filter: Record<string, any> = { subscriptionId };
+    if (query.status) {
+      filter.status = query.status;
+    }
+    if (query.eventType) {
+      filter.eventType = query.eventType;
+    }
+
+    const [totalCount, deliveries] = await Promise.all([
+      WebhookDelivery.countDocuments(filter),
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit)
+    ]);
+
+    return { deliveries, totalCount };
+  }
+
+  /**
+   * Vuelve a enviar una entrega finalizada (exitosa o fallida) con los intentos reiniciados
+   */
+  public async redeliver(subscriptionId: string, deliveryId: string, actorId: string): Promise<IWebhookDelivery> {
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+    if (!subscription) {
+      throw new AppError('Webhook subscription not found', 404);
+    }
+    if (subscription.status !== 'active') {
+      throw new AppError(`Webhook subscription is ${subscription.status}. Reactivate it before redelivering`, 409);
+    }
+
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, subscriptionId, status: { $in: ['succeeded', 'failed'] } },
+      {
+        $set: {
+          status: 'pending',
+          attempts: 0,
+          maxAttempts: this.maxAttempts,
+          nextAttemptAt: now,
+          redeliveredBy: actorId,
+          redeliveredAt: now
+        },
+        $unset: { lockedUntil: 1, deliveredAt: 1, failedAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!delivery) {
+      const exists = await WebhookDelivery.exists({ _id: deliveryId, subscriptionId });
+      if (!exists) {
+        throw new AppError('Webhook delivery not found', 404);
+      }
+      throw new AppError('Webhook delivery is still in progress', 409);
+    }
+
+    setImmediate(() => {
+      this.processDue().catch(error => {
+        console.error('❌ Error processing webhook deliveries:', error);
+      });
+    });
+
+    return delivery;
+  }
+
+  private async claimNext(): Promise<IWebhookDelivery | null> {
+    const now = new Date();
+
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedUntil: new Date(now.getTime() + this.leaseMs) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  private async process(delivery: IWebhookDelivery): Promise<'succeeded' | 'retried' | 'failed'> {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+    if (!subscription || subscription.status !== 'active') {
+      await this.fail(delivery, subscription ? `Subscription is ${subscription.status}` : 'Subscription not found');
+      return 'failed';
+    }
+
+    const attempt = await this.send(subscription, delivery);
+    const succeeded = attempt.responseStatus !== undefined && attempt.responseStatus >= 200 && attempt.responseStatus < 300;
+
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $push: { attemptLog: { $each: [attempt], $slice: -ATTEMPT_LOG_SIZE } },
+        $set: {
+          ...(attempt.responseStatus !== undefined && { lastResponseStatus: attempt.responseStatus })
+        }
+      }
+    );
+
+    if (succeeded) {
+      await WebhookDelivery.updateOne(
+        { _id: delivery._id },
+        { $set: { status: 'succeeded', deliveredAt: new Date() }, $unset: { lockedUntil: 1, lastError: 1 } }
+      );
+      await WebhookSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { consecutiveFailures: 0, lastDeliveryAt: attempt.attemptedAt, lastSuccessAt: attempt.attemptedAt } }
+      );
+      return 'succeeded';
+    }
+
+    const error = attempt.error || `Endpoint responded with status ${attempt.responseStatus}`;
+    const disabled = await this.recordSubscriptionFailure(subscription, attempt.attemptedAt);
+    if (disabled || delivery.attempts >= delivery.maxAttempts) {
+      await this.fail(delivery, disabled ? `${error} (subscription disabled)` : error);
+      return 'failed';
+    }
+
+    const nextAttemptAt = new Date(Date.now() + this.backoffDelay(delivery.attempts));
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id, status: 'processing' },
+      { $set: { status: 'pending', nextAttemptAt, lastError: error }, $unset: { lockedUntil: 1 } }
+    );
+    return 'retried';
+  }
+
+  /**
+   * Envía el evento firmado: X-Signature = sha256=HMAC(secret, "<timestamp>.<body>").
+   * El destino se comprueba antes de cada envío y al conectar: un host que pasa a resolver a una
+   * dirección privada cuenta como intento fallido.
+   */
+  private async send(subscription: IWebhookSubscription, delivery: IWebhookDelivery): Promise<WebhookDeliveryAttempt> {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attemptedAt = new Date();
+
+    try {
+      if (!this.allowPrivateNetworks) {
+        await assertPublicHost(new URL(subscription.url).hostname);
+      }
+
+      const response = await axios.post(subscription.url, body, {
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        ...(!this.allowPrivateNetworks && { lookup: publicOnlyLookup }),
+        // Cualquier respuesta cuenta como intento; solo 2xx es éxito
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ms1-customer-service-webhooks',
+          'X-Webhook-Id': subscription.id,
+          'X-Webhook-Delivery-Id': delivery.id,
+          'X-Event-Id': delivery.eventId,
+          'X-Event-Type': delivery.eventType,
+          'X-Signature-Timestamp': timestamp,
+          'X-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+        }
+      });
+
+      return { attemptedAt, responseStatus: response.status, durationMs: Date.now() - attemptedAt.getTime() };
+    } catch (error) {
+      return {
+        attemptedAt,
+        error: (error as Error).message.slice(0, MAX_ERROR_LENGTH),
+        durationMs: Date.now() - attemptedAt.getTime()
+      };
+    }
+  }
+
+  /**
+   * Suma un fallo a la suscripción y la desactiva al alcanzar el límite de fallos consecutivos
+   */
+  private async recordSubscriptionFailure(subscription: IWebhookSubscription, attemptedAt: Date): Promise<boolean> {
+    const updated = await WebhookSubscription.findOneAndUpdate(
+      { _id: subscription._id },
+      { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: attemptedAt } },
+      { new: true }
+    );
+    if (!updated || updated.consecutiveFailures < this.disableAfterFailures) {
+      return false;
+    }
+
+    const disabled = await WebhookSubscription.updateOne(
+      { _id: subscription._id, status: 'active' },
+      {
+        $set: {
+          status: 'disabled',
+          disabledAt: new Date(),
+          disabledReason: `${updated.consecutiveFailures} consecutive failed deliveries`
+        }
+      }
+    );
+    if (disabled.modifiedCount > 0) {
+      console.warn(`🔕 Webhook subscription ${subscription.id} (${subscription.url}) disabled after ${updated.consecutiveFailures} consecutive failures`);
+    }
+    return true;
+  }
+
+  private async fail(delivery: IWebhookDelivery, error: string): Promise<void> {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'failed', failedAt: new Date(), lastError: error }, $unset: { lockedUntil: 1 } }
+    );
+  }
+
+  /**
+   * Backoff exponencial con jitter: base * 2^(intento-1), limitado a maxDelay
+   */
+  private backoffDelay(attempt: number): number {
+    const exponential = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+}
+
+/**
+ * Sink del dispatcher de eventos que genera las entregas de webhooks
+ */
+export class WebhookSubscriptionSink implements EventSink {
+  public readonly name = 'webhooks';
+
+  public async deliver(event: DomainEvent): Promise<void> {
+    await WebhookDeliveryService.getInstance().enqueue(event);
+  }
+}
+
+export default WebhookDeliveryService;
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import type { IWebhookSubscription, WebhookSubscriptionStatus } from '../models/WebhookSubscription.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { assertPublicHost } from './webhookTargets.js';
+
+dotenv.config();
+
+export interface WebhookSubscriptionData {
+  url: string;
+  events: string[];
+  secret?: string;
+  description?: string;
+}
+
+export interface WebhookSubscriptionUpdate {
+  url?: string;
+  events?: string[];
+  description?: string;
+  // Solo se permite pasar a active o paused; disabled lo asigna el sistema
+  status?: Exclude<WebhookSubscriptionStatus, 'disabled'>;
+}
+
+export interface WebhookSubscriptionQuery {
+  status?: WebhookSubscriptionStatus;
+  event?: string;
+  page: number;
+  limit: number;
+}
+
+class WebhookSubscriptionService {
+  private static instance: WebhookSubscriptionService;
+  private allowPrivateNetworks: boolean;
+
+  private constructor() {
+    this.allowPrivateNetworks = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+  }
+
+  public static getInstance(): WebhookSubscriptionService {
+    if (!WebhookSubscriptionService.instance) {
+      WebhookSubscriptionService.instance = new WebhookSubscriptionService();
+    }
+    return WebhookSubscriptionService.instance;
+  }
+
+  /**
+   * Crea una suscripción. Si no se indica secreto se genera uno; se devuelve solo en esta respuesta.
+   */
+  public async create(
+    data: WebhookSubscriptionData,
+    actorId: string
+  ): Promise<{ subscription: IWebhookSubscription; secret: string }> {
+    await this.assertAllowedUrl(data.url);
+
+    const secret = data.secret || this.generateSecret();
+    const subscription = await WebhookSubscription.create({
+      url: data.url,
+      events: [...new Set(data.events)],
+      secret,
+      ...(data.description && { description: data.description }),
+      createdBy: actorId
+    });
+
+    return { subscription, secret };
+  }
+
+  public async list(query: WebhookSubscriptionQuery): Promise<{ subscriptions: IWebhookSubscription[]; totalCount: number }> {
+    const filter: Record<string, any> = {};
+    if (query.status) {
+      filter.status = query.status;
+    }
+    if (query.event) {
+      filter.events = { $in: [query.event, '*'] };
+    }
+
+    const [totalCount, subscriptions] = await Promise.all([
+      WebhookSubscription.countDocuments(filter),
+      WebhookSubscription.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit)
+    ]);
+
+    return { subscriptions, totalCount };
+  }
+
+  public async get(subscriptionId: string): Promise<IWebhookSubscription> {
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+    if (!subscription) {
+      throw new AppError('Webhook subscription not found', 404);
+    }
+    return subscription;
+  }
+
+  /**
+   * Modifica la suscripción. Reactivar una suscripción desactivada reinicia el contador de fallos.
+   */
+  public async update(subscriptionId: string, update: WebhookSubscriptionUpdate): Promise<IWebhookSubscription> {
+    const subscription = await this.get(subscriptionId);
+
+    if (update.url !== undefined) {
+      await this.assertAllowedUrl(update.url);
+      subscription.url = update.url;
+    }
+    if (update.events !== undefined) {
+      subscription.events = [...new Set(update.events)];
+    }
+    if (update.description !== undefined) {
+      subscription.description = update.description;
+    }
+    if (update.status !== undefined && update.status !== subscription.status) {
+      subscription.status = update.status;
+      if (update.status === 'active') {
+        subscription.consecutiveFailures = 0;
+        subscription.set('disabledAt', undefined);
+        subscription.set('disabledReason', undefined);
+      }
+    }
+
+    await subscription.save();
+    return subscription;
+  }
+
+  /**
+   * Genera un secreto nuevo; las entregas siguientes se firman con él
+   */
+  public async rotateSecret(subscriptionId: string): Promise<{ subscription: IWebhookSubscription; secret: string }> {
+    const secret = this.generateSecret();
+    const subscription = await WebhookSubscription.findByIdAndUpdate(subscriptionId, { secret }, { new: true });
+    if (!subscription) {
+      throw new AppError('Webhook subscription not found', 404);
+    }
+    return { subscription, secret };
+  }
+
+  /**
+   * Elimina la suscripción junto con su registro de entregas
+   */
+  public async remove(subscriptionId: string): Promise<void> {
+    const subscription = await WebhookSubscription.findByIdAndDelete(subscriptionId);
+    if (!subscription) {
+      throw new AppError('Webhook subscription not found', 404);
+    }
+    await WebhookDelivery.deleteMany({ subscriptionId });
+  }
+
+  private generateSecret(): string {
+    return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  /**
+   * En producción solo se aceptan destinos HTTPS. El host debe resolver a direcciones públicas
+   * (salvo WEBHOOK_ALLOW_PRIVATE_NETWORKS); las entregas lo vuelven a comprobar en cada envío.
+   */
+  private async assertAllowedUrl(url: string): Promise<void> {
+    if (process.env.NODE_ENV === 'production' && !url.toLowerCase().startsWith('https://')) {
+      throw new AppError('Webhook URL must use HTTPS', 400);
+    }
+    if (!this.allowPrivateNetworks) {
+      await assertPublicHost(new URL(url).hostname);
+    }
+  }
+}
+
+export default WebhookSubscriptionService;
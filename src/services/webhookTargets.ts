@@ -0,0 +1,77 @@
+import dns from 'dns/promises';
+import type { LookupAddress } from 'dns';
+import net from 'net';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Redes privadas, loopback, link-local (metadatos de la nube) y rangos reservados: un webhook no puede apuntar a ellas
+const BLOCKED_NETWORKS: Array<[string, number, 'ipv4' | 'ipv6']> = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  // Incluye :: y ::1, y las IPv4 compatibles (::a.b.c.d)
+  ['::', 96, 'ipv6'],
+  // NAT64 y 6to4 llevan a una IPv4 cualquiera. Las IPv4 mapeadas (::ffff:a.b.c.d) se comprueban con las reglas IPv4
+  ['64:ff9b::', 96, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_NETWORKS.forEach(([network, prefix, family]) => blockList.addSubnet(network, prefix, family));
+
+export const isPublicAddress = (address: string): boolean => {
+  const family = net.isIP(address);
+  return family !== 0 && !blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Resuelve el host y exige que todas sus direcciones sean públicas
+ */
+const resolvePublicAddresses = async (hostname: string): Promise<LookupAddress[]> => {
+  // Las URLs escriben las IPv6 entre corchetes
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+  let addresses: LookupAddress[];
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw new AppError(`Webhook host ${host} could not be resolved`, 400);
+  }
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked || addresses.length === 0) {
+    throw new AppError(`Webhook URL must resolve to a public address (${host} resolves to ${blocked?.address ?? 'nothing'})`, 400);
+  }
+  return addresses;
+};
+
+/**
+ * Rechaza las URLs cuyo host está en una red privada o reservada
+ */
+export const assertPublicHost = async (hostname: string): Promise<void> => {
+  await resolvePublicAddresses(hostname);
+};
+
+/**
+ * lookup de las conexiones de los webhooks: la dirección se vuelve a comprobar al conectar, así un cambio
+ * de DNS entre la comprobación y el envío no permite alcanzar la red interna
+ */
+export const publicOnlyLookup = async (hostname: string): Promise<LookupAddress> => {
+  const [address] = await resolvePublicAddresses(hostname);
+  return address as LookupAddress;
+};
@@ -1,4 +1,10 @@
 import Joi from 'joi';
+import { DOMAIN_EVENT_TYPES } from '../services/domainEvents.js';
+import { EXPORT_COLUMNS, EXPORT_FORMATS } from '../services/customerExportService.js';
+import { COUNT_MODES, PROJECTABLE_FIELDS, SORT_OPTIONS } from '../services/customerSearch.js';
+import { allowedOperators, FILTER_FIELDS, getFilterField, MULTI_VALUE_OPERATORS } from '../services/customerFilter.js';
+import type { FilterCondition, FilterFieldType, FilterOperator } from '../services/customerFilter.js';
+import { REPORT_FORMATS, TREND_INTERVALS } from '../services/customerStatsService.js';
 
 // Validador para la dirección
 const addressSchema = Joi.object({
@@ -51,7 +57,13 @@ const kycDocumentSchema = Joi.object({
   uploadDate: Joi.date().default(Date.now),
   verified: Joi.boolean().default(false),
   verifiedBy: Joi.string().trim().optional(),
-  verifiedAt: Joi.date().optional()
+  verifiedAt: Joi.date().optional(),
+  documentNumber: Joi.string().trim().min(3).max(50).optional(),
+  issuingCountry: Joi.string().trim().uppercase().pattern(/^[A-Z]{2,3}$/).optional()
+    .messages({
+      'string.pattern.base': 'Issuing country must be an ISO 3166 alpha-2 or alpha-3 code'
+    }),
+  expiryDate: Joi.date().optional()
 });
 
 // Validador para crear un nuevo cliente
@@ -156,23 +168,491 @@ export const customerIdSchema = Joi.object({
 });
 
 // Validador para agregar documentos KYC
+// (campos del formulario multipart; el archivo llega en el campo "file")
 export const addKycDocumentSchema = Joi.object({
   type: Joi.string().valid('national_id', 'passport', 'driving_license', 'address_proof', 'income_proof', 'other').required(),
-  filename: Joi.string().trim().min(1).max(255).required()
+  filename: Joi.string().trim().min(1).max(255).optional(),
+  documentNumber: Joi.string().trim().min(3).max(50).optional(),
+  issuingCountry: Joi.string().trim().uppercase().pattern(/^[A-Z]{2,3}$/).optional()
+    .messages({
+      'string.pattern.base': 'Issuing country must be an ISO 3166 alpha-2 or alpha-3 code'
+    }),
+  expiryDate: Joi.date().greater('now').optional()
+    .messages({
+      'date.greater': 'Document is already expired'
+    })
+});
+
+// Validador para parámetros de documento
+export const documentParamsSchema = Joi.object({
+  id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid customer ID format',
+      'any.required': 'Customer ID is required'
+    }),
+  docId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid document ID format',
+      'any.required': 'Document ID is required'
+    })
+});
+
+// Validador para la revisión de un documento KYC
+export const reviewKycDocumentSchema = Joi.object({
+  decision: Joi.string().valid('approve', 'reject').required()
+    .messages({
+      'any.only': 'Decision must be either approve or reject',
+      'any.required': 'Review decision is required'
+    }),
+  reason: Joi.string().trim().min(3).max(500).required()
+    .messages({
+      'string.empty': 'A reason for the review decision is required',
+      'string.min': 'Reason must be at least 3 characters',
+      'any.required': 'A reason for the review decision is required'
+    })
+});
+
+// Validador para la cola de revisión de documentos
+export const reviewQueueSchema = Joi.object({
+  type: Joi.string().valid('national_id', 'passport', 'driving_license', 'address_proof', 'income_proof', 'other').optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
 });
 
+// Validador para el listado de clientes con re-KYC pendiente
+export const reKycDueSchema = Joi.object({
+  status: Joi.string().valid('expired', 'expiring').optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validador para el listado de trabajos de compliance
+export const complianceJobsQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'processing', 'completed', 'dead_letter').optional(),
+  customerId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional()
+    .messages({ 'string.pattern.base': 'Invalid customer ID format' }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validador para el ID de un trabajo de compliance
+export const complianceJobParamsSchema = Joi.object({
+  jobId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid job ID format',
+      'any.required': 'Job ID is required'
+    })
+});
+
+// Validador para el historial de compliance de un cliente
+export const complianceHistorySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validador para las opciones de una importación masiva (el formato se deduce del Content-Type)
+export const importCustomersQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+  format: Joi.string().valid('csv', 'ndjson').optional()
+});
+
+// Validador para listar importaciones masivas
+export const importsQuerySchema = Joi.object({
+  status: Joi.string().valid('uploading', 'pending', 'processing', 'completed', 'cancelled', 'failed').optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validador para el ID de una importación masiva
+export const importParamsSchema = Joi.object({
+  importId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid import ID format',
+      'any.required': 'Import ID is required'
+    })
+});
+
+// Validador para el resultado por fila de una importación
+export const importRowsQuerySchema = Joi.object({
+  status: Joi.string().valid('invalid', 'pending', 'created', 'failed').optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(100)
+});
+
+// Validador para las opciones del alta de clientes (allowDuplicate=true omite el bloqueo por duplicado probable)
+export const createCustomerQuerySchema = Joi.object({
+  allowDuplicate: Joi.boolean().default(false)
+});
+
+// Validador para el informe de duplicados probables
+export const duplicateCandidatesQuerySchema = Joi.object({
+  status: Joi.string().valid('open', 'dismissed', 'merged').default('open'),
+  minScore: Joi.number().min(0).max(1).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validador para el ID de un par de duplicados
+export const duplicateCandidateParamsSchema = Joi.object({
+  candidateId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid duplicate candidate ID format',
+      'any.required': 'Duplicate candidate ID is required'
+    })
+});
+
+// Validador para descartar un par de duplicados
+export const dismissDuplicateSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).optional()
+});
+
+// Validador para fusionar un cliente duplicado en otro
+export const mergeCustomerSchema = Joi.object({
+  sourceId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid source customer ID format',
+      'any.required': 'Source customer ID is required'
+    }),
+  reason: Joi.string().trim().min(3).max(500).required()
+    .messages({
+      'string.empty': 'A reason for the merge is required',
+      'string.min': 'Reason must be at least 3 characters',
+      'any.required': 'A reason for the merge is required'
+    })
+});
+
+// Validador para la consulta de cuentas (refresh=true ignora el caché)
+export const customerAccountsQuerySchema = Joi.object({
+  refresh: Joi.boolean().default(false)
+});
+
+// Validador para las notificaciones de cambios de cuentas de MS2 (webhook)
+export const accountsChangedWebhookSchema = Joi.object({
+  customerId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({ 'string.pattern.base': 'Invalid customer ID format' })
+});
+
+// Validador para los resultados de compliance notificados por MS4 (webhook)
+export const complianceResultWebhookSchema = Joi.object({
+  resultId: Joi.string().trim().min(1).max(100).required(),
+  customerId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({ 'string.pattern.base': 'Invalid customer ID format' }),
+  status: Joi.string().valid('pending', 'approved', 'rejected', 'under_review').required(),
+  riskScore: Joi.number().min(0).max(100).optional(),
+  notes: Joi.string().trim().max(1000).allow('').optional(),
+  checkedAt: Joi.date().iso().max('now').required()
+});
+
+// Tipos de evento que admite una suscripción de webhooks ('*' = todos)
+const webhookEventsSchema = Joi.array()
+  .items(Joi.string().valid('*', ...DOMAIN_EVENT_TYPES))
+  .min(1)
+  .unique()
+  .messages({
+    'any.only': `Event type must be one of: *, ${DOMAIN_EVENT_TYPES.join(', ')}`,
+    'array.min': 'At least one event type is required'
+  });
+
+const webhookUrlSchema = Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048)
+  .messages({
+    'string.uri': 'Webhook URL must be a valid http(s) URL',
+    'string.uriCustomScheme': 'Webhook URL must be a valid http(s) URL'
+  });
+
+// Validador para crear una suscripción de webhooks
+export const createWebhookSubscriptionSchema = Joi.object({
+  url: webhookUrlSchema.required(),
+  events: webhookEventsSchema.required(),
+  secret: Joi.string().min(16).max(256).optional()
+    .messages({ 'string.min': 'Webhook secret must be at least 16 characters' }),
+  description: Joi.string().trim().max(200).optional()
+});
+
+// Validador para modificar una suscripción de webhooks
+export const updateWebhookSubscriptionSchema = Joi.object({
+  url: webhookUrlSchema.optional(),
+  events: webhookEventsSchema.optional(),
+  description: Joi.string().trim().max(200).allow('').optional(),
+  status: Joi.string().valid('active', 'paused').optional()
+}).min(1).messages({ 'object.min': 'At least one field must be provided' });
+
+// Validador para listar suscripciones de webhooks
+export const webhookSubscriptionsQuerySchema = Joi.object({
+  status: Joi.string().valid('active', 'paused', 'disabled').optional(),
+  event: Joi.string().valid(...DOMAIN_EVENT_TYPES).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validador para el ID de una suscripción de webhooks
+export const webhookSubscriptionParamsSchema = Joi.object({
+  id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid webhook subscription ID format',
+      'any.required': 'Webhook subscription ID is required'
+    })
+});
+
+// Validador para el registro de entregas de una suscripción
+export const webhookDeliveriesQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'processing', 'succeeded', 'failed').optional(),
+  eventType: Joi.string().valid(...DOMAIN_EVENT_TYPES).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Validador para los IDs de una entrega de webhook
+export const webhookDeliveryParamsSchema = Joi.object({
+  id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({ 'string.pattern.base': 'Invalid webhook subscription ID format' }),
+  deliveryId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({ 'string.pattern.base': 'Invalid webhook delivery ID format' })
+});
+
+// Filtros estructurados de la búsqueda: filter[campo]=valor o filter[campo][operador]=valor
+const FILTER_PARAM = /^filter\[([A-Za-z.]+)\](?:\[([a-z]+)\])?$/;
+const MAX_FILTER_CONDITIONS = 20;
+const MAX_FILTER_VALUES = 50;
+
+const filterValueSchemas: Record<FilterFieldType, Joi.Schema> = {
+  string: Joi.string().trim().min(1).max(200),
+  number: Joi.number(),
+  integer: Joi.number().integer().min(0).max(150),
+  boolean: Joi.boolean(),
+  date: Joi.date().iso()
+};
+
+/**
+ * Convierte los parámetros filter[...] en condiciones tipadas (validatedQuery.filter)
+ */
+const parseFilterParams = (value: Record<string, any>, helpers: Joi.CustomHelpers) => {
+  const result: Record<string, any> = {};
+  const conditions: FilterCondition[] = [];
+
+  for (const [key, raw] of Object.entries(value)) {
+    if (!key.startsWith('filter[')) {
+      result[key] = raw;
+      continue;
+    }
+
+    const match = FILTER_PARAM.exec(key);
+    if (!match) {
+      return helpers.error('filter.syntax', { key });
+    }
+    const [, field = '', operator = 'eq'] = match;
+    const definition = getFilterField(field);
+    if (!definition) {
+      return helpers.error('filter.field', { key });
+    }
+    const operators = allowedOperators(definition);
+    if (!operators.includes(operator as FilterOperator)) {
+      return helpers.error('filter.operator', { key, operators: operators.join(', ') });
+    }
+
+    // Varios valores: parámetro repetido o, con in/nin, separados por comas
+    let rawValues: string[] = Array.isArray(raw) ? raw : [raw];
+    if (operator === 'in' || operator === 'nin') {
+      rawValues = rawValues.flatMap(item => item.split(','));
+    }
+    const multiValue = MULTI_VALUE_OPERATORS.includes(operator as FilterOperator) && !definition.compile;
+    if (rawValues.length > (multiValue ? MAX_FILTER_VALUES : 1)) {
+      return helpers.error('filter.values', { key, max: multiValue ? MAX_FILTER_VALUES : 1 });
+    }
+
+    const valueSchema = operator === 'exists'
+      ? Joi.boolean()
+      : definition.values
+        ? Joi.string().trim().valid(...definition.values)
+        : filterValueSchemas[definition.type];
+    const values = [];
+    for (const rawValue of rawValues) {
+      const { error, value: parsed } = valueSchema.validate(rawValue, { convert: true });
+      if (error) {
+        return helpers.error('filter.value', { key, reason: error.message.replace(/^"value" /, '') });
+      }
+      values.push(parsed);
+    }
+
+    if (conditions.length === MAX_FILTER_CONDITIONS) {
+      return helpers.error('filter.limit');
+    }
+    conditions.push({ field, operator: operator as FilterOperator, values });
+  }
+
+  if (conditions.length > 0) {
+    result.filter = conditions;
+  }
+  return result;
+};
+
 // Validador para consulta de búsqueda
 export const searchCustomerSchema = Joi.object({
-  q: Joi.string().trim().min(3).max(100).optional()
+  q: Joi.string().trim().min(2).max(100).optional()
     .messages({
-      'string.min': 'Search query must be at least 3 characters',
+      'string.min': 'Search query must be at least 2 characters',
       'string.max': 'Search query must not exceed 100 characters'
     }),
   status: Joi.string().valid('active', 'inactive', 'suspended', 'pending_verification').optional(),
   complianceStatus: Joi.string().valid('pending', 'approved', 'rejected', 'under_review').optional(),
   country: Joi.string().trim().min(2).max(100).optional(),
+  minRiskScore: Joi.number().min(0).max(100).optional(),
+  maxRiskScore: Joi.number().min(0).max(100).optional()
+    .when('minRiskScore', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('minRiskScore'))
+    })
+    .messages({ 'number.min': 'maxRiskScore must be greater than or equal to minRiskScore' }),
+  // Paginación por número de página o por cursor (after/before), no ambas
+  page: Joi.number().integer().min(1).default(1)
+    .when('after', { is: Joi.exist(), then: Joi.forbidden() })
+    .when('before', { is: Joi.exist(), then: Joi.forbidden() })
+    .messages({ 'any.unknown': 'page cannot be combined with a cursor (after/before)' }),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  after: Joi.string().trim().max(1000).optional(),
+  before: Joi.string().trim().max(1000).optional(),
+  sort: Joi.string().trim().valid(...SORT_OPTIONS).optional()
+    .messages({ 'any.only': `sort must be one of: ${SORT_OPTIONS.join(', ')}` }),
+  // Lista de campos separados por comas ("firstName,lastName,email")
+  fields: Joi.string().trim().max(1000).optional()
+    .custom((value: string, helpers) => {
+      const fields = [...new Set(value.split(',').map(field => field.trim()).filter(Boolean))];
+      if (fields.length === 0 || fields.some(field => !(PROJECTABLE_FIELDS as readonly string[]).includes(field))) {
+        return helpers.error('any.invalid');
+      }
+      return fields;
+    })
+    .messages({ 'any.invalid': `fields must be a comma-separated list of: ${PROJECTABLE_FIELDS.join(', ')}` }),
+  count: Joi.string().valid(...COUNT_MODES).optional()
+})
+  .pattern(/^filter\[/, Joi.alternatives().try(
+    Joi.string().max(1000),
+    Joi.array().items(Joi.string().max(1000)).max(MAX_FILTER_VALUES)
+  ))
+  .oxor('after', 'before')
+  .custom(parseFilterParams)
+  .messages({
+    'object.oxor': 'Use either after or before, not both',
+    'filter.syntax': '{{#key}}: use filter[field]=value or filter[field][operator]=value',
+    'filter.field': `{{#key}}: unknown filter field. Allowed fields: ${Object.keys(FILTER_FIELDS).join(', ')}`,
+    'filter.operator': '{{#key}}: operator not allowed for this field. Allowed operators: {{#operators}}',
+    'filter.values': '{{#key}}: at most {{#max}} value(s) allowed',
+    'filter.value': '{{#key}}: value {{#reason}}',
+    'filter.limit': `At most ${MAX_FILTER_CONDITIONS} filter conditions are allowed`
+  });
+
+// Validador para la exportación de clientes: mismos filtros que la búsqueda, sin paginación
+export const exportCustomersQuerySchema = searchCustomerSchema.keys({
+  page: Joi.forbidden(),
+  limit: Joi.forbidden(),
+  after: Joi.forbidden(),
+  before: Joi.forbidden(),
+  sort: Joi.forbidden(),
+  fields: Joi.forbidden(),
+  count: Joi.forbidden(),
+  format: Joi.string().valid(...EXPORT_FORMATS).default('csv'),
+  // Lista de columnas separadas por comas ("id,email,address.city")
+  columns: Joi.string().trim().max(1000).optional()
+    .custom((value: string, helpers) => {
+      const columns = [...new Set(value.split(',').map(column => column.trim()).filter(Boolean))];
+      if (columns.length === 0 || columns.some(column => !(EXPORT_COLUMNS as readonly string[]).includes(column))) {
+        return helpers.error('any.invalid');
+      }
+      return columns;
+    })
+    .messages({ 'any.invalid': `columns must be a comma-separated list of: ${EXPORT_COLUMNS.join(', ')}` })
+});
+
+// Validador para las estadísticas e informes de clientes (rango sobre la fecha de alta)
+export const customerStatsQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  // Una fecha sin hora ("2025-12-31") incluye el día completo
+  to: Joi.date().iso().optional()
+    .custom((value: Date, helpers) =>
+      (/^\d{4}-\d{2}-\d{2}$/.test(String(helpers.original)) ? new Date(value.getTime() + 24 * 60 * 60 * 1000 - 1) : value))
+    .when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from'))
+    })
+    .messages({ 'date.min': 'to must be later than or equal to from' }),
+  format: Joi.string().valid(...REPORT_FORMATS).default('json')
+});
+
+// Validador para el informe de altas por periodo
+export const registrationTrendQuerySchema = customerStatsQuerySchema.keys({
+  interval: Joi.string().valid(...TREND_INTERVALS).default('day')
+});
+
+// Validador para JSON Patch (RFC 6902)
+export const jsonPatchSchema = Joi.array().items(
+  Joi.object({
+    op: Joi.string().valid('add', 'remove', 'replace', 'move', 'copy', 'test').required(),
+    path: Joi.string().allow('').max(200).required(),
+    from: Joi.when('op', {
+      is: Joi.valid('move', 'copy'),
+      then: Joi.string().allow('').max(200).required(),
+      otherwise: Joi.forbidden()
+    }),
+    value: Joi.when('op', {
+      is: Joi.valid('add', 'replace', 'test'),
+      then: Joi.any().required(),
+      otherwise: Joi.forbidden()
+    })
+  })
+).min(1).max(50).messages({
+  'array.base': 'JSON Patch body must be an array of operations',
+  'array.min': 'At least one patch operation must be provided'
+});
+
+// Validador para JSON Merge Patch (RFC 7386)
+export const mergePatchSchema = Joi.object().min(1).unknown(true).messages({
+  'object.base': 'Merge patch body must be a JSON object',
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Validador para cambios de estado del cliente
+export const changeStatusSchema = Joi.object({
+  status: Joi.string().valid('active', 'inactive', 'suspended', 'pending_verification').required()
+    .messages({
+      'any.only': 'Status must be one of: active, inactive, suspended, pending_verification',
+      'any.required': 'Target status is required'
+    }),
+  reason: Joi.string().trim().min(5).max(500).required()
+    .messages({
+      'string.empty': 'A reason for the status change is required',
+      'string.min': 'Reason must be at least 5 characters',
+      'string.max': 'Reason must not exceed 500 characters',
+      'any.required': 'A reason for the status change is required'
+    })
+});
+
+// Validador para confirmar la verificación de email
+export const verifyEmailSchema = Joi.object({
+  token: Joi.string().trim().max(2048).required()
+    .messages({
+      'string.empty': 'Verification token is required',
+      'any.required': 'Verification token is required'
+    })
+});
+
+// Validador para verificar el teléfono con un código OTP
+export const verifyPhoneSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^\d{4,10}$/).required()
+    .messages({
+      'string.pattern.base': 'Verification code must contain only digits',
+      'string.empty': 'Verification code is required',
+      'any.required': 'Verification code is required'
+    })
+});
+
+// Validador para consulta del historial de cambios
+export const customerHistorySchema = Joi.object({
+  field: Joi.string().trim().pattern(/^[a-zA-Z]+(\.[a-zA-Z]+)*$/).max(100).optional()
+    .messages({
+      'string.pattern.base': 'Field must be a dot-separated field path (e.g. address.city)'
+    }),
+  action: Joi.string().valid('create', 'update', 'delete', 'document_added', 'document_reviewed', 'compliance_update', 'status_change', 'merge').optional(),
   page: Joi.number().integer().min(1).default(1),
-  limit: Joi.number().integer().min(1).max(100).default(10)
+  limit: Joi.number().integer().min(1).max(100).default(20)
 });
 
 // Función helper para validar requests